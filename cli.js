@@ -8,36 +8,484 @@
  * protocol support based on:
  * 	dpmaster, doc/techinfo.txt
  * 	id software ftp, idstuff/quake3/docs/server.txt
+ *
+ * usage: jkutils <command> [options] [args], `jkutils <command> --help` for details
+ * query results go to stdout in the `--format` of choice, progress and errors go to stderr
+ * exit codes:
+ * 	0	success
+ * 	1	the query failed (timeout, bad reply, connection rejected...)
+ * 	2	bad usage
  */
 
 // internal modules
+const colours =		require( './lib/colours' );
+const endpoint =	require( './lib/endpoint' );
+const games =		require( './lib/games' );
 const JKComms =		require( './lib/jkcomms' );
+const JKDemoReader =	require( './lib/jkdemo' );
+const JKExporter =	require( './lib/jkexporter' );
+const JKGateway =	require( './lib/jkgateway' );
+const JKMaster =	require( './lib/jkmaster' );
+const JKScanner =	require( './lib/jkscanner' );
+const JKServerEmulator =	require( './lib/jkserver-emulator' );
+const JKWatcher =	require( './lib/jkwatcher' );
+const ServerInfo =	require( './lib/server-info' );
+
+const formats = [ 'table', 'json', 'ndjson', 'csv' ];
+
+/**
+ * error caused by the command line rather than the query, exits with 2 and the command's usage
+ * @param {string} message
+ * @returns {Error}
+ */
+function usageError( message ) {
+	const err = /** @type {Error & { code: string }} */ (new Error( message ));
+	err.code = 'USAGE';
+	return err;
+}
+
+/**
+ * @param {string} value
+ * @param {string} name option name, for the error
+ * @returns {number} positive integer
+ */
+function parseCount( value, name ) {
+	if ( !/^\d+$/.test( value ) || +value < 1 ) {
+		throw usageError( `--${name} must be a positive integer, got "${value}"` );
+	}
+	return +value;
+}
+
+/**
+ * @param {string} value
+ * @param {string} name option name, for the error
+ * @returns {number} integer >= 0
+ */
+function parseNonNegative( value, name ) {
+	if ( !/^\d+$/.test( value ) ) {
+		throw usageError( `--${name} must be an integer >= 0, got "${value}"` );
+	}
+	return +value;
+}
+
+/**
+ * @param {string} value
+ * @param {string} name option name, for the error
+ * @returns {number}
+ */
+function parsePort( value, name ) {
+	if ( !/^\d+$/.test( value ) || +value > 65535 ) {
+		throw usageError( `--${name} must be a port number, got "${value}"` );
+	}
+	return +value;
+}
+
+/**
+ * every option a command may accept
+ * 	arg:		placeholder shown in the help, options without one are flags
+ * 	parse:		converts/validates the value
+ * 	default:	used when the option isn't given (a function is called for it)
+ */
+const optionSpecs = {
+	format: {
+		arg: formats.join( '|' ),
+		description: 'output format (default: table on a terminal, json otherwise)',
+		parse: value => {
+			if ( formats.indexOf( value ) === -1 ) {
+				throw usageError( `--format must be one of ${formats.join( ', ' )}, got "${value}"` );
+			}
+			return value;
+		},
+		default: () => (process.stdout.isTTY ? 'table' : 'json'),
+	},
+	timeout: {
+		arg: 'ms',
+		description: 'how long to wait for each reply (default: 2500)',
+		parse: parseCount,
+	},
+	retries: {
+		arg: 'n',
+		description: 'retransmissions when a query gets no reply (default: 0)',
+		parse: parseNonNegative,
+	},
+	game: {
+		arg: Object.keys( games.profiles ).join( '|' ),
+		description: 'game profile, for the default protocol, ports and master (default: ja)',
+		parse: value => {
+			if ( !games.has( value ) ) {
+				throw usageError( `--game must be one of ${Object.keys( games.profiles ).join( ', ' )}, got "${value}"` );
+			}
+			return games.get( value );
+		},
+		default: () => games.get(),
+	},
+	protocol: {
+		arg: 'n',
+		description: 'protocol to ask the master for, e.g. 15 for JK2 1.02 (default: the game\'s)',
+		parse: (value, name) => `${parseCount( value, name )}`,
+	},
+	concurrency: {
+		arg: 'n',
+		description: 'servers queried at once (default: 32)',
+		parse: parseCount,
+		default: 32,
+	},
+	challenge: {
+		arg: 'string',
+		description: 'challenge sent with getinfo/getstatus (default: jkutils-query)',
+	},
+	ping: {
+		arg: 'count',
+		description: 'latency probes per responding server (default: none)',
+		parse: parseCount,
+	},
+	interval: {
+		arg: 'ms',
+		description: 'delay between polls (default: 30000)',
+		parse: parseCount,
+	},
+	port: {
+		arg: 'port',
+		description: 'port to listen on',
+		parse: parsePort,
+	},
+	help: {
+		description: 'show this help',
+	},
+};
+
+/**
+ * parse "host[:port]", see endpoint.parseEndpoint
+ * @param {string} str
+ * @param {number} defaultPort e.g. the game's masterPort or serverPort
+ * @returns {Object} { ip, port }, ip may still be a hostname
+ */
+function parseAddress( str, defaultPort ) {
+	try {
+		const { host, port } = endpoint.parseEndpoint( str, defaultPort );
+		return { ip: host, port };
+	}
+	catch ( err ) {
+		throw usageError( err.message );
+	}
+}
+
+/**
+ * split a command line into positional args and options
+ * 	--name value, --name=value, -h/--help, everything after `--` is positional
+ * @param {string[]} argv arguments after the command name
+ * @param {Object} command entry of `commands`
+ * @returns {Object} { args, opts }
+ */
+function parseArgs( argv, command ) {
+	const args = [];
+	const opts = {};
+	const accepted = command.options.concat( 'help' );
+
+	for ( let i = 0; i < argv.length; i++ ) {
+		const arg = argv[i];
+		if ( arg === '--' ) {
+			args.push( ...argv.slice( i + 1 ) );
+			break;
+		}
+		if ( arg === '-h' ) {
+			opts.help = true;
+			continue;
+		}
+		if ( !arg.startsWith( '--' ) ) {
+			args.push( arg );
+			continue;
+		}
+
+		const eq = arg.indexOf( '=' );
+		const name = (eq === -1) ? arg.slice( 2 ) : arg.slice( 2, eq );
+		if ( accepted.indexOf( name ) === -1 ) {
+			throw usageError( `unknown option --${name}` );
+		}
+		const spec = optionSpecs[name];
+		if ( !spec.arg ) {
+			if ( eq !== -1 ) {
+				throw usageError( `--${name} doesn't take a value` );
+			}
+			opts[name] = true;
+			continue;
+		}
+
+		let value = (eq === -1) ? argv[++i] : arg.slice( eq + 1 );
+		if ( value === undefined ) {
+			throw usageError( `--${name} needs a value` );
+		}
+		opts[name] = spec.parse ? spec.parse( value, name ) : value;
+	}
+
+	if ( opts.help ) {
+		return { args, opts };
+	}
+
+	for ( let name of command.options ) {
+		const spec = optionSpecs[name];
+		if ( opts[name] === undefined && spec.default !== undefined ) {
+			opts[name] = (typeof spec.default === 'function') ? spec.default() : spec.default;
+		}
+	}
+
+	const [ min, max ] = command.args;
+	if ( args.length < min || args.length > max ) {
+		throw usageError( (args.length < min) ? 'missing arguments' : 'too many arguments' );
+	}
+	return { args, opts };
+}
+
+/**
+ * @param {string} name command name
+ * @param {Object} command entry of `commands`
+ * @returns {string}
+ */
+function formatHelp( name, command ) {
+	const lines = [
+		`usage: ${name} ${command.usage}`,
+		'',
+		command.description,
+		'',
+		'options:',
+	];
+	const options = command.options.concat( 'help' ).map( option => {
+		const spec = optionSpecs[option];
+		return [ spec.arg ? `--${option} <${spec.arg}>` : `--${option}`, spec.description ];
+	} );
+	const width = Math.max( ...options.map( option => option[0].length ) );
+	for ( let [ flag, description ] of options ) {
+		lines.push( `  ${flag.padEnd( width )}  ${description}` );
+	}
+	return lines.join( '\n' );
+}
+
+/**
+ * progress/status message, kept off stdout so results can be piped
+ * @param {string} message
+ */
+function note( message ) {
+	process.stderr.write( `${message}\n` );
+}
+
+/**
+ * writes result rows to stdout in one of `formats`
+ * 	json:	one array, written by end()
+ * 	ndjson:	one object per line, as rows come in
+ * 	csv:	header + one line per row (columns only), as rows come in
+ * 	table:	aligned columns (columns only), written by end()
+ * columns: [ { key, title, get(row), coloured } ], `coloured` values may hold Q3 colour codes, which are rendered on a
+ * 	terminal and stripped otherwise (with the game's palette, see colours.js)
+ */
+class Output {
+
+	/**
+	 * @constructor
+	 * @param {string} format
+	 * @param {Object[]} columns
+	 * @param {string|Object} [palette] default: openjk
+	 */
+	constructor( format, columns, palette ) {
+		this.format = format;
+		this.columns = columns;
+		this.palette = palette;
+		this.rows = [];
+		this.headerWritten = false;
+	}
 
-let handlers = {
 	/**
-	 * retrieve list of servers from a master server
+	 * @param {Object} row
+	 * @param {Object} column
+	 * @returns {string}
 	 */
-	'getservers': args => {
-		if ( args.length !== 2 ) {
-			return console.log( 'usage: getservers <ip[:port]>' );
+	cell( row, column ) {
+		const value = column.get ? column.get( row ) : row[column.key];
+		if ( value === undefined || value === null ) {
+			return '';
 		}
+		return column.coloured ? colours.strip( `${value}`, this.palette ) : `${value}`;
+	}
 
-		let addr = args[1].split( ':' );
-		let ip = addr[0];
-		let port = (addr.length === 2) ? +addr[1] : 29060;
+	/**
+	 * @param {string} value
+	 * @returns {string} quoted if needed (RFC 4180)
+	 */
+	static csvField( value ) {
+		return /[",\r\n]/.test( value ) ? `"${value.replace( /"/g, '""' )}"` : value;
+	}
 
-		const comms = new JKComms();
-		console.log( `getting servers from ${ip}:${port}` );
-		comms.ctm_getservers( { ip, port }, {}, (err, servers) => {
-			if ( err ) {
-				return console.log( `handlers::getservers err: ${JSON.stringify( err )}` );
-			}
+	/**
+	 * @param {Object} row
+	 */
+	write( row ) {
+		if ( this.format === 'ndjson' ) {
+			process.stdout.write( `${JSON.stringify( row )}\n` );
+		}
+		else if ( this.format === 'csv' ) {
+			this.writeCSVHeader();
+			process.stdout.write( `${this.columns.map( column => Output.csvField( this.cell( row, column ) ) ).join( ',' )}\n` );
+		}
+		else {
+			this.rows.push( row );
+		}
+	}
+
+	/**
+	 * flush the buffered formats
+	 */
+	end() {
+		if ( this.format === 'json' ) {
+			process.stdout.write( `${JSON.stringify( this.rows, null, '\t' )}\n` );
+		}
+		else if ( this.format === 'csv' ) {
+			// no rows, still a valid file
+			this.writeCSVHeader();
+		}
+		else if ( this.format === 'table' ) {
+			this.writeTable();
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	writeCSVHeader() {
+		if ( !this.headerWritten ) {
+			this.headerWritten = true;
+			process.stdout.write( `${this.columns.map( column => column.key ).join( ',' )}\n` );
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	writeTable() {
+		const ansi = process.stdout.isTTY;
+		const header = this.columns.map( column => column.title || column.key );
+		const cells = this.rows.map( row => this.columns.map( column => this.cell( row, column ) ) );
+		const widths = header.map( (title, i) => Math.max( title.length, ...cells.map( line => line[i].length ) ) );
 
-			console.log( 'servers:' );
-			for ( let server of servers ) {
-				console.log( `\t${JSON.stringify( server )}` );
+		const render = (line, row) => line.map( (text, i) => {
+			const column = this.columns[i];
+			const pad = ' '.repeat( widths[i] - text.length );
+			if ( row && ansi && column.coloured ) {
+				const value = column.get ? column.get( row ) : row[column.key];
+				text = colours.toANSI( `${value}`, { palette: this.palette } );
 			}
-		} );
+			return column.numeric ? `${pad}${text}` : `${text}${pad}`;
+		} ).join( '  ' ).replace( /\s+$/, '' );
+
+		process.stdout.write( `${render( header )}\n` );
+		cells.forEach( (line, i) => process.stdout.write( `${render( line, this.rows[i] )}\n` ) );
+	}
+
+}
+
+const addressColumn = { key: 'address', get: endpoint.formatEndpoint };
+
+const serverColumns = [
+	addressColumn,
+	{ key: 'hostname', coloured: true },
+	{ key: 'map' },
+	{ key: 'gametype' },
+	{ key: 'mod' },
+	{ key: 'clients', numeric: true },
+	{ key: 'bots', numeric: true },
+	{ key: 'maxClients', title: 'max', numeric: true },
+	{ key: 'ping', title: 'ping (ms)', numeric: true, get: row => (row.latency && row.latency.received ? row.latency.avg.toFixed( 1 ) : null) },
+];
+
+const latencyColumns = [
+	addressColumn,
+	{ key: 'sent', numeric: true },
+	{ key: 'received', numeric: true },
+	{ key: 'loss', title: 'loss (%)', numeric: true, get: row => Math.round( row.loss * 100 ) },
+	{ key: 'min', numeric: true, get: row => (row.received ? row.min.toFixed( 1 ) : null) },
+	{ key: 'avg', numeric: true, get: row => (row.received ? row.avg.toFixed( 1 ) : null) },
+	{ key: 'max', numeric: true, get: row => (row.received ? row.max.toFixed( 1 ) : null) },
+	{ key: 'jitter', numeric: true, get: row => (row.received ? row.jitter.toFixed( 1 ) : null) },
+];
+
+/**
+ * one output row per server, the full replies are kept for json/ndjson
+ * @param {Object} address { ip, port }
+ * @param {Object} info as returned by JKComms.cts_getinfo
+ * @param {Object} status as returned by JKComms.cts_getstatus
+ * @param {Object} [latency] as returned by JKComms.cts_ping
+ * @returns {Object}
+ */
+function serverRow( address, info, status, latency ) {
+	const server = new ServerInfo( info, status );
+	return {
+		ip: address.ip,
+		port: address.port,
+		hostname: server.hostname,
+		map: server.map,
+		// the number if the game or gametype isn't known
+		gametype: server.gametypeName || ((server.gametype !== null) ? `${server.gametype}` : ''),
+		mod: server.mod,
+		version: server.version,
+		clients: server.clients,
+		bots: server.bots,
+		maxClients: server.maxClients,
+		passworded: server.passworded,
+		latency,
+		info: info.info,
+		status: status.status,
+		players: server.players,
+	};
+}
+
+/**
+ * the master given on the command line, or the game's first public one
+ * @param {string[]} args positional arguments, [ ip[:port] ] or none
+ * @param {Object} game see games.js
+ * @returns {Object} { ip, port }
+ */
+function defaultMaster( args, game ) {
+	if ( args.length ) {
+		return parseAddress( args[0], game.masterPort );
+	}
+	return { ip: game.masters[0], port: game.masterPort };
+}
+
+/**
+ * run a query with a fresh JKComms, releasing its socket afterwards
+ * @param {function} query receives a JKComms, returns a promise
+ * @returns {Promise<any>}
+ */
+async function withComms( query ) {
+	const comms = new JKComms();
+	try {
+		return await query( comms );
+	}
+	finally {
+		comms.jkSocket.destroy( true );
+	}
+}
+
+/**
+ * commands, `run( args, opts )` may return a promise of the exit code
+ * 	args: [ min, max ] number of positional arguments
+ */
+const commands = {
+	'getservers': {
+		usage: '[options] [ip[:port]]',
+		description: 'retrieve list of servers from a master server (defaults to the game\'s)',
+		args: [ 0, 1 ],
+		options: [ 'game', 'protocol', 'timeout', 'retries', 'format' ],
+		run: async (args, opts) => {
+			const master = defaultMaster( args, opts.game );
+			note( `getting servers from ${endpoint.formatEndpoint( master )}` );
+			const servers = await withComms( comms => comms.getServers(
+				{ ip: master.ip, port: master.port, protocol: opts.protocol, game: opts.game.id },
+				{ timeout: opts.timeout, retries: opts.retries },
+			) );
+
+			const output = new Output( opts.format, [ addressColumn, { key: 'family' } ] );
+			servers.forEach( server => output.write( server ) );
+			output.end();
+		},
 	},
 
 	/**
@@ -45,91 +493,305 @@ let handlers = {
 	 * this little dance is necessary to inform some strict firewalls that "we're really real ^_^"
 	 * ...like port knocking!
 	 */
-	'serverstatus': args => {
-		if ( args.length !== 2 ) {
-			return console.log( 'usage: serverstatus <ip[:port]>' );
-		}
+	'serverstatus': {
+		usage: '[options] <ip[:port]>',
+		description: 'query a server\'s info and status (players, cvars)',
+		args: [ 1, 1 ],
+		options: [ 'game', 'challenge', 'timeout', 'retries', 'format' ],
+		run: async (args, opts) => {
+			const address = parseAddress( args[0], opts.game.serverPort );
+			const dest = { ip: address.ip, port: address.port, challenge: opts.challenge };
+			const socketOpts = { timeout: opts.timeout, retries: opts.retries };
+			note( `getting serverstatus for ${endpoint.formatEndpoint( address )}` );
+			const row = await withComms( async comms => {
+				const info = await comms.getInfo( dest, socketOpts );
+				const status = await comms.getStatus( dest, socketOpts );
+				return serverRow( address, info, status );
+			} );
 
-		let addr = args[1].split( ':' );
-		let ip = addr[0];
-		let port = (addr.length === 2) ? +addr[1] : 29070;
+			const output = new Output( opts.format, serverColumns.slice( 0, -1 ), opts.game.palette );
+			output.write( row );
+			output.end();
+			if ( opts.format === 'table' && row.players.length ) {
+				const players = new Output( 'table', [
+					{ key: 'score', numeric: true },
+					{ key: 'ping', numeric: true },
+					{ key: 'name', coloured: true },
+				], opts.game.palette );
+				row.players.forEach( player => players.write( player ) );
+				process.stdout.write( '\n' );
+				players.end();
+			}
+		},
+	},
+
+	'rcon': {
+		usage: '[options] <ip[:port]> <password> <command...>',
+		description: 'execute a command on a server\'s remote console',
+		args: [ 3, Infinity ],
+		options: [ 'game', 'timeout' ],
+		run: async (args, opts) => {
+			const { ip, port } = parseAddress( args[0], opts.game.serverPort );
+			const password = args[1];
+			const command = args.slice( 2 ).join( ' ' );
+
+			const res = await withComms( comms => comms.rcon( { ip, port, password, command }, { timeout: opts.timeout } ) );
+			process.stdout.write( res.output );
+		},
+	},
 
-		const comms = new JKComms();
-		console.log( `getting serverstatus for ${ip}:${port}` );
-		comms.cts_getinfo( { ip, port }, { killOnFirstRes: true }, (err, info) => {
-			if ( err ) {
-				return console.log( `handlers::serverstatus err: ${JSON.stringify( err )}` );
+	'ping': {
+		usage: '[options] <ip[:port]> [count]',
+		description: 'measure round trip latency to a server (count defaults to 4)',
+		args: [ 1, 2 ],
+		options: [ 'game', 'timeout', 'format' ],
+		run: async (args, opts) => {
+			const { ip, port } = parseAddress( args[0], opts.game.serverPort );
+			const count = (args.length === 2) ? parseCount( args[1], 'count' ) : 4;
+
+			note( `pinging ${endpoint.formatEndpoint( { ip, port } )}` );
+			const latency = await withComms( comms => comms.ping( { ip, port, count, timeout: opts.timeout } ) );
+
+			const output = new Output( opts.format, latencyColumns );
+			output.write( Object.assign( { ip, port }, latency ) );
+			output.end();
+			return (latency.received === 0) ? 1 : 0;
+		},
+	},
+
+	'connect': {
+		usage: '[options] <ip[:port]> [password]',
+		description: 'check whether a client would be allowed to join a server (exits with 1 if rejected)',
+		args: [ 1, 2 ],
+		options: [ 'game', 'protocol', 'timeout', 'retries' ],
+		run: async (args, opts) => {
+			const { ip, port } = parseAddress( args[0], opts.game.serverPort );
+			const password = args[1];
+
+			const res = await withComms( comms => comms.connect(
+				{ ip, port, password, protocol: opts.protocol, game: opts.game.id },
+				{ timeout: opts.timeout, retries: opts.retries },
+			) );
+			if ( res.accepted ) {
+				console.log( `${ip}:${port} accepted the connection` );
+				return 0;
 			}
-			console.log( `info: ${JSON.stringify( info, null, '\t' )}` );
+			console.log( `${ip}:${port} rejected the connection (${res.reason}): ${res.message}` );
+			return 1;
+		},
+	},
 
-			comms.cts_getstatus( { ip, port }, { retainSocket: false, killOnFirstRes: true }, (err, status) => {
+	'watch': {
+		usage: '[options] <ip[:port]> [ip[:port]...]',
+		description: 'report joins, leaves, score and map changes on one or more servers',
+		args: [ 1, Infinity ],
+		options: [ 'game', 'interval', 'challenge' ],
+		run: (args, opts) => {
+			const servers = args.map( arg => parseAddress( arg, opts.game.serverPort ) );
+
+			const strip = s => colours.strip( s, opts.game.palette );
+			const watcher = new JKWatcher( { servers, interval: opts.interval, challenge: opts.challenge } );
+			watcher.on( 'serverUp', server => console.log( `${server.ip}:${server.port} up` ) );
+			watcher.on( 'serverDown', (server, err) => console.log( `${server.ip}:${server.port} down (${err.message})` ) );
+			watcher.on( 'playerJoin', (server, player) => console.log( `${server.ip}:${server.port} ${strip( player.name )} joined` ) );
+			watcher.on( 'playerLeave', (server, player) => console.log( `${server.ip}:${server.port} ${strip( player.name )} left` ) );
+			watcher.on( 'scoreChange', (server, player, oldScore) => {
+				console.log( `${server.ip}:${server.port} ${strip( player.name )} score ${oldScore} -> ${player.score}` );
+			} );
+			watcher.on( 'mapChange', (server, mapname) => console.log( `${server.ip}:${server.port} map changed to ${mapname}` ) );
+			watcher.on( 'error', err => note( `watch: ${err.message}` ) );
+			watcher.start();
+		},
+	},
+
+	'master': {
+		usage: '[options] [port]',
+		description: 'run a master server, accepting heartbeats and answering getservers (port defaults to the game\'s)',
+		args: [ 0, 1 ],
+		options: [ 'game' ],
+		run: (args, opts) => {
+			const port = (args.length === 1) ? parsePort( args[0], 'port' ) : opts.game.masterPort;
+
+			const master = new JKMaster( { port } );
+			master.on( 'error', err => note( `master: ${err.message}` ) );
+			master.on( 'serverAdded', server => console.log( `added ${server.ip}:${server.port} (protocol ${server.protocol})` ) );
+			master.on( 'serverRemoved', (server, reason) => console.log( `removed ${server.ip}:${server.port} (${reason})` ) );
+			master.listen( () => note( `master server listening on port ${port}` ) );
+		},
+	},
+
+	'serve': {
+		usage: '[options]',
+		description: 'expose the queries over HTTP as JSON (port defaults to 8080)',
+		args: [ 0, 0 ],
+		options: [ 'port' ],
+		run: (args, opts) => {
+			const port = (opts.port !== undefined) ? opts.port : 8080;
+
+			const gateway = new JKGateway( { port } );
+			gateway.on( 'error', err => note( `serve: ${err.message}` ) );
+			gateway.on( 'request', (method, url) => console.log( `${method} ${url}` ) );
+			gateway.listen( () => note( `gateway listening on port ${port}` ) );
+		},
+	},
+
+	'exporter': {
+		usage: '[options] <ip[:port]> [ip[:port]...]',
+		description: 'serve Prometheus metrics for a list of servers (port defaults to 9270)',
+		args: [ 1, Infinity ],
+		options: [ 'game', 'port', 'challenge' ],
+		run: (args, opts) => {
+			const port = (opts.port !== undefined) ? opts.port : 9270;
+			const servers = args.map( arg => parseAddress( arg, opts.game.serverPort ) );
+
+			const exporter = new JKExporter( { port, servers, challenge: opts.challenge } );
+			exporter.on( 'error', err => note( `exporter: ${err.message}` ) );
+			exporter.on( 'poll', (server, err) => {
 				if ( err ) {
-					return console.log( `handlers::serverstatus err: ${JSON.stringify( err )}` );
+					note( `exporter: ${server.ip}:${server.port} ${err.message}` );
 				}
-				console.log( `status: ${JSON.stringify( status, null, '\t' )}` );
 			} );
-		} );
+			exporter.listen( () => note( `exporter listening on port ${port}, metrics at /metrics` ) );
+		},
+	},
+
+	'emulate': {
+		usage: '[options] <port> [hostname...]',
+		description: 'run a placeholder game server, answering getinfo and getstatus',
+		args: [ 1, Infinity ],
+		options: [ 'game' ],
+		run: (args, opts) => {
+			const port = parsePort( args[0], 'port' );
+			const info = {};
+			if ( args.length > 1 ) {
+				info.hostname = args.slice( 1 ).join( ' ' );
+			}
+
+			const emulator = new JKServerEmulator( { port, info, game: opts.game.id } );
+			emulator.on( 'error', err => note( `emulate: ${err.message}` ) );
+			emulator.on( 'query', (command, source) => console.log( `${command} from ${source.ip}:${source.port}` ) );
+			emulator.listen( () => note( `server emulator listening on port ${port}` ) );
+		},
+	},
+
+	'advertise': {
+		usage: '[options] <port> <master[:port]> [hostname...]',
+		description: 'run a placeholder game server and advertise it to a master',
+		args: [ 2, Infinity ],
+		options: [ 'game' ],
+		run: (args, opts) => {
+			const port = parsePort( args[0], 'port' );
+			const master = parseAddress( args[1], opts.game.masterPort );
+			const info = {};
+			if ( args.length > 2 ) {
+				info.hostname = args.slice( 2 ).join( ' ' );
+			}
+
+			const emulator = new JKServerEmulator( { port, info, masters: [ master ], game: opts.game.id } );
+			emulator.on( 'error', err => note( `advertise: ${err.message}` ) );
+			emulator.on( 'heartbeat', (dest, flatline) => console.log( `${flatline ? 'flatline' : 'heartbeat'} to ${dest.ip}:${dest.port}` ) );
+			emulator.on( 'query', (command, source) => console.log( `${command} from ${source.ip}:${source.port}` ) );
+			emulator.listen( () => note( `server emulator listening on port ${port}` ) );
+
+			// let the master know we're going away
+			process.once( 'SIGINT', () => emulator.close( () => process.exit( 0 ) ) );
+		},
+	},
+
+	'demo': {
+		usage: '[options] <file.dm_15|file.dm_16|file.dm_26>',
+		description: 'print the server commands (chat, scores, configstring updates...) recorded in a demo',
+		args: [ 1, 1 ],
+		options: [],
+		run: async args => {
+			const res = await JKDemoReader.readFile( args[0], reader => {
+				reader.on( 'gamestate', gamestate => console.log( `gamestate: ${gamestate.configstrings.size} configstrings` ) );
+				reader.on( 'serverCommand', cmd => console.log( `${cmd.commandSequence}: ${cmd.command}` ) );
+			} );
+			note( `read ${res.messages} messages${res.truncated ? ' (truncated)' : ''}` );
+		},
 	},
 
 	/**
 	 * query all servers that are broadcasting to this master server
 	 * chains getservers -> getserversResponse -> getinfo -> infoResponse -> getstatus -> statusResponse
 	 */
-	'feed': args => {
-		if ( args.length !== 2 ) {
-			return console.log( 'usage: feed <ip[:port]>' );
-		}
-
-		let addr = args[1].split( ':' );
-		let ip = addr[0];
-		let port = (addr.length === 2) ? +addr[1] : 29060;
+	'feed': {
+		usage: '[options] [ip[:port]]',
+		description: 'query every server listed by a master, the game\'s by default (exits with 1 if none responded)',
+		args: [ 0, 1 ],
+		options: [ 'game', 'protocol', 'concurrency', 'challenge', 'ping', 'timeout', 'format' ],
+		run: async (args, opts) => {
+			const { ip, port } = defaultMaster( args, opts.game );
 
-		const comms = new JKComms();
-		console.log( `getting servers from ${ip}:${port}` );
-		comms.ctm_getservers( { ip, port }, {}, (err, servers) => {
-			if ( err ) {
-				return console.log( `handlers::getservers err: ${JSON.stringify( err )}` );
-			}
+			const scanner = new JKScanner( {
+				master: { ip, port, protocol: opts.protocol, game: opts.game.id },
+				concurrency: opts.concurrency,
+				challenge: opts.challenge,
+				ping: opts.ping,
+				timeout: opts.timeout,
+			} );
+			const output = new Output( opts.format, opts.ping ? serverColumns : serverColumns.slice( 0, -1 ), opts.game.palette );
+			note( `getting servers from ${endpoint.formatEndpoint( { ip, port } )}` );
+			scanner.on( 'servers', servers => note( `querying ${servers.length} servers` ) );
+			scanner.on( 'result', (address, res) => output.write( serverRow( address, res.info, res.status, res.latency ) ) );
+			scanner.on( 'failure', (address, err, reason) => note( `${endpoint.formatEndpoint( address )} ${reason}: ${err.message}` ) );
 
-			for ( let server of servers ) {
-				process.nextTick( server => {
-					const comms2 = new JKComms();
-
-					const dest = { ip: server.ip, port: server.port };
-					comms2.cts_getinfo( dest, { killOnFirstRes: true }, (err, info) => {
-						if ( err ) {
-							return console.log( `handlers::serverstatus err: ${JSON.stringify( err )}` );
-						}
-
-						process.nextTick( info => {
-							const dest = { ip: info.source.ip, port: info.source.port };
-							comms2.cts_getstatus( dest, { retainSocket: false, killOnFirstRes: true }, (err, status) => {
-								if ( err ) {
-									return console.log( `handlers::serverstatus err: ${JSON.stringify( err )}` );
-								}
-								console.log( `info: ${JSON.stringify( info, null, '\t' )}` );
-								console.log( `status: ${JSON.stringify( status, null, '\t' )}` );
-							} );
-						}, info );
-					} );
-				}, server );
-			}
-		} );
+			const summary = await scanner.scan();
+			output.end();
+			note( `responded: ${summary.responded.length}, timed out: ${summary.timedOut.length}`
+				+ `, malformed: ${summary.malformed.length}, failed: ${summary.failed.length}`
+				+ (summary.deadlineReached ? ' (deadline reached)' : '') );
+			return summary.responded.length ? 0 : 1;
+		},
 	},
 };
 
-if ( module.parent === null ) {
-	if ( process.stdout.isTTY ) {
-		console.log( 'running jkutils from cli' );
-	}
+/**
+ * @returns {string}
+ */
+function formatCommandList() {
+	const width = Math.max( ...Object.keys( commands ).map( name => name.length ) );
+	const lines = Object.keys( commands ).map( name => `  ${name.padEnd( width )}  ${commands[name].description}` );
+	return `usage: jkutils <command> [options], jkutils <command> --help for details\n\ncommands:\n${lines.join( '\n' )}`;
+}
 
+if ( module.parent === null ) {
 	// cut off the process and script name
-	let args = process.argv.slice( 2 );
+	const argv = process.argv.slice( 2 );
+	const name = argv[0];
 
-	let handlerFunc = handlers[args[0]];
-	if ( !handlerFunc ) {
-		console.log( `please specify a command:\n  ${Object.keys( handlers ).join( '\n  ' )}` );
-		process.exit( 1 );
+	if ( name === undefined || name === 'help' || name === '--help' || name === '-h' ) {
+		console.log( formatCommandList() );
+		process.exitCode = (name === undefined) ? 2 : 0;
+	}
+	else if ( !Object.prototype.hasOwnProperty.call( commands, name ) ) {
+		note( `unknown command "${name}"\n\n${formatCommandList()}` );
+		process.exitCode = 2;
+	}
+	else {
+		const command = commands[name];
+		Promise.resolve()
+			.then( () => {
+				const { args, opts } = parseArgs( argv.slice( 1 ), command );
+				if ( opts.help ) {
+					return console.log( formatHelp( name, command ) );
+				}
+				return command.run( args, opts );
+			} )
+			.then( code => {
+				if ( code ) {
+					process.exitCode = code;
+				}
+			} )
+			.catch( err => {
+				if ( err.code === 'USAGE' ) {
+					note( `${name}: ${err.message}\nusage: ${name} ${command.usage}, ${name} --help for details` );
+					process.exitCode = 2;
+					return;
+				}
+				note( `${name}: ${err.message || err}` );
+				process.exitCode = 1;
+			} );
 	}
-	handlerFunc( args );
 }
@@ -4,8 +4,25 @@
 'use strict';
 
 module.exports = {
+	colours: require( './lib/colours' ),
+	endpoint: require( './lib/endpoint' ),
+	errors: require( './lib/errors' ),
+	games: require( './lib/games' ),
+	huffman: require( './lib/huffman' ),
 	JKComms: require( './lib/jkcomms' ),
+	JKDemoReader: require( './lib/jkdemo' ),
+	JKExporter: require( './lib/jkexporter' ),
+	JKGateway: require( './lib/jkgateway' ),
+	JKMaster: require( './lib/jkmaster' ),
+	JKQueryEngine: require( './lib/jkquery-engine' ),
+	JKScanner: require( './lib/jkscanner' ),
+	JKServerEmulator: require( './lib/jkserver-emulator' ),
 	JKSocket: require( './lib/jksocket' ),
 	JKUtils: require( './lib/jkutils' ),
+	JKWatcher: require( './lib/jkwatcher' ),
+	LoopbackTransport: require( './lib/loopback-transport' ),
+	Q3BitMessageParser: require( './lib/bit-message-parser' ),
 	Q3MessageParser: require( './lib/message-parser' ),
+	ReplayTransport: require( './lib/replay-transport' ),
+	ServerInfo: require( './lib/server-info' ),
 };
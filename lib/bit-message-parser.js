@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * Q3 netchan message parser (MSG_ReadBits and friends in msg.c)
+ * unlike OOB messages, netchan messages are a bitstream: every whole byte is huffman coded with the static
+ * 	message tree, leftover bits (e.g. the low 2 bits of a 10 bit field) are stored raw
+ * used for the messages stored in demos, which are saved after the netchan headers have been read
+ * reading past the end of the message throws JKParseError, where the engine would return -1 and flag an overflow
+ */
+
+// internal modules
+const { JKParseError } =	require( './errors' );
+const huffman =				require( './huffman' );
+const Q3MessageParser =		require( './message-parser' );
+
+// same limits as the engine
+const MAX_STRING_CHARS = 1024;
+const BIG_INFO_STRING = 8192;
+
+module.exports = class Q3BitMessageParser extends Q3MessageParser {
+
+	/**
+	 * @constructor
+	 * @param {Buffer} msg netchan message, without headers
+	 * @param {huffman.HuffmanTree} [tree] default: the engine's static message tree
+	 */
+	constructor( msg, tree=huffman.HuffmanTree.messageTree() ) {
+		super( msg, false );
+		this.tree = tree;
+		this.reader = new huffman.BitReader( msg );
+	}
+
+	/**
+	 * current read position in bits
+	 * @returns {number}
+	 */
+	get bit() {
+		return this.reader.bit;
+	}
+
+	/**
+	 * read an arbitrary number of bits
+	 * @param {number} bits 1 - 32, negative for a sign extended value
+	 * @returns {number}
+	 * @throws {JKParseError} past the end of the message or on a code the tree can't decode, offset is where the read
+	 * 	started
+	 */
+	readBits( bits ) {
+		const signed = bits < 0;
+		if ( signed ) {
+			bits = -bits;
+		}
+		const start = this.reader.bit;
+
+		let value = 0;
+		let read = 0;
+		// odd bits first, stored raw
+		const oddBits = bits & 7;
+		for ( ; read < oddBits; read++ ) {
+			value |= this.reader.readBit() << read;
+		}
+		// then a huffman coded symbol per byte
+		for ( ; read < bits; read += 8 ) {
+			const symbol = this.tree.decodeSymbol( this.reader );
+			if ( symbol === -1 ) {
+				throw new JKParseError( `Q3BitMessageParser: can't decode a symbol at bit ${start}`,
+					{ packet: this.msg, offset: start >> 3 } );
+			}
+			value |= symbol << read;
+		}
+		// keep the byte offset in line, like msg->readcount
+		this.offset = (this.reader.bit >> 3) + 1;
+		if ( this.overflowed() ) {
+			throw new JKParseError( `Q3BitMessageParser: can't read ${bits} bits at bit ${start}, message is ${this.msg.length} bytes`,
+				{ packet: this.msg, offset: start >> 3 } );
+		}
+
+		if ( signed && bits < 32 && (value & (1 << (bits - 1))) ) {
+			value |= -1 ^ ((1 << bits) - 1);
+		}
+		// 32 bit values end up signed from the shifts above, unsigned reads want them positive
+		return (signed || bits < 32) ? value : value >>> 0;
+	}
+
+	/**
+	 * whether a read went past the end of the message
+	 * @returns {boolean}
+	 */
+	overflowed() {
+		return this.reader.bit > this.msg.length * 8;
+	}
+
+	/**
+	 * @returns {number}
+	 * @throws {JKParseError} if past the end of the message
+	 */
+	readByte() {
+		return this.readBits( 8 );
+	}
+
+	/**
+	 * @returns {number}
+	 * @throws {JKParseError} if past the end of the message
+	 */
+	readShort() {
+		return this.readBits( -16 );
+	}
+
+	/**
+	 * @returns {number}
+	 * @throws {JKParseError} if past the end of the message
+	 */
+	readLong() {
+		return this.readBits( -32 );
+	}
+
+	/**
+	 * read a null terminated string, bytes are kept as-is (latin1)
+	 * @param {number} [maxLength] default: 1024 (MAX_STRING_CHARS), including the terminator
+	 * @returns {string}
+	 * @throws {JKParseError} if the message ends before the terminator
+	 */
+	readString( maxLength=MAX_STRING_CHARS ) {
+		const bytes = [];
+		do {
+			const c = this.readByte();
+			if ( c === 0 ) {
+				break;
+			}
+			bytes.push( c );
+		} while ( bytes.length < maxLength - 1 );
+		return Buffer.from( bytes ).toString( 'latin1' );
+	}
+
+	/**
+	 * read a null terminated string of up to 8192 characters (configstrings)
+	 * @returns {string}
+	 */
+	readBigString() {
+		return this.readString( BIG_INFO_STRING );
+	}
+
+	/**
+	 * read raw bytes (each is still huffman coded)
+	 * @param {number} numBytes
+	 * @returns {Buffer}
+	 * @throws {JKParseError} if fewer than numBytes are left
+	 */
+	readData( numBytes ) {
+		const data = Buffer.alloc( numBytes );
+		for ( let i = 0; i < numBytes; i++ ) {
+			data[i] = this.readByte();
+		}
+		return data;
+	}
+
+	/**
+	 * @returns how many bytes are available to read
+	 */
+	remainingBytes() {
+		return Math.max( this.msg.length - (this.reader.bit >> 3), 0 );
+	}
+
+};
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * Q3 colour codes ("^1red ^7white")
+ * parses strings into coloured spans and renders them for terminals (ANSI) or the web (HTML)
+ *
+ * which codes are valid depends on the game:
+ * 	q3, jo	any character after '^' except another '^' is a colour, the palette index is (char - '0') & 7
+ * 			so the extended "^a"-style codes some mods use map onto the 8 base colours
+ * 	ja		only ^0 - ^7, anything else is printed as-is
+ * 	openjk	^0 - ^9 (adds orange and grey)
+ * in every game "^^" is not a colour code: the first '^' is printed, the second may start a code
+ */
+
+/**
+ * colour palette
+ * @typedef {Object} JKPalette
+ * @property {Object<string, JKPaletteColour>} colours keyed by code character
+ * @property {boolean} [mask] treat every character as a code, mapped onto '0' - '7' like Q3's ColorIndex()
+ */
+
+/**
+ * @typedef {Object} JKPaletteColour
+ * @property {string} rgb css colour
+ * @property {number} ansi SGR foreground code
+ */
+
+/**
+ * coloured run of text
+ * @typedef {Object} JKColourSpan
+ * @property {string} text
+ * @property {string} code palette key ('0' - '9', extended codes are mapped), null before the first code
+ * @property {JKPaletteColour} colour null before the first code
+ */
+
+const baseColours = {
+	// black is rendered as dark grey so it stays visible on dark terminals
+	'0': { rgb: '#000000', ansi: 90 },
+	'1': { rgb: '#ff0000', ansi: 31 },
+	'2': { rgb: '#00ff00', ansi: 32 },
+	'3': { rgb: '#ffff00', ansi: 33 },
+	'4': { rgb: '#0000ff', ansi: 34 },
+	'5': { rgb: '#00ffff', ansi: 36 },
+	'6': { rgb: '#ff00ff', ansi: 35 },
+	'7': { rgb: '#ffffff', ansi: 37 },
+};
+
+const palettes = {
+	q3: { colours: baseColours, mask: true },
+	jo: { colours: baseColours, mask: true },
+	ja: { colours: baseColours },
+	openjk: {
+		colours: Object.assign( {}, baseColours, {
+			'8': { rgb: '#ff8000', ansi: 33 },
+			'9': { rgb: '#808080', ansi: 90 },
+		} ),
+	},
+};
+
+const defaultPalette = 'openjk';
+
+/**
+ * look up a palette by name, or pass a custom one through
+ * @param {string|JKPalette} [palette]
+ * @returns {JKPalette}
+ */
+function getPalette( palette=defaultPalette ) {
+	if ( typeof palette !== 'string' ) {
+		return palette;
+	}
+	if ( !palettes[palette] ) {
+		throw new TypeError( `unknown palette "${palette}"` );
+	}
+	return palettes[palette];
+}
+
+/**
+ * resolve the palette key for the character following a '^'
+ * @param {JKPalette} palette
+ * @param {string} c
+ * @returns {string} null if `c` does not form a colour code
+ */
+function colourCode( palette, c ) {
+	if ( c === undefined || c === '^' ) {
+		return null;
+	}
+	if ( palette.colours[c] ) {
+		return c;
+	}
+	if ( palette.mask ) {
+		return String( (c.charCodeAt( 0 ) - 0x30) & 7 );
+	}
+	return null;
+}
+
+/**
+ * split a string into coloured spans, empty spans are dropped
+ * @param {string} s
+ * @param {string|JKPalette} [palette] default: openjk
+ * @returns {JKColourSpan[]}
+ */
+function parse( s, palette ) {
+	const pal = getPalette( palette );
+	const spans = [];
+	let span = { text: '', code: null, colour: null };
+	for ( let i = 0; i < s.length; i++ ) {
+		const code = (s[i] === '^') ? colourCode( pal, s[i + 1] ) : null;
+		if ( code !== null ) {
+			if ( span.text ) {
+				spans.push( span );
+			}
+			span = { text: '', code, colour: pal.colours[code] };
+			i++;
+			continue;
+		}
+		span.text += s[i];
+	}
+	if ( span.text ) {
+		spans.push( span );
+	}
+	return spans;
+}
+
+/**
+ * remove colour codes
+ * @param {string} s
+ * @param {string|JKPalette} [palette] default: openjk
+ * @returns {string}
+ */
+function strip( s, palette ) {
+	return parse( s, palette ).map( span => span.text ).join( '' );
+}
+
+/**
+ * render for a terminal
+ * @param {string} s
+ * @param {object} [opts]
+ * @param {string|JKPalette} [opts.palette] default: openjk
+ * @param {boolean} [opts.truecolor] use 24-bit colour instead of the basic 16 colours
+ * @returns {string}
+ */
+function toANSI( s, opts={} ) {
+	const spans = parse( s, opts.palette );
+	let out = '';
+	for ( let span of spans ) {
+		if ( !span.colour ) {
+			out += span.text;
+		}
+		else if ( opts.truecolor ) {
+			const rgb = parseInt( span.colour.rgb.slice( 1 ), 16 );
+			out += `\x1b[38;2;${(rgb >> 16) & 0xFF};${(rgb >> 8) & 0xFF};${rgb & 0xFF}m${span.text}`;
+		}
+		else {
+			out += `\x1b[${span.colour.ansi}m${span.text}`;
+		}
+	}
+	// reset only if we changed something
+	if ( spans.some( span => span.colour ) ) {
+		out += '\x1b[0m';
+	}
+	return out;
+}
+
+/**
+ * escape text for use in HTML
+ * @param {string} s
+ * @returns {string}
+ */
+function escapeHTML( s ) {
+	return s.replace( /[&<>"']/g, c => ({
+		'&': '&amp;',
+		'<': '&lt;',
+		'>': '&gt;',
+		'"': '&quot;',
+		'\'': '&#39;',
+	})[c] );
+}
+
+/**
+ * render as HTML, text is escaped
+ * @param {string} s
+ * @param {object} [opts]
+ * @param {string|JKPalette} [opts.palette] default: openjk
+ * @param {string} [opts.classPrefix] emit `class="<prefix><code>"` instead of inline styles
+ * @returns {string}
+ */
+function toHTML( s, opts={} ) {
+	return parse( s, opts.palette ).map( span => {
+		const text = escapeHTML( span.text );
+		if ( !span.colour ) {
+			return text;
+		}
+		if ( opts.classPrefix ) {
+			return `<span class="${escapeHTML( opts.classPrefix + span.code )}">${text}</span>`;
+		}
+		return `<span style="color:${span.colour.rgb}">${text}</span>`;
+	} ).join( '' );
+}
+
+module.exports = {
+	palettes,
+	defaultPalette,
+	parse,
+	strip,
+	toANSI,
+	toHTML,
+	escapeHTML,
+};
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * endpoints: parsing "host[:port]" and resolving hostnames
+ * 	host, host:port, ipv4, ipv4:port, ipv6 (bare, no port) and [ipv6]:port are understood
+ * 	the port defaults to the well-known one of what's being addressed (see defaultPorts)
+ * hostnames are resolved asynchronously (the OS resolver, so /etc/hosts applies) and cached for `ttl`
+ * 	concurrent lookups of the same name share one request, failed lookups aren't cached
+ */
+
+// core modules
+const dns =			require( 'dns' );
+const net =			require( 'net' );
+
+// third party modules
+const debug =		require( 'debug' )( 'endpoint' );
+
+// internal modules
+const { JKError } =	require( './errors' );
+
+/**
+ * well-known ports
+ */
+const defaultPorts = {
+	master: 29060,
+	server: 29070,
+};
+
+/**
+ * Resolver options
+ * @typedef {Object} ResolverOpts
+ * @property {number} [ttl] default: 60000ms (how long a resolved address is reused)
+ * @property {number} [maxEntries] default: 1000 (oldest entries are dropped first)
+ * @property {function} [lookup] default: dns.promises.lookup, ( hostname, opts ) => Promise<{ address, family }>
+ */
+
+/**
+ * split "host[:port]" (IPv6 addresses must be bracketed to carry a port)
+ * @param {string} str
+ * @param {number|string} [defaultPort] port number, or a key of defaultPorts ('master', 'server')
+ * @returns {Object} { host, port }
+ * @throws {TypeError} on a missing host or a bad port
+ */
+function parseEndpoint( str, defaultPort ) {
+	if ( typeof str !== 'string' ) {
+		throw new TypeError( 'endpoint must be a string' );
+	}
+	if ( typeof defaultPort === 'string' ) {
+		if ( !defaultPorts[defaultPort] ) {
+			throw new TypeError( `no default port for "${defaultPort}"` );
+		}
+		defaultPort = defaultPorts[defaultPort];
+	}
+
+	let host = str;
+	let port = null;
+	const bracketed = /^\[([^\]]+)\](?::(.*))?$/.exec( str );
+	if ( bracketed ) {
+		host = bracketed[1];
+		port = bracketed[2];
+	}
+	else if ( str.indexOf( ':' ) === str.lastIndexOf( ':' ) && str.indexOf( ':' ) !== -1 ) {
+		[ host, port ] = str.split( ':' );
+	}
+
+	if ( !host ) {
+		throw new TypeError( `missing host in "${str}"` );
+	}
+	if ( port === null || port === undefined ) {
+		if ( !defaultPort ) {
+			throw new TypeError( `missing port in "${str}"` );
+		}
+		return { host, port: defaultPort };
+	}
+	if ( !/^\d+$/.test( port ) || +port < 1 || +port > 65535 ) {
+		throw new TypeError( `bad port in "${str}"` );
+	}
+	return { host, port: +port };
+}
+
+/**
+ * @param {Object} endpoint { host, port } or { ip, port }
+ * @returns {string} host:port, [host]:port for IPv6
+ */
+function formatEndpoint( endpoint ) {
+	const host = (endpoint.host !== undefined) ? endpoint.host : endpoint.ip;
+	return net.isIPv6( host ) ? `[${host}]:${endpoint.port}` : `${host}:${endpoint.port}`;
+}
+
+/**
+ * caching hostname resolver
+ */
+class Resolver {
+
+	/**
+	 * @constructor
+	 * @param {ResolverOpts} [opts]
+	 */
+	constructor( opts={} ) {
+		this.ttl = (opts.ttl !== undefined) ? opts.ttl : 60 * 1000;
+		this.maxEntries = opts.maxEntries || 1000;
+		this.lookup = opts.lookup || dns.promises.lookup;
+
+		// hostname -> { expires, promise }, in insertion order
+		this.cache = new Map();
+	}
+
+	/**
+	 * resolve a hostname to an IP address, IP addresses are passed through as-is
+	 * IPv4 addresses are preferred, most servers and masters don't listen on IPv6
+	 * @param {string} host
+	 * @returns {Promise<string>} rejects with a JKError whose `code` is the resolver's (ENOTFOUND etc) and `host` the name
+	 */
+	resolve( host ) {
+		if ( !host ) {
+			return Promise.reject( new TypeError( 'host must be specified' ) );
+		}
+		if ( net.isIP( host ) ) {
+			return Promise.resolve( host );
+		}
+
+		const key = host.toLowerCase();
+		const now = Date.now();
+		const hit = this.cache.get( key );
+		if ( hit && hit.expires > now ) {
+			return hit.promise;
+		}
+		this.cache.delete( key );
+
+		// make room, oldest first
+		for ( let [ oldKey, entry ] of this.cache ) {
+			if ( this.cache.size < this.maxEntries && entry.expires > now ) {
+				break;
+			}
+			this.cache.delete( oldKey );
+		}
+
+		debug( `resolving ${host}` );
+		const entry = { expires: Infinity, promise: null };
+		entry.promise = Promise.resolve()
+			.then( () => this.lookup( host, { verbatim: false } ) )
+			.then( res => {
+				debug( `${host} -> ${res.address}` );
+				entry.expires = Date.now() + this.ttl;
+				return res.address;
+			}, err => {
+				if ( this.cache.get( key ) === entry ) {
+					this.cache.delete( key );
+				}
+				const reason = (err.code === 'ENOTFOUND') ? 'unknown host' : `can't resolve host (${err.code || err.message})`;
+				const resolveErr = /** @type {JKError & { host: string }} */ (new JKError( `${reason} "${host}"`, { code: err.code, cause: err } ));
+				resolveErr.host = host;
+				throw resolveErr;
+			} );
+		this.cache.set( key, entry );
+		return entry.promise;
+	}
+
+	/**
+	 * forget every cached address
+	 */
+	clear() {
+		this.cache.clear();
+	}
+
+}
+
+// shared by everything that doesn't bring its own
+const defaultResolver = new Resolver();
+
+module.exports = {
+	defaultPorts,
+
+	parseEndpoint,
+
+	formatEndpoint,
+
+	Resolver,
+
+	defaultResolver,
+
+	/**
+	 * resolve with the shared resolver, see Resolver.resolve
+	 * @param {string} host
+	 * @returns {Promise<string>}
+	 */
+	resolve: host => defaultResolver.resolve( host ),
+};
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * error classes, so failures can be told apart without matching message text
+ * 	JKError					base class, also used as is for send failures (`code` and `cause` are the socket's), rcon
+ * 							refusals (BAD_RCON_PASSWORD etc) and unresolvable hosts (ENOTFOUND etc, with `host`)
+ * 	JKTimeoutError			no reply (or no further reply) in time
+ * 	JKProtocolError			reply with an unexpected command or challenge, see `expected` and `received`
+ * 	JKAddressMismatchError	reply from another address than the one queried, see `source` (strict mode only)
+ * 	JKParseError			malformed message, see `offset`
+ * every error carries
+ * 	address	{ ip, port } of the server/master queried, null if there's none
+ * 	packet	the datagram involved (OOB prefix included): the reply for complaints about it, otherwise the request, null
+ * 			if there's none
+ * AbortSignal cancellations are reported with the usual AbortError instead
+ */
+
+/**
+ * JKError details
+ * @typedef {Object} JKErrorDetails
+ * @property {Object} [address] { ip, port }
+ * @property {Buffer} [packet]
+ * @property {string} [code]
+ * @property {Error} [cause]
+ */
+
+class JKError extends Error {
+
+	/**
+	 * @constructor
+	 * @param {string} message
+	 * @param {JKErrorDetails} [details]
+	 */
+	constructor( message, details={} ) {
+		super( message );
+		this.name = this.constructor.name;
+		this.address = details.address ? { ip: details.address.ip, port: details.address.port } : null;
+		this.packet = details.packet || null;
+		if ( details.code !== undefined ) {
+			this.code = details.code;
+		}
+		if ( details.cause !== undefined ) {
+			this.cause = details.cause;
+		}
+	}
+
+}
+
+class JKTimeoutError extends JKError {}
+
+class JKProtocolError extends JKError {
+
+	/**
+	 * @constructor
+	 * @param {string} message
+	 * @param {JKErrorDetails & { expected: string, received: string }} details expected/received command or challenge
+	 */
+	constructor( message, details ) {
+		super( message, details );
+		this.expected = details.expected;
+		this.received = details.received;
+	}
+
+}
+
+class JKAddressMismatchError extends JKError {
+
+	/**
+	 * @constructor
+	 * @param {Object} address { ip, port } queried
+	 * @param {Object} source { ip, port } the reply came from
+	 * @param {Buffer} [packet] the reply
+	 */
+	constructor( address, source, packet ) {
+		super( `response came from \`${source.ip}:${source.port}\`, expected \`${address.ip}:${address.port}\``, { address, packet } );
+		this.source = { ip: source.ip, port: source.port };
+	}
+
+}
+
+class JKParseError extends JKError {
+
+	/**
+	 * @constructor
+	 * @param {string} message
+	 * @param {JKErrorDetails & { offset: number }} details offset where parsing failed
+	 */
+	constructor( message, details ) {
+		super( message, details );
+		this.offset = details.offset;
+	}
+
+}
+
+module.exports = {
+	JKError,
+	JKTimeoutError,
+	JKProtocolError,
+	JKAddressMismatchError,
+	JKParseError,
+};
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * game profiles: what tells the Q3 engine games apart on the wire
+ * 	const ja = games.get( 'ja' );
+ * 	comms.getServers( { game: 'jo' } ); // master, port and protocol from the profile
+ * profiles:
+ * 	jo		Jedi Outcast 1.04
+ * 	jo102	Jedi Outcast 1.02
+ * 	ja		Jedi Academy 1.01 (the default)
+ * 	q3a		Quake III Arena 1.32
+ * 	rtcw	Return to Castle Wolfenstein 1.41
+ * 	et		Wolfenstein: Enemy Territory 2.60b
+ *
+ * dialect quirks are described by `palette` (which colour codes names may contain), `gametypes` (g_gametype names)
+ * 	and `userinfo` (what a client connecting for real would send, e.g. a model the game has)
+ */
+
+// internal modules
+const JKUtils =	require( './jkutils' );
+
+/**
+ * game profile
+ * @typedef {Object} JKGameProfile
+ * @property {string} id key of `profiles`
+ * @property {string} name
+ * @property {string} protocol sent with getservers/connect, reported by servers as `protocol`
+ * @property {string[]} masters hostnames of the public masters, the first one is used by default
+ * @property {number} masterPort
+ * @property {number} serverPort
+ * @property {string} heartbeat game string servers send masters, see JKUtils.protocolStrings
+ * @property {string} palette colour codes, see colours.js
+ * @property {string[]} gametypes names indexed by g_gametype (bg_public.h)
+ * @property {Object} userinfo sent by JKComms.cts_connect unless overridden
+ */
+
+const joGametypes = [ 'FFA', 'Holocron', 'Jedi Master', 'Duel', 'Single Player', 'Team FFA', 'Saga', 'CTF', 'CTY' ];
+const q3Gametypes = [ 'FFA', 'Tournament', 'Single Player', 'Team DM', 'CTF' ];
+
+/**
+ * @type {Object<string, JKGameProfile>}
+ */
+const profiles = {
+	jo: {
+		id: 'jo',
+		name: JKUtils.protocolNumbers['16'],
+		protocol: '16',
+		masters: [ 'masterjk2.ravensoft.com', 'master.jk2mv.org' ],
+		masterPort: 28060,
+		serverPort: 28070,
+		heartbeat: 'QuakeArena-1',
+		palette: 'jo',
+		gametypes: joGametypes,
+		userinfo: { model: 'kyle/default' },
+	},
+	jo102: {
+		id: 'jo102',
+		name: JKUtils.protocolNumbers['15'],
+		protocol: '15',
+		masters: [ 'masterjk2.ravensoft.com', 'master.jk2mv.org' ],
+		masterPort: 28060,
+		serverPort: 28070,
+		heartbeat: 'QuakeArena-1',
+		palette: 'jo',
+		gametypes: joGametypes,
+		userinfo: { model: 'kyle/default' },
+	},
+	ja: {
+		id: 'ja',
+		name: JKUtils.protocolNumbers['26'],
+		protocol: '26',
+		masters: [ 'masterjk3.ravensoft.com', 'master.jkhub.org' ],
+		masterPort: 29060,
+		serverPort: 29070,
+		heartbeat: 'QuakeArena-1',
+		// most servers run OpenJK, whose ^8 and ^9 base JA would show as text
+		palette: 'openjk',
+		gametypes: [ 'FFA', 'Holocron', 'Jedi Master', 'Duel', 'Power Duel', 'Single Player', 'Team FFA', 'Siege', 'CTF', 'CTY' ],
+		userinfo: { model: 'kyle/default' },
+	},
+	q3a: {
+		id: 'q3a',
+		name: 'Quake III Arena 1.32',
+		protocol: '68',
+		masters: [ 'master.quake3arena.com', 'master.ioquake3.org' ],
+		masterPort: 27950,
+		serverPort: 27960,
+		heartbeat: 'QuakeArena-1',
+		palette: 'q3',
+		gametypes: q3Gametypes,
+		userinfo: { model: 'sarge' },
+	},
+	rtcw: {
+		id: 'rtcw',
+		name: 'Return to Castle Wolfenstein 1.41',
+		protocol: '60',
+		masters: [ 'wolfmaster.idsoftware.com' ],
+		masterPort: 27950,
+		serverPort: 27960,
+		heartbeat: 'Wolfenstein-1',
+		palette: 'q3',
+		gametypes: q3Gametypes.concat( [ 'Objective', 'Stopwatch', 'Checkpoint' ] ),
+		userinfo: {},
+	},
+	et: {
+		id: 'et',
+		name: 'Wolfenstein: Enemy Territory 2.60b',
+		protocol: '84',
+		masters: [ 'etmaster.idsoftware.com', 'master.etlegacy.com' ],
+		masterPort: 27950,
+		serverPort: 27960,
+		heartbeat: 'EnemyTerritory-1',
+		palette: 'q3',
+		gametypes: [ 'Single Player', 'Co-op', 'Objective', 'Stopwatch', 'Campaign', 'Last Man Standing' ],
+		userinfo: {},
+	},
+};
+
+const defaultGame = 'ja';
+
+/**
+ * @param {string} id
+ * @returns {boolean} whether there's a profile by that id
+ */
+function has( id ) {
+	return Object.prototype.hasOwnProperty.call( profiles, id );
+}
+
+/**
+ * look up a profile
+ * @param {string} [id] default: ja
+ * @returns {JKGameProfile}
+ * @throws {TypeError} on an unknown game
+ */
+function get( id ) {
+	const key = id || defaultGame;
+	if ( !has( key ) ) {
+		throw new TypeError( `unknown game "${key}", expected one of: ${Object.keys( profiles ).join( ', ' )}` );
+	}
+	return profiles[key];
+}
+
+/**
+ * @param {string|number} protocol
+ * @returns {JKGameProfile} null if no game uses it
+ */
+function byProtocol( protocol ) {
+	const id = Object.keys( profiles ).find( key => profiles[key].protocol === `${protocol}` );
+	return id ? profiles[id] : null;
+}
+
+module.exports = {
+	profiles,
+
+	defaultGame,
+
+	has,
+
+	get,
+
+	byProtocol,
+};
@@ -0,0 +1,477 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * Q3 adaptive huffman codec, a port of qcommon/huffman.c
+ * the engine uses it for:
+ * 	- `connect` packets: everything after "\xFF\xFF\xFF\xFFconnect " is compressed (Huff_Compress/Huff_Decompress)
+ * 	- netchan messages: same tree logic, but pre-seeded with symbol frequencies (see msg.c) and never updated,
+ * 		see HuffmanTree.messageTree()
+ * bits are written least significant bit first within each byte
+ */
+
+// symbol values beyond the byte range
+const NYT = 256; // not yet transmitted
+const INTERNAL_NODE = 257;
+
+// symbol frequencies the engine seeds the netchan tree with (msg_hData in msg.c)
+const msgFrequencies = [
+	250315, 41193, 6292, 7106, 3730, 3750, 6110, 23283, 33317, 6950, 7838, 9714, 9257, 17259, 3949, 1778, // 0x00
+	8288, 1604, 1590, 1663, 1100, 1213, 1238, 1134, 1749, 1059, 1246, 1149, 1273, 4486, 2805, 3472, // 0x10
+	21819, 1159, 1670, 1066, 1043, 1012, 1053, 1070, 1726, 888, 1180, 850, 960, 780, 1752, 3296, // 0x20
+	10630, 4514, 5881, 2685, 4650, 3837, 2093, 1867, 2584, 1949, 1972, 940, 1134, 1788, 1670, 1206, // 0x30
+	5719, 6128, 7222, 6654, 3710, 3795, 1492, 1524, 2215, 1140, 1355, 971, 2180, 1248, 1328, 1195, // 0x40
+	1770, 1078, 1264, 1266, 1168, 965, 1155, 1186, 1347, 1228, 1529, 1600, 2617, 2048, 2546, 3275, // 0x50
+	2410, 3585, 2504, 2800, 2675, 6146, 3663, 2840, 14253, 3164, 2221, 1687, 3208, 2739, 3512, 4796, // 0x60
+	4091, 3515, 5288, 4016, 7937, 6031, 5360, 3924, 4892, 3743, 4566, 4807, 5852, 6400, 6225, 8291, // 0x70
+	23243, 7838, 7073, 8935, 5437, 4483, 3641, 5256, 5312, 5328, 5370, 3492, 2458, 1694, 1821, 2121, // 0x80
+	1916, 1149, 1516, 1367, 1236, 1029, 1258, 1104, 1245, 1006, 1149, 1025, 1241, 952, 1287, 997, // 0x90
+	1713, 1009, 1187, 879, 1099, 929, 1078, 951, 1656, 930, 1153, 1030, 1262, 1062, 1214, 1060, // 0xa0
+	1621, 930, 1106, 912, 1034, 892, 1158, 990, 1175, 850, 1121, 903, 1087, 920, 1144, 1056, // 0xb0
+	3462, 2240, 4397, 12136, 7758, 1345, 1307, 3278, 1950, 886, 1023, 1112, 1077, 1042, 1061, 1071, // 0xc0
+	1484, 1001, 1096, 915, 1052, 995, 1070, 876, 1111, 851, 1059, 805, 1112, 923, 1103, 817, // 0xd0
+	1899, 1872, 976, 841, 1127, 956, 1159, 950, 7791, 954, 1289, 933, 1127, 3207, 1020, 927, // 0xe0
+	1355, 768, 1040, 745, 952, 805, 1073, 740, 1013, 805, 1008, 796, 996, 1057, 11457, 13504, // 0xf0
+];
+
+// built on first use, seeding takes a moment
+let msgTree = null;
+
+/**
+ * adaptive huffman tree shared by the encoder and decoder
+ * nodes are kept in a list ordered by weight, nodes of equal weight form a block that shares a `head` cell
+ * 	pointing at the block leader (the C code uses a node_t** for this)
+ */
+class HuffmanTree {
+
+	/**
+	 * @constructor
+	 */
+	constructor() {
+		const nyt = HuffmanTree.makeNode( NYT, 0 );
+		this.tree = nyt;
+		this.lhead = nyt;
+		// symbol -> leaf node
+		this.loc = new Array( INTERNAL_NODE ).fill( null );
+		this.loc[NYT] = nyt;
+	}
+
+	/**
+	 * @param {number} symbol
+	 * @param {number} weight
+	 * @returns {Object}
+	 */
+	static makeNode( symbol, weight ) {
+		return {
+			symbol,
+			weight,
+			parent: null,
+			left: null,
+			right: null,
+			next: null,
+			prev: null,
+			head: null,
+		};
+	}
+
+	/**
+	 * swap the location of these two nodes in the tree
+	 * @param {Object} node1
+	 * @param {Object} node2
+	 */
+	swap( node1, node2 ) {
+		const par1 = node1.parent;
+		const par2 = node2.parent;
+
+		if ( par1 ) {
+			if ( par1.left === node1 ) {
+				par1.left = node2;
+			}
+			else {
+				par1.right = node2;
+			}
+		}
+		else {
+			this.tree = node2;
+		}
+
+		if ( par2 ) {
+			if ( par2.left === node2 ) {
+				par2.left = node1;
+			}
+			else {
+				par2.right = node1;
+			}
+		}
+		else {
+			this.tree = node1;
+		}
+
+		node1.parent = par2;
+		node2.parent = par1;
+	}
+
+	/**
+	 * swap these two nodes in the linked list (update ranks)
+	 * @param {Object} node1
+	 * @param {Object} node2
+	 */
+	static swapList( node1, node2 ) {
+		let par1 = node1.next;
+		node1.next = node2.next;
+		node2.next = par1;
+
+		par1 = node1.prev;
+		node1.prev = node2.prev;
+		node2.prev = par1;
+
+		if ( node1.next === node1 ) {
+			node1.next = node2;
+		}
+		if ( node2.next === node2 ) {
+			node2.next = node1;
+		}
+		if ( node1.next ) {
+			node1.next.prev = node1;
+		}
+		if ( node2.next ) {
+			node2.next.prev = node2;
+		}
+		if ( node1.prev ) {
+			node1.prev.next = node1;
+		}
+		if ( node2.prev ) {
+			node2.prev.next = node2;
+		}
+	}
+
+	/**
+	 * bump the weight of a node and its ancestors, keeping the sibling property
+	 * @param {Object} node
+	 */
+	increment( node ) {
+		if ( !node ) {
+			return;
+		}
+
+		if ( node.next && node.next.weight === node.weight ) {
+			const lnode = node.head.node;
+			if ( lnode !== node.parent ) {
+				this.swap( lnode, node );
+			}
+			HuffmanTree.swapList( lnode, node );
+		}
+		if ( node.prev && node.prev.weight === node.weight ) {
+			node.head.node = node.prev;
+		}
+		else {
+			// last of its block, the cell is dropped
+			node.head.node = null;
+		}
+		node.weight++;
+		if ( node.next && node.next.weight === node.weight ) {
+			node.head = node.next.head;
+		}
+		else {
+			node.head = { node };
+		}
+		if ( node.parent ) {
+			this.increment( node.parent );
+			if ( node.prev === node.parent ) {
+				HuffmanTree.swapList( node, node.parent );
+				if ( node.head.node === node ) {
+					node.head.node = node.parent;
+				}
+			}
+		}
+	}
+
+	/**
+	 * count an occurrence of a symbol, adding it to the tree the first time it is seen
+	 * @param {number} ch byte value
+	 */
+	addRef( ch ) {
+		if ( this.loc[ch] ) {
+			return this.increment( this.loc[ch] );
+		}
+
+		// first transmission: split the NYT node into a new NYT and the new leaf
+		const lhead = this.lhead;
+		const tnode = HuffmanTree.makeNode( ch, 1 );
+		const tnode2 = HuffmanTree.makeNode( INTERNAL_NODE, 1 );
+
+		tnode2.next = lhead.next;
+		if ( lhead.next ) {
+			lhead.next.prev = tnode2;
+			if ( lhead.next.weight === 1 ) {
+				tnode2.head = lhead.next.head;
+			}
+			else {
+				tnode2.head = { node: tnode2 };
+			}
+		}
+		else {
+			tnode2.head = { node: tnode2 };
+		}
+		lhead.next = tnode2;
+		tnode2.prev = lhead;
+
+		tnode.next = lhead.next;
+		if ( lhead.next ) {
+			lhead.next.prev = tnode;
+			if ( lhead.next.weight === 1 ) {
+				tnode.head = lhead.next.head;
+			}
+			else {
+				// never happens, kept for parity with the engine
+				tnode.head = { node: tnode2 };
+			}
+		}
+		else {
+			// never happens, kept for parity with the engine
+			tnode.head = { node: tnode };
+		}
+		lhead.next = tnode;
+		tnode.prev = lhead;
+
+		if ( lhead.parent ) {
+			// lhead is guaranteed to be the NYT node
+			if ( lhead.parent.left === lhead ) {
+				lhead.parent.left = tnode2;
+			}
+			else {
+				lhead.parent.right = tnode2;
+			}
+		}
+		else {
+			this.tree = tnode2;
+		}
+
+		tnode2.right = tnode;
+		tnode2.left = lhead;
+
+		tnode2.parent = lhead.parent;
+		lhead.parent = tnode2;
+		tnode.parent = tnode2;
+
+		this.loc[ch] = tnode;
+
+		this.increment( tnode2.parent );
+	}
+
+	/**
+	 * write the code for a symbol (NYT followed by the raw byte if it hasn't been seen yet)
+	 * @param {BitWriter} writer
+	 * @param {number} ch
+	 */
+	transmit( writer, ch ) {
+		if ( !this.loc[ch] ) {
+			this.transmit( writer, NYT );
+			for ( let i = 7; i >= 0; i-- ) {
+				writer.writeBit( (ch >> i) & 1 );
+			}
+			return;
+		}
+
+		// walk up to the root, then emit the path from the top down
+		const path = [];
+		for ( let node = this.loc[ch]; node.parent; node = node.parent ) {
+			path.push( (node.parent.right === node) ? 1 : 0 );
+		}
+		for ( let i = path.length - 1; i >= 0; i-- ) {
+			writer.writeBit( path[i] );
+		}
+	}
+
+	/**
+	 * read a symbol (including the raw byte following NYT)
+	 * @param {BitReader} reader
+	 * @returns {number} byte value, or -1 on a broken tree
+	 */
+	receive( reader ) {
+		const symbol = this.decodeSymbol( reader );
+		if ( symbol !== NYT ) {
+			return symbol;
+		}
+		let ch = 0;
+		for ( let i = 0; i < 8; i++ ) {
+			ch = (ch << 1) + reader.readBit();
+		}
+		return ch;
+	}
+
+	/**
+	 * walk the tree down to a leaf without updating it (Huff_offsetReceive)
+	 * @param {BitReader} reader
+	 * @returns {number} symbol (NYT included), or -1 on a broken tree
+	 */
+	decodeSymbol( reader ) {
+		let node = this.tree;
+		while ( node && node.symbol === INTERNAL_NODE ) {
+			node = reader.readBit() ? node.right : node.left;
+		}
+		return node ? node.symbol : -1;
+	}
+
+	/**
+	 * build a tree that has already seen each byte `frequencies[byte]` times
+	 * @param {number[]} frequencies 256 counts
+	 * @returns {HuffmanTree}
+	 */
+	static fromFrequencies( frequencies ) {
+		const huff = new HuffmanTree();
+		frequencies.forEach( (count, ch) => {
+			for ( let i = 0; i < count; i++ ) {
+				huff.addRef( ch );
+			}
+		} );
+		return huff;
+	}
+
+	/**
+	 * the static tree netchan messages (and so demos) are coded with, shared and never updated
+	 * @returns {HuffmanTree}
+	 */
+	static messageTree() {
+		if ( !msgTree ) {
+			msgTree = HuffmanTree.fromFrequencies( msgFrequencies );
+		}
+		return msgTree;
+	}
+
+}
+
+/**
+ * LSB-first bit writer
+ */
+class BitWriter {
+
+	/**
+	 * @constructor
+	 * @param {number} [size] initial capacity in bytes
+	 */
+	constructor( size=64 ) {
+		this.buffer = Buffer.alloc( size );
+		this.bit = 0;
+	}
+
+	/**
+	 * @param {number} bit 0 or 1
+	 */
+	writeBit( bit ) {
+		const byte = this.bit >> 3;
+		if ( byte >= this.buffer.length ) {
+			const grown = Buffer.alloc( this.buffer.length * 2 );
+			this.buffer.copy( grown );
+			this.buffer = grown;
+		}
+		this.buffer[byte] |= bit << (this.bit & 7);
+		this.bit++;
+	}
+
+	/**
+	 * @returns {Buffer} written bytes, the last one zero padded
+	 */
+	toBuffer() {
+		return this.buffer.slice( 0, (this.bit + 7) >> 3 );
+	}
+
+}
+
+/**
+ * LSB-first bit reader, reads zeroes past the end
+ */
+class BitReader {
+
+	/**
+	 * @constructor
+	 * @param {Buffer} buffer
+	 * @param {number} [bit] starting bit offset
+	 */
+	constructor( buffer, bit=0 ) {
+		this.buffer = buffer;
+		this.bit = bit;
+	}
+
+	/**
+	 * @returns {number} 0 or 1
+	 */
+	readBit() {
+		const byte = this.bit >> 3;
+		const value = (byte < this.buffer.length) ? (this.buffer[byte] >> (this.bit & 7)) & 1 : 0;
+		this.bit++;
+		return value;
+	}
+
+	/**
+	 * @returns {boolean} whether every bit has been consumed
+	 */
+	exhausted() {
+		return (this.bit >> 3) >= this.buffer.length;
+	}
+
+}
+
+/**
+ * compress data the way Huff_Compress does: 2 byte big endian length, then the adaptive huffman bitstream
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function compress( data ) {
+	const huff = new HuffmanTree();
+	const writer = new BitWriter( data.length + 2 );
+	writer.buffer.writeUInt16BE( data.length, 0 );
+	writer.bit = 16;
+
+	for ( let ch of data ) {
+		huff.transmit( writer, ch );
+		huff.addRef( ch );
+	}
+
+	// like the engine, always round up to the next byte (a whole byte of padding if already aligned)
+	const out = Buffer.alloc( (writer.bit + 8) >> 3 );
+	writer.buffer.copy( out, 0, 0, out.length );
+	return out;
+}
+
+/**
+ * decompress data produced by Huff_Compress
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function decompress( data ) {
+	if ( data.length < 2 ) {
+		return Buffer.alloc( 0 );
+	}
+
+	const huff = new HuffmanTree();
+	const size = data.readUInt16BE( 0 );
+	const reader = new BitReader( data, 16 );
+	const out = [];
+
+	for ( let i = 0; i < size; i++ ) {
+		// don't read past a truncated message (same bound as the engine)
+		if ( (reader.bit >> 3) > data.length ) {
+			break;
+		}
+		const ch = huff.receive( reader );
+		if ( ch === -1 ) {
+			break;
+		}
+		out.push( ch );
+		huff.addRef( ch );
+	}
+
+	return Buffer.from( out );
+}
+
+module.exports = {
+	HuffmanTree,
+	BitReader,
+	BitWriter,
+	compress,
+	decompress,
+	msgFrequencies,
+};
@@ -3,42 +3,403 @@
 
 'use strict';
 
+/* global AbortController */
+
 /**
  * protocol support based on:
  * 	dpmaster, doc/techinfo.txt
  * 	id software ftp, idstuff/quake3/docs/server.txt
  */
 
+// core modules
+const crypto =		require( 'crypto' );
+
 // third party modules
 const debug =		require( 'debug' )( 'comms' );
-const dnsSync =		require( 'dns-sync' );
 
 // internal modules
+const endpoint =		require( './endpoint' );
+const { JKError, JKTimeoutError, JKProtocolError, JKAddressMismatchError } =	require( './errors' );
+const games =			require( './games' );
+const huffman =			require( './huffman' );
 const JKSocket =		require( './jksocket' );
 const JKUtils = 		require( './jkutils' );
 const Q3MessageParser =	require( './message-parser' );
 
+/**
+ * @typedef {import('./jksocket').JKSocketOpts} JKSocketOpts
+ * @typedef {import('./jksocket').JKSocketConfig} JKSocketConfig
+ * @typedef {import('./jkquery-engine')} JKQueryEngine
+ * @typedef {import('./jkcomms')} JKComms
+ */
+
+/**
+ * resolve `opts.ip` without blocking, then carry on with a copy of opts holding the address (normalised, so it
+ * 	compares equal to the source of the replies)
+ * 	the caller's opts are left as they were, a failed lookup or an exception thrown by `next` goes to the callback
+ * @param {object} opts
+ * @param {function} callback the query's callback
+ * @param {function} next receives the resolved copy of opts
+ */
+function withResolvedAddress( opts, callback, next ) {
+	endpoint.resolve( opts.ip ).then( ip => {
+		// out of the promise chain, so exceptions in `next` aren't turned into (unhandled) rejections
+		process.nextTick( () => {
+			try {
+				next( Object.assign( {}, opts, { ip: JKUtils.normaliseIP( ip ) } ) );
+			}
+			catch ( err ) {
+				debug( `JKComms::withResolvedAddress next err: ${err.message}` );
+				callback( err );
+			}
+		} );
+	}, err => {
+		debug( `JKComms::withResolvedAddress err: ${err.message}` );
+		process.nextTick( callback, err );
+	} );
+}
+
+/**
+ * fill in what `opts.game` stands for (see games.js): the first public master and its port for client -> master
+ * 	queries, the server port for client -> server ones, and the protocol
+ * anything given explicitly wins, without a game only the protocol has a default (Jedi Academy's)
+ * @param {object} opts
+ * @param {string} target 'master' or 'server'
+ * @returns {object} copy of opts
+ * @throws {TypeError} on an unknown game
+ */
+function applyGame( opts, target ) {
+	const game = games.get( opts.game );
+	const defaults = { protocol: game.protocol };
+	if ( opts.game && target === 'master' ) {
+		defaults.ip = game.masters[0];
+		defaults.port = game.masterPort;
+	}
+	else if ( opts.game ) {
+		defaults.port = game.serverPort;
+	}
+
+	const applied = Object.assign( {}, opts );
+	for ( let key of Object.keys( defaults ) ) {
+		if ( !applied[key] ) {
+			applied[key] = defaults[key];
+		}
+	}
+	return applied;
+}
+
+/**
+ * decode the server list following a getserversResponse/getserversExtResponse command
+ * @param {Q3MessageParser} parser positioned right after the command
+ * @returns {Object} { servers, sentinel }
+ */
+function decodeServerList( parser ) {
+	// dpmaster starts with: [ '\\' ]
+	// masterjk3.ravensoft.com starts with: [ '\n', '\0' ]
+	//
+	// the last transmission ends with: [ '\\', 'E', 'O', 'T' ]
+	// previous transmissions end with	: [ '\\', 'E', 'O', 'F' ]
+	// dpmaster also appends this to each msg: [ '\0', '\0', '\0' ]
+	//	masterjk3.ravensoft.com does not
+	//
+	// masterjk3.ravensoft.com has to be helped along the way: skip its header and make sure the list starts with a
+	//	separator
+	const oldOffset = parser.offset;
+	while ( parser.remainingBytes() && [ 0x00, 0x0A ].indexOf( parser.msg.readUInt8( parser.offset ) ) !== -1 ) {
+		parser.skip();
+	}
+	debug( `skipped ${parser.offset-oldOffset} bytes from head (offset: ${parser.offset})` );
+
+	// the remainder of the message consists of encoded [ separator, ip(x4 or x16), port(x2) ]
+	//	the last chunk will be an EOT or EOF sentinel, optionally followed by null padding
+	let list = parser.msg.slice( parser.offset );
+	if ( list.length && [ 0x5C, 0x2F ].indexOf( list[0] ) === -1 ) {
+		list = Buffer.concat( [ Buffer.from( '\\' ), list ] );
+	}
+	parser.offset = parser.msg.length;
+
+	return JKUtils.decodeServers( list );
+}
+
+/**
+ * route a query's replies back to it (see JKSocket's JKSocketRoute), so queries sharing a socket don't see each other's
+ * 	replies and late duplicates of a retransmitted query are ignored
+ * strict mode only takes replies from the address queried, and with a challenge, replies echoing it
+ * @param {JKComms} comms
+ * @param {JKSocketOpts} socketOpts
+ * @param {string[]} commands reply commands
+ * @param {string} [challenge]
+ * @returns {JKSocketOpts} copy of socketOpts with `route` set
+ */
+function routeReplies( comms, socketOpts, commands, challenge ) {
+	const route = comms.strictMode ? { commands, challenge } : { commands, anySource: true };
+	return Object.assign( {}, socketOpts, { route } );
+}
+
+/**
+ * run a callback-style query as a promise
+ * synchronous input errors are turned into rejections too
+ * @param {JKComms} comms
+ * @param {function} query one of the ctm_* / cts_* methods
+ * @param {object} opts
+ * @param {JKSocketOpts} socketOpts
+ * @returns {Promise<any>}
+ */
+function promisify( comms, query, opts, socketOpts ) {
+	return new Promise( (resolve, reject) => {
+		// settle once: the socket may report a timeout after we already got our response
+		let settled = false;
+		const done = (err, res) => {
+			if ( settled ) {
+				return;
+			}
+			settled = true;
+			if ( err ) {
+				return reject( err );
+			}
+			resolve( res );
+		};
+
+		// copy the opts, the callback versions fill in defaults
+		const queryOpts = Object.assign( {}, opts );
+		const querySocketOpts = Object.assign( { killOnFirstRes: true }, socketOpts );
+		try {
+			query.call( comms, queryOpts, querySocketOpts, done );
+		}
+		catch ( err ) {
+			done( err );
+		}
+	} );
+}
+
+/**
+ * send a server list request and collect every `getserversResponse`/`getserversExtResponse` packet
+ * the list is de-duplicated across packets and the callback fires once, as soon as the EOT sentinel arrives
+ * 	if the socket times out before EOT (e.g. the last packet was dropped), whatever was received so far is returned
+ * @param {JKComms} comms
+ * @param {object} opts already validated/resolved
+ * @param {string} opts.ip
+ * @param {number} opts.port
+ * @param {function} [opts.onPacket] receives the newly seen servers of each packet as it arrives
+ * @param {JKSocketOpts} socketOpts
+ * @param {Buffer} msg request to send
+ * @param {string} expectedCommand
+ * @param {function} callback upon error or completion
+ */
+function requestServerList( comms, opts, socketOpts, msg, expectedCommand, callback ) {
+	// the response spans an unknown number of packets, so keep listening and tidy up ourselves
+	const retainSocket = socketOpts.retainSocket;
+	// no challenge to go by, but duplicate packets are harmless: entries are de-duplicated below
+	const listSocketOpts = Object.assign( routeReplies( comms, socketOpts, [ expectedCommand ] ), { killOnFirstRes: false, retainSocket: true } );
+
+	const servers = [];
+	const seen = new Set();
+	let packets = 0;
+	let finished = false;
+	let stopListening = () => {};
+	const finish = (err, res) => {
+		if ( finished ) {
+			return;
+		}
+		finished = true;
+		stopListening();
+		if ( !retainSocket ) {
+			comms.jkSocket.destroy();
+		}
+		callback( err, res );
+	};
+
+	stopListening = comms.jkSocket.send( { ip: opts.ip, port: opts.port }, listSocketOpts, msg, (err, res) => {
+		if ( err ) {
+			debug( `JKComms::requestServerList::send err: ${JSON.stringify( err )}` );
+			if ( err instanceof JKTimeoutError && packets ) {
+				debug( `timed out waiting for EOT after ${packets} packets, returning ${servers.length} servers` );
+				return finish( null, servers );
+			}
+			return finish( err, res );
+		}
+
+		// verify source address
+		if ( res.source.ip !== opts.ip || res.source.port !== opts.port ) {
+			const err = new JKAddressMismatchError( opts, res.source, res.response );
+			if ( comms.strictMode ) {
+				return finish( err );
+			}
+			else {
+				debug( err.message );
+			}
+		}
+
+		const parser = new Q3MessageParser( res.response );
+
+		const command = parser.readChars( expectedCommand.length );
+		if ( command !== expectedCommand ) {
+			const err = new JKProtocolError( `expected \`${expectedCommand}\`, got \`${command}\``,
+				{ address: opts, packet: res.response, expected: expectedCommand, received: command } );
+			if ( comms.strictMode ) {
+				return finish( err );
+			}
+			else {
+				debug( err.message );
+			}
+		}
+
+		const decoded = decodeServerList( parser );
+		packets++;
+		debug( `packet ${packets}: ${decoded.servers.length} servers, sentinel: ${decoded.sentinel}` );
+
+		// masters may repeat entries across packets
+		const fresh = decoded.servers.filter( server => {
+			const key = `${server.ip}~${server.port}`;
+			if ( seen.has( key ) ) {
+				return false;
+			}
+			seen.add( key );
+			return true;
+		} );
+		Array.prototype.push.apply( servers, fresh );
+		if ( opts.onPacket && fresh.length ) {
+			opts.onPacket( fresh );
+		}
+
+		// EOF means more packets are on the way
+		if ( decoded.sentinel === 'EOT' ) {
+			finish( null, servers );
+		}
+	} );
+}
+
+/**
+ * run a server list query as an async iterator, yielding the new servers of each packet as it arrives
+ * breaking out of the loop cancels the query
+ * @param {JKComms} comms
+ * @param {function} query ctm_getservers or ctm_getserversExt
+ * @param {object} opts
+ * @param {JKSocketOpts} socketOpts
+ * @returns {AsyncIterableIterator<Object[]>}
+ */
+async function* streamServerList( comms, query, opts, socketOpts ) {
+	// cancel our own query when the consumer stops early, or when the caller's signal fires
+	const controller = new AbortController();
+	const userSignal = socketOpts.signal;
+	const onUserAbort = () => controller.abort();
+	if ( userSignal ) {
+		if ( userSignal.aborted ) {
+			controller.abort();
+		}
+		else {
+			userSignal.addEventListener( 'abort', onUserAbort, { once: true } );
+		}
+	}
+
+	const batches = [];
+	let done = false;
+	let error = null;
+	let wake = null;
+	const notify = () => {
+		if ( wake ) {
+			wake();
+			wake = null;
+		}
+	};
+
+	const queryOpts = Object.assign( {}, opts, {
+		onPacket: servers => {
+			batches.push( servers );
+			notify();
+		},
+	} );
+	const querySocketOpts = Object.assign( {}, socketOpts, { signal: controller.signal } );
+	try {
+		query.call( comms, queryOpts, querySocketOpts, err => {
+			if ( err ) {
+				error = err;
+			}
+			done = true;
+			notify();
+		} );
+	}
+	catch ( err ) {
+		error = err;
+		done = true;
+	}
+
+	try {
+		for ( ;; ) {
+			if ( batches.length ) {
+				yield batches.shift();
+				continue;
+			}
+			if ( done ) {
+				break;
+			}
+			await new Promise( resolve => wake = resolve );
+		}
+		if ( error ) {
+			throw error;
+		}
+	}
+	finally {
+		if ( userSignal ) {
+			userSignal.removeEventListener( 'abort', onUserAbort );
+		}
+		if ( !done ) {
+			controller.abort();
+		}
+	}
+}
+
+/**
+ * rejection reasons, matched against the `print` text a server answers a `connect` with
+ * first match wins, anything else is reported as 'rejected'
+ */
+const connectRejections = [
+	{ reason: 'password', pattern: /password/i },
+	{ reason: 'banned', pattern: /banned/i },
+	{ reason: 'full', pattern: /full/i },
+	{ reason: 'protocol', pattern: /protocol|version/i },
+	{ reason: 'challenge', pattern: /challenge/i },
+	{ reason: 'ping', pattern: /ping/i },
+];
+
+/**
+ * sort a connection rejection message into a reason
+ * @param {string} message
+ * @returns {string}
+ */
+function classifyRejection( message ) {
+	const match = connectRejections.find( rejection => rejection.pattern.test( message ) );
+	return match ? match.reason : 'rejected';
+}
+
 /**
  * facilitates comms to a server (send/recv well-defined OOB messages)
  * function prefix indicates the flow of traffic:
- * 	ctm_*	client -> master (getservers)
- * 	cts_*	client -> server (getinfo, getstatus)
+ * 	ctm_*	client -> master (getservers, getserversExt)
+ * 	cts_*	client -> server (getinfo, getstatus, rcon, ping, connect)
+ * failures are reported with the error classes in errors.js (JKTimeoutError, JKProtocolError...)
  */
 module.exports = class JKComms {
 
 	/**
 	 * @constructor
 	 * @param {boolean} [strictMode] error on unexpected response (wrong reply msg or format)
+	 * @param {JKSocketConfig & { engine?: JKQueryEngine }} [socketConfig] transport, binding and capture, see JKSocket
+	 * 	or { engine } to send through a shared JKQueryEngine instead of a socket of our own
 	 */
-	constructor( strictMode=true ) {
+	constructor( strictMode=true, socketConfig={} ) {
 		this.strictMode = strictMode;
+		if ( socketConfig.engine ) {
+			this.jkSocket = socketConfig.engine.channel();
+			return;
+		}
 		this.jkSocket = new JKSocket( err => {
 			if ( err ) {
 				debug( `JKComms::jkSocket err: ${JSON.stringify( err )}` );
 				return;
 			}
 			//NOOP
-		} );
+		}, socketConfig );
 	}
 
 	/**
@@ -54,114 +415,275 @@ module.exports = class JKComms {
 		}
 	}
 
+	/**
+	 * client -> master, promise version of ctm_getservers
+	 * @param {object} opts see ctm_getservers
+	 * @param {JKSocketOpts} [socketOpts] pass `signal` to cancel the query
+	 * @returns {Promise<Object[]>} servers
+	 */
+	getServers( opts, socketOpts={} ) {
+		return promisify( this, this.ctm_getservers, opts, socketOpts );
+	}
+
+	/**
+	 * client -> master, promise version of ctm_getserversExt
+	 * @param {object} opts see ctm_getserversExt
+	 * @param {JKSocketOpts} [socketOpts] pass `signal` to cancel the query
+	 * @returns {Promise<Object[]>} servers
+	 */
+	getServersExt( opts, socketOpts={} ) {
+		return promisify( this, this.ctm_getserversExt, opts, socketOpts );
+	}
+
+	/**
+	 * client -> master, ctm_getservers as an async iterator
+	 * yields an array of newly seen servers per response packet, useful for large lists
+	 * @param {object} opts see ctm_getservers
+	 * @param {JKSocketOpts} [socketOpts] pass `signal` to cancel the query
+	 * @returns {AsyncIterableIterator<Object[]>}
+	 */
+	streamServers( opts, socketOpts={} ) {
+		return streamServerList( this, this.ctm_getservers, opts, socketOpts );
+	}
+
+	/**
+	 * client -> master, ctm_getserversExt as an async iterator
+	 * yields an array of newly seen servers per response packet, useful for large lists
+	 * @param {object} opts see ctm_getserversExt
+	 * @param {JKSocketOpts} [socketOpts] pass `signal` to cancel the query
+	 * @returns {AsyncIterableIterator<Object[]>}
+	 */
+	streamServersExt( opts, socketOpts={} ) {
+		return streamServerList( this, this.ctm_getserversExt, opts, socketOpts );
+	}
+
+	/**
+	 * client -> server, promise version of cts_getinfo
+	 * @param {object} opts see cts_getinfo
+	 * @param {JKSocketOpts} [socketOpts] pass `signal` to cancel the query
+	 * @returns {Promise<Object>} { source, info }
+	 */
+	getInfo( opts, socketOpts={} ) {
+		return promisify( this, this.cts_getinfo, opts, socketOpts );
+	}
+
+	/**
+	 * client -> server, promise version of cts_getstatus
+	 * @param {object} opts see cts_getstatus
+	 * @param {JKSocketOpts} [socketOpts] pass `signal` to cancel the query
+	 * @returns {Promise<Object>} { source, status, clients }
+	 */
+	getStatus( opts, socketOpts={} ) {
+		return promisify( this, this.cts_getstatus, opts, socketOpts );
+	}
+
+	/**
+	 * client -> server, promise version of cts_rcon
+	 * @param {object} opts see cts_rcon
+	 * @param {JKSocketOpts} [socketOpts] pass `signal` to cancel the command
+	 * @returns {Promise<Object>} { source, output }
+	 */
+	rcon( opts, socketOpts={} ) {
+		return promisify( this, this.cts_rcon, opts, socketOpts );
+	}
+
+	/**
+	 * client -> server, promise version of cts_ping
+	 * @param {object} opts see cts_ping
+	 * @param {JKSocketOpts} [socketOpts] pass `signal` to cancel the probe
+	 * @returns {Promise<Object>} { source, samples, sent, received, loss, min, avg, max, jitter }
+	 */
+	ping( opts, socketOpts={} ) {
+		return promisify( this, this.cts_ping, opts, socketOpts );
+	}
+
+	/**
+	 * client -> server, promise version of cts_connect
+	 * @param {object} opts see cts_connect
+	 * @param {JKSocketOpts} [socketOpts] pass `signal` to cancel the query
+	 * @returns {Promise<Object>} { source, accepted, reason, message, challenge }
+	 */
+	connect( opts, socketOpts={} ) {
+		return promisify( this, this.cts_connect, opts, socketOpts );
+	}
+
 	/**
 	 * client -> master
 	 * @param {object} opts
+	 * @param {string} [opts.game] game profile (see games.js), default for ip, port and protocol
 	 * @param {string} opts.ip
 	 * @param {number} opts.port default: ephemeral port https://en.wikipedia.org/wiki/Ephemeral_port
-	 * @param {string} opts.protocol default: 26 (Jedi Academy) see protocolStrings
+	 * @param {string} opts.protocol default: the game's, 26 (Jedi Academy) without one
+	 * @param {function} [opts.onPacket] receives the newly seen servers of each response packet as it arrives
 	 * @param {JKSocketOpts} socketOpts
-	 * @param {function} callback upon error
+	 * @param {function} callback upon error, or once with the full de-duplicated list after the final (EOT) packet
 	 */
 	ctm_getservers( opts, socketOpts, callback ) {
 		if ( !callback ) {
 			throw new TypeError( 'missing callback' );
 		}
+		opts = applyGame( opts, 'master' );
 		if ( !opts.ip ) {
 			throw new TypeError( 'IP must be specified' );
 		}
 		if ( !opts.port ) {
 			throw new TypeError( 'port must be specified' );
 		}
-		const protocol = opts.protocol || '26';
+		const protocol = opts.protocol;
+
+		// default socket opts
+		JKComms.defaultSocketOpts( socketOpts );
+
+		withResolvedAddress( opts, callback, opts => {
+			// send `getservers`
+			const msg = Buffer.from( `getservers ${protocol}` );
+			requestServerList( this, opts, socketOpts, msg, 'getserversResponse', callback );
+		} );
+	}
 
-		opts.ip = dnsSync.resolve( opts.ip );
+	/**
+	 * client -> master
+	 * extended server list request, may include IPv6 servers (see dpmaster techinfo)
+	 * @param {object} opts
+	 * @param {string} [opts.game] game profile (see games.js), default for ip, port and protocol
+	 * @param {string} opts.ip IPv4/IPv6 address or hostname of the master
+	 * @param {number} opts.port
+	 * @param {string} opts.gamename game name as reported by the servers
+	 * @param {string} opts.protocol default: the game's, 26 (Jedi Academy) without one
+	 * @param {boolean} [opts.ipv4] only list IPv4 servers
+	 * @param {boolean} [opts.ipv6] only list IPv6 servers
+	 * @param {boolean} [opts.empty] include empty servers
+	 * @param {boolean} [opts.full] include full servers
+	 * @param {function} [opts.onPacket] receives the newly seen servers of each response packet as it arrives
+	 * @param {JKSocketOpts} socketOpts
+	 * @param {function} callback upon error, or once with the full de-duplicated list after the final (EOT) packet
+	 */
+	ctm_getserversExt( opts, socketOpts, callback ) {
+		if ( !callback ) {
+			throw new TypeError( 'missing callback' );
+		}
+		opts = applyGame( opts, 'master' );
+		if ( !opts.ip ) {
+			throw new TypeError( 'IP must be specified' );
+		}
+		if ( !opts.port ) {
+			throw new TypeError( 'port must be specified' );
+		}
+		if ( !opts.gamename ) {
+			throw new TypeError( 'gamename must be specified' );
+		}
+		const protocol = opts.protocol;
 
 		// default socket opts
 		JKComms.defaultSocketOpts( socketOpts );
 
-		// send `getservers`
-		const msg = Buffer.from( `getservers ${protocol}` );
-		this.jkSocket.send( { ip: opts.ip, port: opts.port }, socketOpts, msg, (err, res) => {
-			if ( err ) {
-				debug( `JKComms::cts_getinfo::send err: ${JSON.stringify( err )}` );
-				return callback( err, res );
-			}
+		withResolvedAddress( opts, callback, opts => {
+			// send `getserversExt`
+			const filters = [ 'empty', 'full', 'ipv4', 'ipv6' ].filter( filter => opts[filter] );
+			const msg = Buffer.from( [ 'getserversExt', opts.gamename, protocol ].concat( filters ).join( ' ' ) );
+			requestServerList( this, opts, socketOpts, msg, 'getserversExtResponse', callback );
+		} );
+	}
 
-			// verify source address
-			if ( res.source.ip !== opts.ip || res.source.port !== opts.port ) {
-				if ( this.strictMode ) {
-					return callback( `response came from \`${res.source.ip}:${res.source.port}\`, expected \`${opts.ip}:${opts.port}\`` );
-				}
-				else {
-					debug( `response came from \`${res.source.ip}:${res.source.port}\`, expected \`${opts.ip}:${opts.port}\`` );
-				}
-			}
+	/**
+	 * client -> server
+	 * request basic server game status (name, map, players)
+	 * note: server response should include the same challenge
+	 * @param {object} opts
+	 * @param {string} [opts.game] game profile (see games.js), default for port
+	 * @param {string} opts.ip
+	 * @param {number} opts.port
+	 * @param {string} opts.challenge default: 'jkutils-query'
+	 * @param {JKSocketOpts} socketOpts
+	 */
+	cts_getinfo( opts, socketOpts, callback ) {
+		if ( !callback ) {
+			throw new TypeError( 'missing callback' );
+		}
+		opts = applyGame( opts, 'server' );
+		if ( !opts.ip ) {
+			throw new TypeError( 'IP must be specified' );
+		}
+		if ( !opts.port ) {
+			throw new TypeError( 'port must be specified' );
+		}
+		const challenge = opts.challenge || 'jkutils-query';
 
-			const parser = new Q3MessageParser( res.response );
+		// default socket opts
+		JKComms.defaultSocketOpts( socketOpts );
 
-			const expectedCommand = 'getserversResponse';
-			const command = parser.readChars( expectedCommand.length );
-			if ( command !== expectedCommand ) {
-				if ( this.strictMode ) {
-					return callback( `expected \`${expectedCommand}\`, got \`${command}\`` );
+		withResolvedAddress( opts, callback, opts => {
+			// send `getinfo`
+			const msg = Buffer.from( `getinfo ${challenge}` );
+			const infoSocketOpts = routeReplies( this, socketOpts, [ 'infoResponse' ], challenge );
+			this.jkSocket.send( { ip: opts.ip, port: opts.port }, infoSocketOpts, msg, (err, res) => {
+				if ( err ) {
+					debug( `JKComms::cts_getinfo::send err: ${JSON.stringify( err )}` );
+					return callback( err, res );
 				}
-				else {
-					debug( `expected \`${expectedCommand}\`, got \`${command}\`` );
+
+				// verify source address
+				if ( res.source.ip !== opts.ip || res.source.port !== opts.port ) {
+					const err = new JKAddressMismatchError( opts, res.source, res.response );
+					if ( this.strictMode ) {
+						return callback( err );
+					}
+					else {
+						debug( err.message );
+					}
 				}
-			}
 
-			// dpmaster starts with: [ '\\' ]
-			// masterjk3.ravensoft.com starts with: [ '\n', '\0' ]
-			//
-			// the last transmission ends with: [ '\\', 'E', 'O', 'T' ]
-			// previous transmissions end with	: [ '\\', 'E', 'O', 'F' ]
-			// dpmaster also appends this to each msg: [ '\0', '\0', '\0' ]
-			//	masterjk3.ravensoft.com does not
-			//
-			// the first character after the message is always skipped, so masterjk3.ravensoft.com has to be helped
-			//	along the way
-			const oldOffset = parser.offset;
-			do {
-				parser.skip();
-			} while ( [ '\0', '\n' ].indexOf( parser.msg.readUInt8( parser.offset ) ) !== -1 );
-			const newOffset = parser.offset;
-			debug( `skipped ${newOffset-oldOffset} bytes from head (offset: ${parser.offset})` );
-
-			// the remainder of the message consists of encoded [ ip(x4), port(x2), '\\' ]
-			//	the last chunk will be an EOT or EOF sentinel, optionally followed by null padding
-			const servers = [];
-			const chunks = parser.splitWithStride( 6, 1 );
-			for ( let chunk of chunks ) {
-				servers.push( JKUtils.decodeServer( chunk ) );
-			}
+				const parser = new Q3MessageParser( res.response );
+				const command = parser.readLine();
+				if ( command !== 'infoResponse' ) {
+					const err = new JKProtocolError( `expected \`infoResponse\`, got \`${command}\``,
+						{ address: opts, packet: res.response, expected: 'infoResponse', received: command } );
+					if ( this.strictMode ) {
+						return callback( err );
+					}
+					else {
+						debug( err.message );
+					}
+				}
+
+				// process `infoResponse`
+				const infoString = parser.readLine();
+				const info = JKUtils.parseInfostring( infoString );
 
-			// handle EOT/EOF sentinel
-			debug( `remaining bytes: ${parser.msg.length - parser.offset}` );
-			const sentinel = parser.readLine();
-			debug( `sentinel: ${sentinel}` );
+				if ( info.challenge !== challenge ) {
+					const err = new JKProtocolError( `challenge mismatch: sent \`${challenge}\`, got \`${info.challenge}\``,
+						{ address: opts, packet: res.response, expected: challenge, received: info.challenge } );
+					if ( this.strictMode ) {
+						return callback( err );
+					}
+					else {
+						debug( err.message );
+					}
+				}
 
-			//TODO: maybe just callback once with a full list of servers?
-			//	override the timeout if possible?
-			// that will benefit EOT vs EOF - we can kill the socket immediately on EOT
-			callback( null, servers );
+				callback( null, { source: res.source, info } );
+			} );
 		} );
 	}
 
 	/**
 	 * client -> server
-	 * request basic server game status (name, map, players)
+	 * request extended server game status (serverstatus, scores)
 	 * note: server response should include the same challenge
+	 * result: { source, status, clients } as strings, see ServerInfo for typed fields
 	 * @param {object} opts
+	 * @param {string} [opts.game] game profile (see games.js), default for port
 	 * @param {string} opts.ip
 	 * @param {number} opts.port
 	 * @param {string} opts.challenge default: 'jkutils-query'
 	 * @param {JKSocketOpts} socketOpts
+	 * @param {function} callback upon error
 	 */
-	cts_getinfo( opts, socketOpts, callback ) {
+	cts_getstatus( opts, socketOpts, callback ) {
 		if ( !callback ) {
 			throw new TypeError( 'missing callback' );
 		}
+		opts = applyGame( opts, 'server' );
 		if ( !opts.ip ) {
 			throw new TypeError( 'IP must be specified' );
 		}
@@ -170,140 +692,477 @@ module.exports = class JKComms {
 		}
 		const challenge = opts.challenge || 'jkutils-query';
 
-		opts.ip = dnsSync.resolve( opts.ip );
+		// default socket opts
+		JKComms.defaultSocketOpts( socketOpts );
+
+		withResolvedAddress( opts, callback, opts => {
+			// send `getstatus`
+			const msg = Buffer.from( `getstatus ${challenge}` );
+			const statusSocketOpts = routeReplies( this, socketOpts, [ 'statusResponse' ], challenge );
+			this.jkSocket.send( { ip: opts.ip, port: opts.port }, statusSocketOpts, msg, (err, res) => {
+				if ( err ) {
+					debug( `JKComms::cts_getstatus::send err: ${JSON.stringify( err )}` );
+					return callback( err, res );
+				}
+
+				// verify source address
+				if ( res.source.ip !== opts.ip || res.source.port !== opts.port ) {
+					const err = new JKAddressMismatchError( opts, res.source, res.response );
+					if ( this.strictMode ) {
+						return callback( err );
+					}
+					else {
+						debug( err.message );
+					}
+				}
+
+				const parser = new Q3MessageParser( res.response );
+				const command = parser.readLine();
+				if ( command !== 'statusResponse' ) {
+					const err = new JKProtocolError( `expected \`statusResponse\`, got \`${command}\``,
+						{ address: opts, packet: res.response, expected: 'statusResponse', received: command } );
+					if ( this.strictMode ) {
+						return callback( err );
+					}
+					else {
+						debug( err.message );
+					}
+				}
+
+				// process `statusResponse`
+				const infoString = parser.readLine();
+				const status = JKUtils.parseInfostring( infoString );
+
+				if ( status.challenge !== challenge ) {
+					const err = new JKProtocolError( `challenge mismatch: sent \`${challenge}\`, got \`${status.challenge}\``,
+						{ address: opts, packet: res.response, expected: challenge, received: status.challenge } );
+					if ( this.strictMode ) {
+						return callback( err );
+					}
+					else {
+						debug( err.message );
+					}
+				}
+
+				// parse client scores
+				//	format: Score Ping "Name", scores can be negative
+				let clients = [];
+				let line = null;
+				while ( (line = parser.readLine()) ) {
+					const matches = /^(?<score>-?\d+) (?<ping>\d+) "(?<name>.+)"$/.exec( line );
+					if ( matches !== null ) {
+						clients.push( matches.groups );
+					}
+				}
+
+				callback( null, { source: res.source, status, clients } );
+			} );
+		} );
+	}
+
+	/**
+	 * client -> server
+	 * execute a command on the server's remote console
+	 * the server may reply with several `print` packets and there is no end marker, so output is collected until
+	 * 	no packet has arrived for `opts.idleTime`
+	 * refusals are reported as a JKError with `err.code`:
+	 * 	BAD_RCON_PASSWORD	server replied "Bad rconpassword."
+	 * 	NO_RCON_PASSWORD	server has no rconpassword set
+	 * @param {object} opts
+	 * @param {string} [opts.game] game profile (see games.js), default for port
+	 * @param {string} opts.ip
+	 * @param {number} opts.port
+	 * @param {string} opts.password
+	 * @param {string} opts.command
+	 * @param {number} [opts.idleTime] default: 250ms
+	 * @param {JKSocketOpts} socketOpts
+	 * @param {function} callback upon error or completion
+	 */
+	cts_rcon( opts, socketOpts, callback ) {
+		if ( !callback ) {
+			throw new TypeError( 'missing callback' );
+		}
+		opts = applyGame( opts, 'server' );
+		if ( !opts.ip ) {
+			throw new TypeError( 'IP must be specified' );
+		}
+		if ( !opts.port ) {
+			throw new TypeError( 'port must be specified' );
+		}
+		if ( !opts.password ) {
+			throw new TypeError( 'password must be specified' );
+		}
+		if ( !opts.command ) {
+			throw new TypeError( 'command must be specified' );
+		}
+		const idleTime = opts.idleTime || 250;
 
 		// default socket opts
 		JKComms.defaultSocketOpts( socketOpts );
 
-		// send `getinfo`
-		const msg = Buffer.from( `getinfo ${challenge}` );
-		this.jkSocket.send( { ip: opts.ip, port: opts.port }, socketOpts, msg, (err, res) => {
-			if ( err ) {
-				debug( `JKComms::cts_getinfo::send err: ${JSON.stringify( err )}` );
-				return callback( err, res );
-			}
+		withResolvedAddress( opts, callback, opts => {
+			// the response spans an unknown number of packets, so keep listening and tidy up ourselves
+			const retainSocket = socketOpts.retainSocket;
+			// never retransmitted: the server would run the command twice
+			const rconSocketOpts = Object.assign( routeReplies( this, socketOpts, [ 'print' ] ), { killOnFirstRes: false, retainSocket: true, retries: 0 } );
 
-			// verify source address
-			if ( res.source.ip !== opts.ip || res.source.port !== opts.port ) {
-				if ( this.strictMode ) {
-					return callback( `response came from \`${res.source.ip}:${res.source.port}\`, expected \`${opts.ip}:${opts.port}\`` );
+			let output = '';
+			let source = null;
+			let idleTimer = null;
+			let finished = false;
+			let stopListening = () => {};
+			const finish = (err, res) => {
+				if ( finished ) {
+					return;
 				}
-				else {
-					debug( `response came from \`${res.source.ip}:${res.source.port}\`, expected \`${opts.ip}:${opts.port}\`` );
+				finished = true;
+				clearTimeout( idleTimer );
+				stopListening();
+				if ( !retainSocket ) {
+					this.jkSocket.destroy();
 				}
-			}
+				callback( err, res );
+			};
 
-			const parser = new Q3MessageParser( res.response );
-			const command = parser.readLine();
-			if ( command !== 'infoResponse' ) {
-				if ( this.strictMode ) {
-					return callback( `expected \`infoResponse\`, got \`${command}\`` );
+			// send `rcon`
+			const msg = Buffer.from( `rcon ${opts.password} ${opts.command}` );
+			stopListening = this.jkSocket.send( { ip: opts.ip, port: opts.port }, rconSocketOpts, msg, (err, res) => {
+				if ( err ) {
+					debug( `JKComms::cts_rcon::send err: ${JSON.stringify( err )}` );
+					// a timeout after some output has arrived is the normal end of the response
+					if ( err instanceof JKTimeoutError && source ) {
+						return finish( null, { source, output } );
+					}
+					return finish( err, res );
 				}
-				else {
-					debug( `expected \`infoResponse\`, got \`${command}\`` );
+
+				// verify source address
+				if ( res.source.ip !== opts.ip || res.source.port !== opts.port ) {
+					const err = new JKAddressMismatchError( opts, res.source, res.response );
+					if ( this.strictMode ) {
+						return finish( err );
+					}
+					else {
+						debug( err.message );
+					}
 				}
-			}
 
-			// process `infoResponse`
-			const infoString = parser.readLine();
-			const info = JKUtils.parseInfostring( infoString );
+				const parser = new Q3MessageParser( res.response );
+				const command = parser.readLine();
+				if ( command !== 'print' ) {
+					const err = new JKProtocolError( `expected \`print\`, got \`${command}\``,
+						{ address: opts, packet: res.response, expected: 'print', received: command } );
+					if ( this.strictMode ) {
+						return finish( err );
+					}
+					else {
+						debug( err.message );
+						return;
+					}
+				}
 
-			if ( info.challenge !== challenge ) {
-				if ( this.strictMode ) {
-					return callback( `challenge mismatch: sent \`${challenge}\`, got \`${info.challenge}\`` );
+				// process `print`
+				const text = parser.readChars( parser.remainingBytes() ).replace( /\0+$/, '' );
+				if ( /^Bad rconpassword/.test( text ) ) {
+					return finish( new JKError( 'bad rcon password', { address: opts, packet: res.response, code: 'BAD_RCON_PASSWORD' } ) );
 				}
-				else {
-					debug( `challenge mismatch: sent \`${challenge}\`, got \`${info.challenge}\`` );
+				if ( /^No rconpassword set/.test( text ) ) {
+					return finish( new JKError( 'no rcon password set on the server', { address: opts, packet: res.response, code: 'NO_RCON_PASSWORD' } ) );
 				}
-			}
 
-			callback( null, { source: res.source, info } );
+				source = res.source;
+				output += text;
+
+				clearTimeout( idleTimer );
+				idleTimer = setTimeout( () => finish( null, { source, output } ), idleTime );
+			} );
 		} );
 	}
 
 	/**
 	 * client -> server
-	 * request extended server game status (serverstatus, scores)
-	 * note: server response should include the same challenge
+	 * measure round trip latency by sending `opts.count` getinfo probes, one after the other
+	 * every probe carries its own challenge so a late reply to a lost probe is not mistaken for the current one
 	 * @param {object} opts
+	 * @param {string} [opts.game] game profile (see games.js), default for port
 	 * @param {string} opts.ip
 	 * @param {number} opts.port
-	 * @param {string} opts.challenge default: 'jkutils-query'
+	 * @param {number} [opts.count] default: 4
+	 * @param {number} [opts.interval] default: 250ms (pause between probes)
+	 * @param {number} [opts.timeout] default: 1000ms (a probe with no reply by then counts as lost)
 	 * @param {JKSocketOpts} socketOpts
-	 * @param {function} callback upon error
+	 * @param {function} callback upon error or completion
+	 * 	result: { source, samples, sent, received, loss, min, avg, max, jitter }
+	 * 	samples holds each probe's round trip in ms (null if lost), loss is the fraction of lost probes
+	 * 	min/avg/max/jitter are null if every probe was lost
 	 */
-	cts_getstatus( opts, socketOpts, callback ) {
+	cts_ping( opts, socketOpts, callback ) {
 		if ( !callback ) {
 			throw new TypeError( 'missing callback' );
 		}
+		opts = applyGame( opts, 'server' );
 		if ( !opts.ip ) {
 			throw new TypeError( 'IP must be specified' );
 		}
 		if ( !opts.port ) {
 			throw new TypeError( 'port must be specified' );
 		}
-		const challenge = opts.challenge || 'jkutils-query';
-
-		opts.ip = dnsSync.resolve( opts.ip );
+		const count = opts.count || 4;
+		const interval = (opts.interval !== undefined) ? opts.interval : 250;
+		const timeout = opts.timeout || 1000;
 
 		// default socket opts
 		JKComms.defaultSocketOpts( socketOpts );
 
-		// send `getstatus`
-		const msg = Buffer.from( `getstatus ${challenge}` );
-		this.jkSocket.send( { ip: opts.ip, port: opts.port }, socketOpts, msg, (err, res) => {
-			if ( err ) {
-				debug( `JKComms::cts_getstatus::send err: ${JSON.stringify( err )}` );
-				return callback( err, res );
-			}
+		withResolvedAddress( opts, callback, opts => {
+			// replies are filtered by challenge here, so keep listening until the right one arrives
+			const retainSocket = socketOpts.retainSocket;
+			// a lost probe is a result, not something to retransmit
+			const probeSocketOpts = Object.assign( {}, socketOpts, { killOnFirstRes: false, retainSocket: true, retries: 0 } );
 
-			// verify source address
-			if ( res.source.ip !== opts.ip || res.source.port !== opts.port ) {
-				if ( this.strictMode ) {
-					return callback( `response came from \`${res.source.ip}:${res.source.port}\`, expected \`${opts.ip}:${opts.port}\`` );
+			const samples = [];
+			const finish = err => {
+				if ( !retainSocket ) {
+					this.jkSocket.destroy();
 				}
-				else {
-					debug( `response came from \`${res.source.ip}:${res.source.port}\`, expected \`${opts.ip}:${opts.port}\`` );
+				if ( err ) {
+					return callback( err );
 				}
-			}
+				callback( null, Object.assign( { source: { ip: opts.ip, port: opts.port } }, JKComms.latencyStats( samples ) ) );
+			};
 
-			const parser = new Q3MessageParser( res.response );
-			const command = parser.readLine();
-			if ( command !== 'statusResponse' ) {
-				if ( this.strictMode ) {
-					return callback( `expected \`statusResponse\`, got \`${command}\`` );
+			const probe = () => {
+				if ( samples.length === count ) {
+					return finish( null );
 				}
-				else {
-					debug( `expected \`statusResponse\`, got \`${command}\`` );
+
+				const challenge = `jkutils-ping-${samples.length}`;
+				let probeTimer = null;
+				let stopListening = () => {};
+				let done = false;
+				const next = rtt => {
+					if ( done ) {
+						return;
+					}
+					done = true;
+					clearTimeout( probeTimer );
+					stopListening();
+					samples.push( rtt );
+					if ( samples.length === count ) {
+						return finish( null );
+					}
+					setTimeout( probe, interval );
+				};
+
+				const start = process.hrtime();
+				const msg = Buffer.from( `getinfo ${challenge}` );
+				// earlier probes' replies are filtered out anyway, routing just keeps them from reaching anyone else
+				const route = { commands: [ 'infoResponse' ], challenge };
+				stopListening = this.jkSocket.send( { ip: opts.ip, port: opts.port }, Object.assign( {}, probeSocketOpts, { route } ), msg, (err, res) => {
+					if ( err ) {
+						debug( `JKComms::cts_ping::send err: ${JSON.stringify( err )}` );
+						// the probe may already be over (counted as lost)
+						if ( done ) {
+							return;
+						}
+						done = true;
+						clearTimeout( probeTimer );
+						return finish( err );
+					}
+					const elapsed = process.hrtime( start );
+
+					// only the current probe's reply counts
+					if ( res.source.ip !== opts.ip || res.source.port !== opts.port ) {
+						return;
+					}
+					const parser = new Q3MessageParser( res.response );
+					if ( parser.readLine() !== 'infoResponse' ) {
+						return;
+					}
+					const info = JKUtils.parseInfostring( parser.readLine() );
+					if ( info.challenge !== challenge ) {
+						debug( `ignoring stale reply \`${info.challenge}\` while waiting for \`${challenge}\`` );
+						return;
+					}
+
+					next( elapsed[0] * 1000 + elapsed[1] / 1e6 );
+				} );
+				if ( !done ) {
+					probeTimer = setTimeout( () => {
+						debug( `probe \`${challenge}\` lost` );
+						next( null );
+					}, timeout );
 				}
-			}
+			};
+			probe();
+		} );
+	}
+
+	/**
+	 * client -> server
+	 * find out whether a client would be allowed to join: getchallenge -> challengeResponse -> connect -> connectResponse
+	 * the userinfo is huffman compressed as the engine expects, the server stops at `connectResponse` or rejects
+	 * 	with a `print` (wrong password, banned, full, wrong protocol, mod checks in the game module...)
+	 * NOTE: no netchan disconnect is sent, so an accepted probe holds a client slot until the server times it out
+	 * 	(sv_timeout, usually a couple of minutes)
+	 * @param {object} opts
+	 * @param {string} [opts.game] game profile (see games.js), default for port, protocol and userinfo
+	 * @param {string} opts.ip
+	 * @param {number} opts.port
+	 * @param {string} [opts.protocol] default: the game's, 26 (Jedi Academy) without one
+	 * @param {string} [opts.password] sent as the `password` userinfo key
+	 * @param {Object} [opts.userinfo] extra userinfo keys (name, model, etc), overrides the defaults
+	 * @param {number} [opts.qport] default: random (fix it to get the same `connect` packet every time, e.g. to replay a
+	 * 	capture with ReplayTransport)
+	 * @param {JKSocketOpts} socketOpts
+	 * @param {function} callback upon error or completion
+	 * 	result: { source, accepted, reason, message, challenge }
+	 * 	reason is null if accepted, otherwise one of 'password', 'banned', 'full', 'protocol', 'challenge', 'ping'
+	 * 	or 'rejected', message holds the server's rejection text
+	 */
+	cts_connect( opts, socketOpts, callback ) {
+		if ( !callback ) {
+			throw new TypeError( 'missing callback' );
+		}
+		opts = applyGame( opts, 'server' );
+		if ( !opts.ip ) {
+			throw new TypeError( 'IP must be specified' );
+		}
+		if ( !opts.port ) {
+			throw new TypeError( 'port must be specified' );
+		}
+		const protocol = opts.protocol;
 
-			// process `statusResponse`
-			const infoString = parser.readLine();
-			const status = JKUtils.parseInfostring( infoString );
+		// fail on bad userinfo before sending anything (model names contain '/', so only the engine's restrictions apply)
+		let userinfo = JKUtils.buildInfostring( Object.assign( {
+			name: 'jkutils',
+			rate: '25000',
+			snaps: '40',
+			handicap: '100',
+		}, games.get( opts.game ).userinfo, opts.userinfo, opts.password ? { password: opts.password } : {} ), { strict: false } );
 
-			if ( status.challenge !== challenge ) {
-				if ( this.strictMode ) {
-					return callback( `challenge mismatch: sent \`${challenge}\`, got \`${status.challenge}\`` );
+		// default socket opts
+		JKComms.defaultSocketOpts( socketOpts );
+
+		withResolvedAddress( opts, callback, opts => {
+			const dest = { ip: opts.ip, port: opts.port };
+			const verifySource = res => {
+				if ( res.source.ip !== opts.ip || res.source.port !== opts.port ) {
+					const err = new JKAddressMismatchError( opts, res.source, res.response );
+					if ( this.strictMode ) {
+						return err;
+					}
+					else {
+						debug( err.message );
+					}
 				}
-				else {
-					debug( `challenge mismatch: sent \`${challenge}\`, got \`${status.challenge}\`` );
+				return null;
+			};
+			const rejected = (res, parser, challenge) => {
+				const message = parser.readChars( parser.remainingBytes() ).replace( /\0+$/, '' ).trim();
+				return { source: res.source, accepted: false, reason: classifyRejection( message ), message, challenge };
+			};
+
+			// send `getchallenge`, the socket is needed again for `connect`
+			const challengeSocketOpts = Object.assign( routeReplies( this, socketOpts, [ 'challengeResponse', 'print' ] ),
+				{ killOnFirstRes: true, retainSocket: true } );
+			this.jkSocket.send( dest, challengeSocketOpts, Buffer.from( 'getchallenge' ), (err, res) => {
+				if ( err ) {
+					debug( `JKComms::cts_connect::send err: ${JSON.stringify( err )}` );
+					return callback( err, res );
 				}
-			}
 
-			// parse client scores
-			//	format: Score Ping "Name"
-			let clients = [];
-			let line = null;
-			while ( (line = parser.readLine()) ) {
-				const matches = /^(?<score>\d+) (?<ping>\d+) "(?<name>.+)"$/.exec( line );
-				if ( matches !== null ) {
-					clients.push( matches.groups );
+				const sourceErr = verifySource( res );
+				if ( sourceErr ) {
+					return callback( sourceErr );
+				}
+
+				const parser = new Q3MessageParser( res.response );
+				const args = parser.readLine().split( ' ' );
+				if ( args[0] === 'print' ) {
+					if ( !socketOpts.retainSocket ) {
+						this.jkSocket.destroy();
+					}
+					return callback( null, rejected( res, parser, null ) );
+				}
+				if ( args[0] !== 'challengeResponse' || !args[1] ) {
+					if ( !socketOpts.retainSocket ) {
+						this.jkSocket.destroy();
+					}
+					return callback( new JKProtocolError( `expected \`challengeResponse\`, got \`${args.join( ' ' )}\``,
+						{ address: opts, packet: res.response, expected: 'challengeResponse', received: args[0] } ) );
 				}
-			}
 
-			callback( null, { source: res.source, status, clients } );
+				// process `challengeResponse`
+				const challenge = args[1];
+				userinfo = JKUtils.setInfoValue( userinfo, 'protocol', protocol, { strict: false } );
+				const qport = (opts.qport !== undefined) ? opts.qport : crypto.randomBytes( 2 ).readUInt16BE( 0 );
+				userinfo = JKUtils.setInfoValue( userinfo, 'qport', `${qport}`, { strict: false } );
+				userinfo = JKUtils.setInfoValue( userinfo, 'challenge', challenge, { strict: false } );
+
+				// send `connect`, everything after "connect " is compressed
+				const msg = Buffer.concat( [
+					Buffer.from( 'connect ' ),
+					huffman.compress( Buffer.from( `"${userinfo}"` ) ),
+				] );
+				// a single reply settles it, however the caller set killOnFirstRes
+				const connectSocketOpts = Object.assign( routeReplies( this, socketOpts, [ 'connectResponse', 'print' ] ),
+					{ killOnFirstRes: true } );
+				this.jkSocket.send( dest, connectSocketOpts, msg, (err, res) => {
+					if ( err ) {
+						debug( `JKComms::cts_connect::send err: ${JSON.stringify( err )}` );
+						return callback( err, res );
+					}
+
+					const sourceErr = verifySource( res );
+					if ( sourceErr ) {
+						return callback( sourceErr );
+					}
+
+					const parser = new Q3MessageParser( res.response );
+					const command = parser.readLine().split( ' ' )[0];
+					if ( command === 'connectResponse' ) {
+						return callback( null, { source: res.source, accepted: true, reason: null, message: null, challenge } );
+					}
+					if ( command === 'print' ) {
+						return callback( null, rejected( res, parser, challenge ) );
+					}
+					callback( new JKProtocolError( `expected \`connectResponse\` or \`print\`, got \`${command}\``,
+						{ address: opts, packet: res.response, expected: 'connectResponse', received: command } ) );
+				} );
+			} );
 		} );
 	}
 
+	/**
+	 * summarise latency samples
+	 * @param {number[]} samples round trip per probe in ms, null for lost probes
+	 * @returns {Object} { samples, sent, received, loss, min, avg, max, jitter }
+	 * 	jitter is the mean difference between consecutive received samples
+	 */
+	static latencyStats( samples ) {
+		const received = samples.filter( rtt => rtt !== null );
+		const stats = {
+			samples,
+			sent: samples.length,
+			received: received.length,
+			loss: samples.length ? (samples.length - received.length) / samples.length : 0,
+			min: null,
+			avg: null,
+			max: null,
+			jitter: null,
+		};
+		if ( received.length ) {
+			stats.min = Math.min.apply( null, received );
+			stats.max = Math.max.apply( null, received );
+			stats.avg = received.reduce( (sum, rtt) => sum + rtt, 0 ) / received.length;
+			let jitter = 0;
+			for ( let i = 1; i < received.length; i++ ) {
+				jitter += Math.abs( received[i] - received[i - 1] );
+			}
+			stats.jitter = (received.length > 1) ? jitter / (received.length - 1) : 0;
+		}
+		return stats;
+	}
+
 };
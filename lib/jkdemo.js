@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * demo reader (.dm_15, .dm_16, .dm_26)
+ * a demo is a sequence of blocks, each holding one server -> client netchan message:
+ * 	<int32 LE message sequence> <int32 LE length> <length bytes of bitstream>
+ * 	a length of -1 marks the end of the demo
+ *
+ * every message starts with the client's reliable acknowledge, followed by server ops. only what is independent of the
+ * 	game module's network field tables is decoded:
+ * 	- gamestate: configstrings (baselines need the entity field table, so parsing the gamestate stops there)
+ * 	- server commands: chat, scores, `cs` configstring updates etc
+ * 	- snapshots: the header only, the player/entity deltas that follow need the field tables as well
+ * this is enough for scores, chat and player names (player configstrings are infostrings, see
+ * 	JKUtils.parseInfostring)
+ *
+ * events:
+ * 	gamestate		({ sequence, serverCommandSequence, configstrings, clientNum, checksumFeed })
+ * 						configstrings: Map<index, string>
+ * 						clientNum and checksumFeed are null if the gamestate had baselines
+ * 	configstring	(index, value, sequence)	from the gamestate and from `cs`/`bcs*` server commands
+ * 	serverCommand	({ sequence, commandSequence, command })
+ * 	snapshot		({ sequence, serverTime, deltaNum, snapFlags, areamask })
+ */
+
+// core modules
+const EventEmitter =	require( 'events' );
+const fs =				require( 'fs' );
+const path =			require( 'path' );
+
+// third party modules
+const debug =			require( 'debug' )( 'demo' );
+
+// internal modules
+const { JKParseError } =	require( './errors' );
+const JKUtils =				require( './jkutils' );
+const Q3BitMessageParser =	require( './bit-message-parser' );
+
+// svc_* ops, shared by every protocol up to svc_snapshot
+const commonOps = {
+	bad: 0,
+	nop: 1,
+	gamestate: 2,
+	configstring: 3,
+	baseline: 4,
+	serverCommand: 5,
+	download: 6,
+	snapshot: 7,
+};
+
+// keyed by protocol number, see JKUtils.protocolNumbers
+const serverOps = {
+	// Jedi Outcast adds svc_mapchange
+	'15': Object.assign( { mapchange: 8, EOF: 9 }, commonOps ),
+	'16': Object.assign( { mapchange: 8, EOF: 9 }, commonOps ),
+	// Jedi Academy adds svc_setgame (switches the game module)
+	'26': Object.assign( { setgame: 8, mapchange: 9, EOF: 10 }, commonOps ),
+};
+
+// MAX_QPATH
+const maxGameNameLength = 64;
+
+/**
+ * JKDemoReader options
+ * @typedef {Object} JKDemoReaderOpts
+ * @property {string} protocol see JKUtils.protocolNumbers, JKDemoReader.protocolFromFilename
+ */
+
+module.exports = class JKDemoReader extends EventEmitter {
+
+	/**
+	 * @constructor
+	 * @param {JKDemoReaderOpts} opts
+	 */
+	constructor( opts ) {
+		super();
+
+		const protocol = `${opts.protocol}`;
+		if ( !JKUtils.protocolNumbers[protocol] ) {
+			throw new TypeError( `unsupported protocol "${protocol}", expected one of: ${Object.keys( JKUtils.protocolNumbers ).join( ', ' )}` );
+		}
+		this.protocol = protocol;
+		this.ops = serverOps[protocol];
+
+		// latest value of every configstring, kept up to date by `cs` commands
+		this.configstrings = new Map();
+		// big configstrings arrive in pieces: bcs0 <index> "<part>", bcs1 ..., bcs2 ...
+		this.bigConfigstring = null;
+	}
+
+	/**
+	 * work out the protocol from a demo's extension
+	 * @param {string} file
+	 * @returns {string} null if the extension is not a known demo extension
+	 */
+	static protocolFromFilename( file ) {
+		const matches = /^\.dm_(\d+)$/.exec( path.extname( file ) );
+		if ( !matches || !JKUtils.protocolNumbers[matches[1]] ) {
+			return null;
+		}
+		return matches[1];
+	}
+
+	/**
+	 * read a demo file, the protocol is taken from the file extension
+	 * @param {string} file
+	 * @param {function} [listen] called with the reader before parsing, to attach event listeners
+	 * @returns {Promise<Object>} see parse
+	 */
+	static readFile( file, listen ) {
+		return new Promise( (resolve, reject) => {
+			const protocol = JKDemoReader.protocolFromFilename( file );
+			if ( !protocol ) {
+				return reject( new TypeError( `can't tell the protocol from the file name "${file}"` ) );
+			}
+			const reader = new JKDemoReader( { protocol } );
+			if ( listen ) {
+				listen( reader );
+			}
+			fs.readFile( file, (err, data) => {
+				if ( err ) {
+					return reject( err );
+				}
+				try {
+					resolve( reader.parse( data ) );
+				}
+				catch ( err ) {
+					reject( err );
+				}
+			} );
+		} );
+	}
+
+	/**
+	 * walk every message block of a demo, emitting events as they are decoded
+	 * @param {Buffer} data whole demo file
+	 * @returns {Object} { messages, truncated, configstrings }
+	 * 	truncated is set if the file ended without the end marker, or in the middle of a block
+	 * @throws {JKParseError} if a message can't be decoded, offset is in the file
+	 */
+	parse( data ) {
+		let offset = 0;
+		let messages = 0;
+		for ( ;; ) {
+			if ( offset + 8 > data.length ) {
+				debug( `demo ends without an end marker (offset: ${offset})` );
+				return { messages, truncated: true, configstrings: this.configstrings };
+			}
+			const sequence = data.readInt32LE( offset );
+			const length = data.readInt32LE( offset + 4 );
+			offset += 8;
+			if ( length === -1 ) {
+				return { messages, truncated: false, configstrings: this.configstrings };
+			}
+			if ( length < 0 || offset + length > data.length ) {
+				debug( `block ${sequence} is truncated (length: ${length}, offset: ${offset})` );
+				return { messages, truncated: true, configstrings: this.configstrings };
+			}
+
+			try {
+				this.parseMessage( data.slice( offset, offset + length ), sequence );
+			}
+			catch ( err ) {
+				if ( !(err instanceof JKParseError) ) {
+					throw err;
+				}
+				throw new JKParseError( `block ${sequence}: ${err.message}`, { packet: err.packet, offset: offset + err.offset, cause: err } );
+			}
+			offset += length;
+			messages++;
+		}
+	}
+
+	/**
+	 * decode the server ops of a single message (CL_ParseServerMessage)
+	 * an op that can't be handled ends the message, the rest of the demo is still read
+	 * @param {Buffer} msg
+	 * @param {number} sequence server message sequence
+	 * @throws {JKParseError} if the message ends in the middle of an op
+	 */
+	parseMessage( msg, sequence ) {
+		const parser = new Q3BitMessageParser( msg );
+		// reliableAcknowledge, only meaningful to the client that recorded the demo
+		parser.readLong();
+
+		for ( ;; ) {
+			const op = parser.readByte();
+			switch ( op ) {
+
+			case this.ops.EOF:
+				return;
+
+			case this.ops.nop:
+			case this.ops.mapchange:
+				break;
+
+			case this.ops.serverCommand:
+				this.parseServerCommand( parser, sequence );
+				break;
+
+			case this.ops.gamestate:
+				this.parseGamestate( parser, sequence );
+				// baselines may have been skipped, nothing after them can be located
+				return;
+
+			case this.ops.snapshot:
+				this.parseSnapshot( parser, sequence );
+				// the player/entity deltas can't be skipped without the field tables
+				return;
+
+			case this.ops.setgame:
+				debug( `message ${sequence}: setgame ${parser.readString( maxGameNameLength )}` );
+				break;
+
+			default:
+				debug( `message ${sequence}: can't handle op ${op}` );
+				return;
+
+			}
+		}
+	}
+
+	/**
+	 * svc_gamestate: serverCommandSequence, then configstrings and baselines up to svc_EOF, then clientNum/checksumFeed
+	 * the configstrings are replaced as a whole, the same way the client resets them on a new gamestate
+	 * @param {Q3BitMessageParser} parser
+	 * @param {number} sequence
+	 */
+	parseGamestate( parser, sequence ) {
+		const gamestate = {
+			sequence,
+			serverCommandSequence: parser.readLong(),
+			configstrings: new Map(),
+			clientNum: null,
+			checksumFeed: null,
+		};
+		this.configstrings = gamestate.configstrings;
+		this.bigConfigstring = null;
+
+		for ( ;; ) {
+			const op = parser.readByte();
+			if ( op === this.ops.EOF ) {
+				gamestate.clientNum = parser.readLong();
+				gamestate.checksumFeed = parser.readLong();
+				break;
+			}
+			if ( op === this.ops.configstring ) {
+				const index = parser.readShort();
+				this.setConfigstring( index, parser.readBigString(), sequence );
+				continue;
+			}
+			if ( op !== this.ops.baseline ) {
+				debug( `message ${sequence}: bad gamestate op ${op}` );
+			}
+			break;
+		}
+
+		this.emit( 'gamestate', gamestate );
+	}
+
+	/**
+	 * svc_serverCommand: reliable command sequence and text
+	 * @param {Q3BitMessageParser} parser
+	 * @param {number} sequence
+	 */
+	parseServerCommand( parser, sequence ) {
+		const commandSequence = parser.readLong();
+		const command = parser.readString();
+		this.emit( 'serverCommand', { sequence, commandSequence, command } );
+
+		const cs = /^(cs|bcs0|bcs1|bcs2) (\d+) "?([^]*?)"?$/.exec( command );
+		if ( !cs ) {
+			return;
+		}
+		const index = parseInt( cs[2], 10 );
+		switch ( cs[1] ) {
+
+		case 'cs':
+			this.setConfigstring( index, cs[3], sequence );
+			break;
+
+		case 'bcs0':
+			this.bigConfigstring = { index, value: cs[3] };
+			break;
+
+		case 'bcs1':
+		case 'bcs2':
+			if ( !this.bigConfigstring || this.bigConfigstring.index !== index ) {
+				debug( `message ${sequence}: ${cs[1]} ${index} without bcs0` );
+				break;
+			}
+			this.bigConfigstring.value += cs[3];
+			if ( cs[1] === 'bcs2' ) {
+				this.setConfigstring( index, this.bigConfigstring.value, sequence );
+				this.bigConfigstring = null;
+			}
+			break;
+
+		}
+	}
+
+	/**
+	 * svc_snapshot header: serverTime, deltaNum, snapFlags, areamask
+	 * @param {Q3BitMessageParser} parser
+	 * @param {number} sequence
+	 */
+	parseSnapshot( parser, sequence ) {
+		const serverTime = parser.readLong();
+		const deltaNum = parser.readByte();
+		const snapFlags = parser.readByte();
+		const areamask = parser.readData( parser.readByte() );
+		this.emit( 'snapshot', { sequence, serverTime, deltaNum, snapFlags, areamask } );
+	}
+
+	/**
+	 * @param {number} index
+	 * @param {string} value
+	 * @param {number} sequence
+	 */
+	setConfigstring( index, value, sequence ) {
+		this.configstrings.set( index, value );
+		this.emit( 'configstring', index, value, sequence );
+	}
+
+};
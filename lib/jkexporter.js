@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * Prometheus exporter
+ * polls servers with getinfo -> getstatus on an interval and serves the latest results on /metrics (text format 0.0.4)
+ * 	jkutils_server_up						{server}				1 if the last poll got a reply
+ * 	jkutils_server_query_latency_seconds	{server}				getinfo round trip of the last successful poll
+ * 	jkutils_server_players					{server,map,gametype}	connected clients, bots included
+ * 	jkutils_server_bots						{server,map,gametype}	bots (ping 0)
+ * 	jkutils_server_max_clients				{server,map,gametype}
+ * gametype is the name (see ServerInfo.gametypeName), or the number if the game or gametype isn't known
+ * servers that never replied only have jkutils_server_up, the others keep their last known values while down
+ *
+ * events:
+ * 	listening	()
+ * 	error		(err)			HTTP server error, or a listener threw (polling carries on regardless)
+ * 	poll		(server, err)	after every query, err is null on success
+ */
+
+/* global AbortController */
+
+// core modules
+const EventEmitter =	require( 'events' );
+const http =			require( 'http' );
+
+// third party modules
+const debug =			require( 'debug' )( 'exporter' );
+
+// internal modules
+const JKComms =			require( './jkcomms' );
+const ServerInfo =		require( './server-info' );
+
+/**
+ * JKExporter options
+ * @typedef {Object} JKExporterOpts
+ * @property {Object[]} servers { ip, port } of every server to query
+ * @property {number} [port] default: 9270 (0 for an ephemeral port)
+ * @property {string} [address] default: all interfaces
+ * @property {number} [interval] default: 15000ms (between the end of one poll and the start of the next)
+ * @property {string} [challenge] default: 'jkutils-query'
+ * @property {boolean} [strictMode] default: true, see JKComms
+ * @property {Object} [socketConfig] transport/binding for the query sockets, see JKSocket's JKSocketConfig
+ */
+
+/**
+ * escape a label value (backslash, double quote and line feed)
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabel( value ) {
+	return `${value}`.replace( /\\/g, '\\\\' ).replace( /"/g, '\\"' ).replace( /\n/g, '\\n' );
+}
+
+/**
+ * @param {Object} labels
+ * @returns {string} {k="v",...}
+ */
+function formatLabels( labels ) {
+	return `{${Object.keys( labels ).map( key => `${key}="${escapeLabel( labels[key] )}"` ).join( ',' )}}`;
+}
+
+module.exports = class JKExporter extends EventEmitter {
+
+	/**
+	 * @constructor
+	 * @param {JKExporterOpts} opts
+	 */
+	constructor( opts ) {
+		super();
+
+		if ( !opts.servers || !opts.servers.length ) {
+			throw new TypeError( 'servers must be specified' );
+		}
+
+		this.port = (opts.port !== undefined) ? opts.port : 9270;
+		this.address = opts.address;
+		this.interval = opts.interval || 15 * 1000;
+		this.challenge = opts.challenge;
+		this.strictMode = (opts.strictMode !== undefined) ? opts.strictMode : true;
+		this.socketConfig = opts.socketConfig;
+
+		this.servers = opts.servers.map( server => ({
+			server: { ip: server.ip, port: server.port },
+			up: false,
+			// last successful poll
+			last: null,
+		}) );
+
+		this.server = null;
+		this.timer = null;
+		this.controller = null;
+	}
+
+	/**
+	 * start the HTTP server and polling
+	 * @param {function} [callback] upon listening
+	 */
+	listen( callback ) {
+		if ( this.server ) {
+			throw new Error( 'JKExporter: already listening' );
+		}
+
+		this.server = http.createServer( (req, res) => this.handleRequest( req, res ) );
+
+		this.server.on( 'error', err => {
+			debug( `JKExporter::error err: ${JSON.stringify( err )}` );
+			this.emit( 'error', err );
+		} );
+
+		this.server.on( 'listening', () => {
+			const address = /** @type {import('net').AddressInfo} */ (this.server.address());
+			debug( `listening on ${address.address}:${address.port} (HTTP)` );
+
+			this.emit( 'listening' );
+			if ( callback ) {
+				callback();
+			}
+		} );
+
+		this.server.listen( this.port, this.address );
+
+		this.controller = new AbortController();
+		const signal = this.controller.signal;
+		const loop = () => {
+			const next = () => {
+				if ( !signal.aborted ) {
+					this.timer = setTimeout( loop, this.interval );
+				}
+			};
+			this.poll( signal ).then( next, err => {
+				next();
+				debug( `poll failed: ${err.message}` );
+				this.emit( 'error', err );
+			} );
+		};
+		loop();
+	}
+
+	/**
+	 * stop polling and the HTTP server
+	 * @param {function(Error=): void} [callback] once all connections have ended
+	 */
+	close( callback ) {
+		clearTimeout( this.timer );
+		this.timer = null;
+		if ( this.controller ) {
+			this.controller.abort();
+			this.controller = null;
+		}
+
+		if ( this.server ) {
+			debug( 'closing server' );
+			this.server.close( callback );
+			this.server = null;
+		}
+		else if ( callback ) {
+			process.nextTick( callback );
+		}
+	}
+
+	/**
+	 * query every server once
+	 * @param {AbortSignal} [signal]
+	 * @returns {Promise<void>} rejects once every server is done if a listener threw (with the first error)
+	 */
+	poll( signal ) {
+		let error = null;
+		const polls = this.servers.map( state => this.pollServer( state, signal ).catch( err => {
+			error = error || err;
+		} ) );
+		return Promise.all( polls ).then( () => {
+			if ( error ) {
+				throw error;
+			}
+		} );
+	}
+
+	/**
+	 * @param {Object} state
+	 * @param {AbortSignal} [signal]
+	 * @returns {Promise<void>}
+	 */
+	async pollServer( state, signal ) {
+		const comms = new JKComms( this.strictMode, this.socketConfig );
+		const dest = { ip: state.server.ip, port: state.server.port, challenge: this.challenge };
+		// emitted outside the try, a throwing listener mustn't count as a failed poll
+		let error = null;
+		try {
+			const start = process.hrtime();
+			const info = await comms.getInfo( dest, { signal } );
+			const elapsed = process.hrtime( start );
+			const status = await comms.getStatus( dest, { signal } );
+
+			state.up = true;
+			state.last = {
+				serverInfo: new ServerInfo( info, status ),
+				latency: elapsed[0] + elapsed[1] / 1e9,
+			};
+		}
+		catch ( err ) {
+			if ( signal && signal.aborted ) {
+				return;
+			}
+			debug( `${dest.ip}:${dest.port} failed: ${err.message}` );
+			state.up = false;
+			error = err;
+		}
+		finally {
+			comms.jkSocket.destroy( true );
+		}
+		this.emit( 'poll', state.server, error );
+	}
+
+	/**
+	 * render the latest results in the Prometheus text format
+	 * @returns {string}
+	 */
+	render() {
+		const metrics = {
+			jkutils_server_up: { help: 'Whether the server replied to the last poll', samples: [] },
+			jkutils_server_query_latency_seconds: { help: 'getinfo round trip of the last successful poll', samples: [] },
+			jkutils_server_players: { help: 'Connected clients, bots included', samples: [] },
+			jkutils_server_bots: { help: 'Bots (ping 0)', samples: [] },
+			jkutils_server_max_clients: { help: 'sv_maxclients', samples: [] },
+		};
+
+		for ( let state of this.servers ) {
+			const server = `${state.server.ip}:${state.server.port}`;
+			metrics.jkutils_server_up.samples.push( [ { server }, state.up ? 1 : 0 ] );
+			if ( !state.last ) {
+				continue;
+			}
+
+			const { serverInfo, latency } = state.last;
+			const labels = {
+				server,
+				map: serverInfo.map,
+				gametype: serverInfo.gametypeName || ((serverInfo.gametype !== null) ? serverInfo.gametype : ''),
+			};
+			metrics.jkutils_server_query_latency_seconds.samples.push( [ { server }, latency ] );
+			metrics.jkutils_server_players.samples.push( [ labels, serverInfo.clients ] );
+			metrics.jkutils_server_bots.samples.push( [ labels, serverInfo.bots ] );
+			metrics.jkutils_server_max_clients.samples.push( [ labels, serverInfo.maxClients ] );
+		}
+
+		let out = '';
+		for ( let name of Object.keys( metrics ) ) {
+			out += `# HELP ${name} ${metrics[name].help}\n`;
+			out += `# TYPE ${name} gauge\n`;
+			for ( let [ labels, value ] of metrics[name].samples ) {
+				out += `${name}${formatLabels( labels )} ${value}\n`;
+			}
+		}
+		return out;
+	}
+
+	/**
+	 * serve /metrics, anything else is a 404
+	 * @param {http.IncomingMessage} req
+	 * @param {http.ServerResponse} res
+	 */
+	handleRequest( req, res ) {
+		if ( req.method !== 'GET' || req.url.split( '?' )[0] !== '/metrics' ) {
+			res.writeHead( 404, { 'Content-Type': 'text/plain' } );
+			return res.end( 'not found\n' );
+		}
+		res.writeHead( 200, { 'Content-Type': 'text/plain; version=0.0.4' } );
+		res.end( this.render() );
+	}
+
+};
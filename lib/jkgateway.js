@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * HTTP/JSON gateway, for clients that can't send UDP themselves (browsers, some hosting environments)
+ * 	GET /master/:host/servers[?protocol=26]	-> [ { ip, port, family } ], protocol is one of the games' (see games.js)
+ * 	GET /server/:host/info					-> { source, info }
+ * 	GET /server/:host/status				-> { source, status, clients }
+ * :host is ip, ip:port, hostname, hostname:port or [ipv6]:port
+ *
+ * replies (errors included) are cached for `cacheTime`, and identical requests made while a query is in flight
+ * 	share it, so however often an endpoint is hit a game server or master sees at most one query per `cacheTime`
+ * 	queries are keyed by resolved address, so hostnames pointing at the same server share their entry, and live
+ * 	entries are never evicted: once `maxCacheEntries` are live, new queries are refused until some expire
+ *
+ * errors are returned as { error } with:
+ * 	400	bad request URL, bad host/port/protocol, unknown hostname
+ * 	404	unknown endpoint
+ * 	405	not a GET
+ * 	502	bad reply from the game server/master
+ * 	503	cache full, see `maxCacheEntries`
+ * 	504	no reply from the game server/master
+ *
+ * events:
+ * 	listening	()
+ * 	error		(err)
+ * 	request		(method, url)
+ */
+
+// core modules
+const EventEmitter =	require( 'events' );
+const http =			require( 'http' );
+
+// third party modules
+const debug =			require( 'debug' )( 'gateway' );
+
+// internal modules
+const endpoint =		require( './endpoint' );
+const { JKTimeoutError } =	require( './errors' );
+const games =			require( './games' );
+const JKComms =			require( './jkcomms' );
+
+const routePattern = /^\/(master|server)\/([^/]+)\/(servers|info|status)$/;
+
+/**
+ * JKGateway options
+ * @typedef {Object} JKGatewayOpts
+ * @property {number} [port] default: 8080 (0 for an ephemeral port)
+ * @property {string} [address] default: all interfaces
+ * @property {number} [cacheTime] default: 10000ms
+ * @property {number} [maxCacheEntries] default: 1000 (expired entries are dropped, beyond that queries are refused)
+ * @property {boolean} [strictMode] default: true, see JKComms
+ * @property {Object} [socketConfig] transport/binding for the query sockets, see JKSocket's JKSocketConfig
+ */
+
+/**
+ * error with the HTTP status to reply with
+ * @param {number} statusCode
+ * @param {string} message
+ * @returns {Error & { statusCode: number }}
+ */
+function httpError( statusCode, message ) {
+	const err = /** @type {Error & { statusCode: number }} */ (new Error( message ));
+	err.statusCode = statusCode;
+	return err;
+}
+
+/**
+ * parse "host[:port]" (see endpoint.parseEndpoint) and resolve the host
+ * @param {string} host
+ * @param {string} kind 'master' or 'server', for the default port
+ * @returns {Promise<Object>} { ip, port }
+ */
+function resolveHost( host, kind ) {
+	let parsed;
+	try {
+		parsed = endpoint.parseEndpoint( host, kind );
+	}
+	catch ( err ) {
+		return Promise.reject( httpError( 400, err.message ) );
+	}
+	return endpoint.resolve( parsed.host ).then( ip => ({ ip, port: parsed.port }) );
+}
+
+module.exports = class JKGateway extends EventEmitter {
+
+	/**
+	 * @constructor
+	 * @param {JKGatewayOpts} [opts]
+	 */
+	constructor( opts={} ) {
+		super();
+
+		this.port = (opts.port !== undefined) ? opts.port : 8080;
+		this.address = opts.address;
+		this.cacheTime = opts.cacheTime || 10 * 1000;
+		this.maxCacheEntries = opts.maxCacheEntries || 1000;
+		this.strictMode = (opts.strictMode !== undefined) ? opts.strictMode : true;
+		this.socketConfig = opts.socketConfig;
+
+		// query key -> { expires, promise }, in insertion order
+		this.cache = new Map();
+
+		this.server = null;
+	}
+
+	/**
+	 * start the HTTP server
+	 * @param {function} [callback] upon listening
+	 */
+	listen( callback ) {
+		if ( this.server ) {
+			throw new Error( 'JKGateway: already listening' );
+		}
+
+		this.server = http.createServer( (req, res) => this.handleRequest( req, res ) );
+
+		this.server.on( 'error', err => {
+			debug( `JKGateway::error err: ${JSON.stringify( err )}` );
+			this.emit( 'error', err );
+		} );
+
+		this.server.on( 'listening', () => {
+			const address = /** @type {import('net').AddressInfo} */ (this.server.address());
+			debug( `listening on ${address.address}:${address.port} (HTTP)` );
+
+			this.emit( 'listening' );
+			if ( callback ) {
+				callback();
+			}
+		} );
+
+		this.server.listen( this.port, this.address );
+	}
+
+	/**
+	 * stop the HTTP server and drop the cache
+	 * @param {function(Error=): void} [callback] once all connections have ended
+	 */
+	close( callback ) {
+		this.cache.clear();
+		if ( this.server ) {
+			debug( 'closing server' );
+			this.server.close( callback );
+			this.server = null;
+		}
+		else if ( callback ) {
+			process.nextTick( callback );
+		}
+	}
+
+	/**
+	 * route a request and write the JSON reply
+	 * @param {http.IncomingMessage} req
+	 * @param {http.ServerResponse} res
+	 */
+	handleRequest( req, res ) {
+		this.emit( 'request', req.method, req.url );
+
+		const reply = (statusCode, body, maxAge) => {
+			const headers = { 'Content-Type': 'application/json' };
+			if ( maxAge !== undefined ) {
+				headers['Cache-Control'] = `public, max-age=${maxAge}`;
+			}
+			res.writeHead( statusCode, headers );
+			res.end( JSON.stringify( body ) );
+		};
+		const replyError = err => {
+			let statusCode = err.statusCode || (err instanceof JKTimeoutError ? 504 : 502);
+			if ( err.code === 'ENOTFOUND' ) {
+				statusCode = 400;
+			}
+			reply( statusCode, { error: err.message } );
+		};
+
+		if ( req.method !== 'GET' ) {
+			return replyError( httpError( 405, `method ${req.method} not allowed` ) );
+		}
+
+		// e.g. "//" can't be taken as a path on our host
+		let url;
+		try {
+			url = new URL( req.url, 'http://localhost' );
+		}
+		catch ( err ) {
+			return replyError( httpError( 400, `bad request URL ${req.url}` ) );
+		}
+		const route = routePattern.exec( url.pathname );
+		if ( !route || (route[1] === 'master') !== (route[3] === 'servers') ) {
+			return replyError( httpError( 404, `unknown endpoint ${url.pathname}` ) );
+		}
+
+		let host;
+		try {
+			host = decodeURIComponent( route[2] );
+		}
+		catch ( err ) {
+			return replyError( httpError( 400, `bad escape in host "${route[2]}"` ) );
+		}
+
+		let query;
+		try {
+			query = this.route( route[1], route[3], host, url.searchParams );
+		}
+		catch ( err ) {
+			return replyError( err );
+		}
+
+		query.then( entry => {
+			const maxAge = Math.max( Math.ceil( (entry.expires - Date.now()) / 1000 ), 0 );
+			reply( 200, entry.result, maxAge );
+		} ).catch( replyError );
+	}
+
+	/**
+	 * work out which query an endpoint needs
+	 * @param {string} target 'master' or 'server'
+	 * @param {string} endpoint 'servers', 'info' or 'status'
+	 * @param {string} host
+	 * @param {URLSearchParams} params
+	 * @returns {Promise<Object>} cache entry
+	 */
+	route( target, endpoint, host, params ) {
+		if ( target === 'master' ) {
+			const protocol = params.get( 'protocol' ) || games.get().protocol;
+			if ( !games.byProtocol( protocol ) ) {
+				throw httpError( 400, `unknown protocol "${protocol}"` );
+			}
+			return resolveHost( host, 'master' ).then( ({ ip, port }) =>
+				this.cached( `servers ${ip} ${port} ${protocol}`, comms => comms.getServers( { ip, port, protocol } ) ) );
+		}
+
+		return resolveHost( host, 'server' ).then( ({ ip, port }) => {
+			if ( endpoint === 'info' ) {
+				return this.cached( `info ${ip} ${port}`, comms => comms.getInfo( { ip, port } ) );
+			}
+			return this.cached( `status ${ip} ${port}`, comms => comms.getStatus( { ip, port } ) );
+		} );
+	}
+
+	/**
+	 * run a query unless the same one ran recently (or is running right now)
+	 * @param {string} key
+	 * @param {function} query receives a JKComms, returns a promise
+	 * @returns {Promise<Object>} { expires, result }, rejects with the query's error, or a 503 if the cache is full
+	 */
+	cached( key, query ) {
+		const now = Date.now();
+		const hit = this.cache.get( key );
+		if ( hit && hit.expires > now ) {
+			debug( `cache hit: ${key}` );
+			return hit.promise;
+		}
+		this.cache.delete( key );
+
+		// make room, but only by dropping what has expired: evicting a live entry would let its query be repeated
+		for ( let [ oldKey, entry ] of this.cache ) {
+			if ( entry.expires <= now ) {
+				this.cache.delete( oldKey );
+			}
+		}
+		if ( this.cache.size >= this.maxCacheEntries ) {
+			debug( `cache full, refusing: ${key}` );
+			return Promise.reject( httpError( 503, 'too many queries, try again later' ) );
+		}
+
+		debug( `cache miss: ${key}` );
+		const entry = { expires: Infinity, promise: null };
+		const comms = new JKComms( this.strictMode, this.socketConfig );
+		entry.promise = Promise.resolve()
+			.then( () => query( comms ) )
+			.then( result => {
+				// the cache time starts once the reply is in, so a slow server isn't queried again straight away
+				entry.expires = Date.now() + this.cacheTime;
+				return { expires: entry.expires, result };
+			}, err => {
+				entry.expires = Date.now() + this.cacheTime;
+				throw err;
+			} )
+			.finally( () => comms.jkSocket.destroy( true ) );
+		// errors are handled by whoever asked, this only stops an unhandled rejection while cached
+		entry.promise.catch( () => {} );
+		this.cache.set( key, entry );
+		return entry.promise;
+	}
+
+};
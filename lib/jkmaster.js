@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * master server (server list provider)
+ * protocol support based on:
+ * 	dpmaster, doc/techinfo.txt
+ *
+ * 1) game server sends `heartbeat <game>`
+ * 2) master replies with `getinfo <challenge>`
+ * 3) game server replies with `infoResponse`, which must echo the challenge before the server is listed
+ * 		a server shutting down sends `heartbeat flatline`, and is removed once it leaves the challenge unanswered
+ * 4) clients send `getservers <protocol> [empty] [full]` and receive one or more `getserversResponse` packets
+ * 		each packet ends with an EOF sentinel, except for the last one which ends with EOT
+ *
+ * events:
+ * 	listening	()
+ * 	error		(err)
+ * 	serverAdded	(server)
+ * 	serverRemoved	(server, reason) reason is 'timeout' or 'flatline'
+ */
+
+// core modules
+const crypto =			require( 'crypto' );
+const dgram =			require( 'dgram' );
+const EventEmitter =	require( 'events' );
+
+// third party modules
+const debug =			require( 'debug' )( 'master' );
+
+// internal modules
+const JKUtils =			require( './jkutils' );
+const Q3MessageParser =	require( './message-parser' );
+
+// same limit as dpmaster
+const maxPacketSize = 1400;
+const responseHeader = Buffer.from( 'getserversResponse' );
+// dpmaster pads each sentinel with 3 null bytes
+const sentinelEOF = Buffer.from( '\\EOF\0\0\0', 'binary' );
+const sentinelEOT = Buffer.from( '\\EOT\0\0\0', 'binary' );
+// '\\' + ip(x4) + port(x2)
+const serverEntrySize = 7;
+const serversPerPacket = Math.floor(
+	(maxPacketSize - JKUtils.oobPrefix.length - responseHeader.length - sentinelEOT.length) / serverEntrySize
+);
+
+// characters allowed in a challenge, avoids anything that would break an infostring
+const challengeChars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+/**
+ * JKMaster options
+ * @typedef {Object} JKMasterOpts
+ * @property {number} [port] default: 29060 (0 for an ephemeral port)
+ * @property {string} [address] default: all interfaces
+ * @property {Object} [transport] default: dgram, see JKSocket's JKTransport
+ * @property {number} [serverTimeout] default: 15 minutes (ms since the last confirmed heartbeat before a server expires)
+ * @property {number} [challengeTimeout] default: 2000ms (how long a server has to answer the getinfo challenge)
+ * @property {number} [maxServers] default: 4096
+ * @property {number} [maxChallenges] default: maxServers (unanswered challenges kept, the oldest is dropped beyond that)
+ */
+
+module.exports = class JKMaster extends EventEmitter {
+
+	/**
+	 * @constructor
+	 * @param {JKMasterOpts} [opts]
+	 */
+	constructor( opts={} ) {
+		super();
+
+		this.port = (opts.port !== undefined) ? opts.port : 29060;
+		this.address = opts.address;
+		this.transport = opts.transport || dgram;
+		this.serverTimeout = opts.serverTimeout || 15 * 60 * 1000;
+		this.challengeTimeout = opts.challengeTimeout || 2000;
+		this.maxServers = opts.maxServers || 4096;
+		this.maxChallenges = opts.maxChallenges || this.maxServers;
+
+		// keyed by "ip:port"
+		this.servers = new Map();
+		this.challenges = new Map();
+
+		this.socket = null;
+		this.sweepTimer = null;
+	}
+
+	/**
+	 * bind the socket and start accepting heartbeats/queries
+	 * @param {function} [callback] upon listening
+	 */
+	listen( callback ) {
+		if ( this.socket ) {
+			throw new Error( 'JKMaster: already listening' );
+		}
+
+		this.socket = this.transport.createSocket( 'udp4' );
+
+		this.socket.on( 'error', err => {
+			debug( `JKMaster::error err: ${JSON.stringify( err )}` );
+			this.emit( 'error', err );
+		} );
+
+		this.socket.on( 'message', (msg, rinfo) => this.handleMessage( msg, rinfo ) );
+
+		this.socket.on( 'listening', () => {
+			const address = this.socket.address();
+			debug( `listening on ${address.address}:${address.port} (UDP)` );
+
+			// periodically drop servers that stopped sending heartbeats
+			this.sweepTimer = setInterval( () => this.expireServers(), Math.min( this.serverTimeout, 60 * 1000 ) );
+			this.sweepTimer.unref();
+
+			this.emit( 'listening' );
+			if ( callback ) {
+				callback();
+			}
+		} );
+
+		this.socket.bind( this.port, this.address );
+	}
+
+	/**
+	 * stop listening and forget all servers
+	 * @param {function} [callback] upon socket close
+	 */
+	close( callback ) {
+		clearInterval( this.sweepTimer );
+		this.sweepTimer = null;
+
+		for ( let pending of this.challenges.values() ) {
+			clearTimeout( pending.timer );
+		}
+		this.challenges.clear();
+		this.servers.clear();
+
+		if ( this.socket ) {
+			debug( 'closing socket' );
+			this.socket.close( callback );
+			this.socket = null;
+		}
+		else if ( callback ) {
+			process.nextTick( callback );
+		}
+	}
+
+	/**
+	 * list the currently registered servers
+	 * @param {string} protocol
+	 * @param {object} [filter]
+	 * @param {boolean} [filter.empty] include servers with no clients
+	 * @param {boolean} [filter.full] include servers with no free slots
+	 * @returns {Object[]}
+	 */
+	getServers( protocol, filter={} ) {
+		this.expireServers();
+
+		const servers = [];
+		for ( let server of this.servers.values() ) {
+			if ( server.protocol !== protocol ) {
+				continue;
+			}
+			if ( !filter.empty && server.clients === 0 ) {
+				continue;
+			}
+			if ( !filter.full && server.clients >= server.maxClients ) {
+				continue;
+			}
+			servers.push( server );
+		}
+		return servers;
+	}
+
+	/**
+	 * remove servers whose last confirmed heartbeat is too old
+	 */
+	expireServers() {
+		const now = Date.now();
+		for ( let [key, server] of this.servers ) {
+			if ( now - server.lastSeen > this.serverTimeout ) {
+				debug( `expiring ${key}` );
+				this.servers.delete( key );
+				this.emit( 'serverRemoved', server, 'timeout' );
+			}
+		}
+	}
+
+	/**
+	 * dispatch an incoming OOB message
+	 * @param {Buffer} msg
+	 * @param {object} rinfo
+	 */
+	handleMessage( msg, rinfo ) {
+		let parser;
+		try {
+			parser = new Q3MessageParser( msg );
+		}
+		catch ( err ) {
+			debug( `ignoring non-OOB message from ${rinfo.address}:${rinfo.port}` );
+			return;
+		}
+
+		const source = { ip: rinfo.address, port: rinfo.port };
+		const line = parser.readLine();
+		const args = line.split( ' ' ).filter( arg => arg.length );
+		const command = args[0];
+		debug( `received \`${line}\` from ${source.ip}:${source.port}` );
+
+		switch ( command ) {
+
+		case 'heartbeat':
+			this.handleHeartbeat( source, args[1] );
+			break;
+
+		case 'infoResponse':
+			this.handleInfoResponse( source, parser.readLine() );
+			break;
+
+		case 'getservers':
+			this.handleGetServers( source, args.slice( 1 ) );
+			break;
+
+		default:
+			debug( `unknown command \`${command}\` from ${source.ip}:${source.port}` );
+			break;
+
+		}
+	}
+
+	/**
+	 * a server wants to be listed (or is shutting down): challenge it with `getinfo`
+	 * "flatline" heartbeats are challenged too, so a spoofed one can't delist a live server: a listed server that leaves
+	 * 	the challenge unanswered is removed straight away instead of expiring after `serverTimeout`
+	 * @param {object} source
+	 * @param {string} game
+	 */
+	handleHeartbeat( source, game ) {
+		const key = `${source.ip}:${source.port}`;
+		const flatline = (game === 'flatline');
+
+		if ( !this.servers.has( key ) && (flatline || this.servers.size >= this.maxServers) ) {
+			debug( `ignoring heartbeat from ${key}: ${flatline ? 'not listed' : 'server list is full'}` );
+			return;
+		}
+
+		const pending = this.challenges.get( key );
+		if ( pending ) {
+			clearTimeout( pending.timer );
+			// re-inserted below, as the newest
+			this.challenges.delete( key );
+		}
+		// spoofed heartbeats would otherwise grow the map without limit, the oldest challenge goes first
+		if ( this.challenges.size >= this.maxChallenges ) {
+			const [ oldestKey, oldest ] = this.challenges.entries().next().value;
+			debug( `dropping challenge for ${oldestKey}: too many pending` );
+			clearTimeout( oldest.timer );
+			this.challenges.delete( oldestKey );
+		}
+
+		const challenge = JKMaster.makeChallenge();
+		const timer = setTimeout( () => {
+			debug( `challenge for ${key} timed out` );
+			this.challenges.delete( key );
+			const server = this.servers.get( key );
+			if ( flatline && server ) {
+				debug( `removing ${key}: flatlined` );
+				this.servers.delete( key );
+				this.emit( 'serverRemoved', server, 'flatline' );
+			}
+		}, this.challengeTimeout );
+		// a server answering after a flatline is still around, and still running the same game
+		this.challenges.set( key, { challenge, game: flatline ? this.servers.get( key ).game : game, timer } );
+
+		this.sendOOB( source, Buffer.from( `getinfo ${challenge}` ) );
+	}
+
+	/**
+	 * a server answered our challenge, add or refresh it
+	 * @param {object} source
+	 * @param {string} infoString
+	 */
+	handleInfoResponse( source, infoString ) {
+		const key = `${source.ip}:${source.port}`;
+
+		const pending = this.challenges.get( key );
+		if ( !pending ) {
+			debug( `unsolicited infoResponse from ${key}` );
+			return;
+		}
+
+		const info = JKUtils.parseInfostring( infoString );
+		if ( info.challenge !== pending.challenge ) {
+			debug( `challenge mismatch from ${key}: sent \`${pending.challenge}\`, got \`${info.challenge}\`` );
+			return;
+		}
+		clearTimeout( pending.timer );
+		this.challenges.delete( key );
+
+		const maxClients = parseInt( info.sv_maxclients, 10 );
+		if ( !info.protocol || !(maxClients > 0) ) {
+			debug( `invalid infoResponse from ${key}: ${infoString}` );
+			return;
+		}
+
+		const isNew = !this.servers.has( key );
+		const server = {
+			ip: source.ip,
+			port: source.port,
+			game: pending.game,
+			protocol: info.protocol,
+			clients: parseInt( info.clients, 10 ) || 0,
+			maxClients,
+			info,
+			lastSeen: Date.now(),
+		};
+		this.servers.set( key, server );
+
+		if ( isNew ) {
+			debug( `registered ${key}` );
+			this.emit( 'serverAdded', server );
+		}
+	}
+
+	/**
+	 * answer a client's server list request
+	 * @param {object} source
+	 * @param {string[]} args protocol, followed by optional filter keywords
+	 */
+	handleGetServers( source, args ) {
+		const protocol = args[0];
+		if ( !protocol ) {
+			debug( `getservers with no protocol from ${source.ip}:${source.port}` );
+			return;
+		}
+
+		const servers = this.getServers( protocol, {
+			empty: args.indexOf( 'empty' ) !== -1,
+			full: args.indexOf( 'full' ) !== -1,
+		} );
+
+		for ( let packet of JKMaster.buildServerListPackets( servers ) ) {
+			this.sendOOB( source, packet );
+		}
+	}
+
+	/**
+	 * send an OOB message from the master socket
+	 * @param {object} dest
+	 * @param {Buffer} msg NOTE: do NOT prefix with Q3 OOB identifier
+	 */
+	sendOOB( dest, msg ) {
+		if ( !this.socket ) {
+			return;
+		}
+		this.socket.send( [JKUtils.oobPrefix, msg], dest.port, dest.ip, err => {
+			if ( err ) {
+				debug( `JKMaster::sendOOB err: ${JSON.stringify( err )}` );
+			}
+		} );
+	}
+
+	/**
+	 * encode a server list into `getserversResponse` packets (without the OOB prefix)
+	 * @param {Object[]} servers each with ip and port
+	 * @returns {Buffer[]} at least one packet, the last one ends with EOT
+	 */
+	static buildServerListPackets( servers ) {
+		const packets = [];
+		let offset = 0;
+		do {
+			const chunk = servers.slice( offset, offset + serversPerPacket );
+			offset += chunk.length;
+
+			/** @type {Buffer[]} */
+			const parts = [ responseHeader ];
+			for ( let server of chunk ) {
+				parts.push( Buffer.from( '\\' ), JKUtils.encodeServer( server.ip, server.port ) );
+			}
+			parts.push( (offset < servers.length) ? sentinelEOF : sentinelEOT );
+			packets.push( Buffer.concat( parts ) );
+		} while ( offset < servers.length );
+		return packets;
+	}
+
+	/**
+	 * generate a random challenge string
+	 * @returns {string}
+	 */
+	static makeChallenge() {
+		const bytes = crypto.randomBytes( 12 );
+		let challenge = '';
+		for ( let byte of bytes ) {
+			challenge += challengeChars[byte % challengeChars.length];
+		}
+		return challenge;
+	}
+
+};
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * multiplexed query engine
+ * every query of any number of JKComms goes through one (or a small pool of) UDP socket(s), replies are routed back
+ * 	by source address, command and challenge (see JKSocket), so thousands of queries can be in flight with no cross-talk
+ * 	and a fixed number of file descriptors
+ * 	const engine = new JKQueryEngine();
+ * 	const comms = new JKComms( true, { engine } );
+ * 	...
+ * 	engine.close();
+ *
+ * a JKComms on an engine gets its own channel: destroying it (as JKComms does with retainSocket: false) only cancels
+ * 	that channel's requests, the sockets stay open until close()
+ * queries to the same server always go through the same socket, so getchallenge -> connect keeps its source port
+ * memory use is bounded by `maxInFlight`: further requests wait their turn (their timeout starts once sent)
+ *
+ * events:
+ * 	error	(err)	socket error, the sockets are unusable afterwards
+ */
+
+// core modules
+const EventEmitter =	require( 'events' );
+
+// third party modules
+const debug =			require( 'debug' )( 'engine' );
+
+// internal modules
+const { JKError } =		require( './errors' );
+const JKSocket =		require( './jksocket' );
+
+/**
+ * JKQueryEngine options
+ * @typedef {Object} JKQueryEngineOpts
+ * @property {number} [sockets] default: 1 (size of the socket pool, per address family)
+ * @property {number} [maxInFlight] default: 1024 (requests in flight per socket)
+ * @property {Object} [socketConfig] transport/binding/capture for the sockets, see JKSocket's JKSocketConfig
+ * 	(a bindPort only works with a single socket)
+ */
+
+/**
+ * @typedef {import('./jkquery-engine')} JKQueryEngine
+ */
+
+/**
+ * the JKSocket lookalike a JKComms uses on an engine
+ */
+class JKQueryChannel {
+
+	/**
+	 * @constructor
+	 * @param {JKQueryEngine} engine
+	 */
+	constructor( engine ) {
+		this.engine = engine;
+		this.destroyed = false;
+		// stop functions of the requests still running
+		this.requests = new Set();
+	}
+
+	/**
+	 * same signature as JKSocket.send
+	 * @param {object} dest
+	 * @param {string} dest.ip
+	 * @param {number} dest.port
+	 * @param {Object} opts JKSocketOpts
+	 * @param {Buffer} msg
+	 * @param {function} callback
+	 * @returns {function(): void} stops waiting for responses without firing the callback
+	 */
+	send( dest, opts, msg, callback ) {
+		if ( this.engine.closed ) {
+			callback( new JKError( 'engine closed', { address: dest } ) );
+			return () => {};
+		}
+
+		let finish = () => {};
+		const stop = () => {
+			this.requests.delete( stop );
+			finish();
+		};
+		this.requests.add( stop );
+
+		finish = this.engine.socketFor( dest ).send( dest, opts, msg, (err, res) => {
+			// the request is over, unless more replies may follow
+			if ( err || opts.killOnFirstRes ) {
+				this.requests.delete( stop );
+			}
+			callback( err, res );
+		} );
+		return stop;
+	}
+
+	/**
+	 * cancel this channel's requests, the engine's sockets are left alone
+	 */
+	destroy() {
+		this.destroyed = true;
+		for ( let stop of this.requests ) {
+			stop();
+		}
+	}
+
+}
+
+module.exports = class JKQueryEngine extends EventEmitter {
+
+	/**
+	 * @constructor
+	 * @param {JKQueryEngineOpts} [opts]
+	 */
+	constructor( opts={} ) {
+		super();
+
+		this.size = opts.sockets || 1;
+		this.maxInFlight = opts.maxInFlight || 1024;
+		this.socketConfig = opts.socketConfig || {};
+		if ( this.socketConfig.bindPort && this.size > 1 ) {
+			throw new TypeError( 'bindPort needs a single socket' );
+		}
+
+		this.sockets = [];
+		for ( let i = 0; i < this.size; i++ ) {
+			const config = Object.assign( {}, this.socketConfig, { shared: true, maxInFlight: this.maxInFlight } );
+			this.sockets.push( new JKSocket( err => {
+				if ( err ) {
+					debug( `JKQueryEngine::error err: ${JSON.stringify( err )}` );
+					this.emit( 'error', err );
+				}
+			}, config ) );
+		}
+		this.closed = false;
+	}
+
+	/**
+	 * @returns {JKQueryChannel} to be used in place of a JKSocket
+	 */
+	channel() {
+		if ( this.closed ) {
+			throw new Error( 'JKQueryEngine: closed' );
+		}
+		return new JKQueryChannel( this );
+	}
+
+	/**
+	 * the socket queries to a server go through
+	 * @param {Object} dest { ip, port }
+	 * @returns {JKSocket}
+	 */
+	socketFor( dest ) {
+		if ( this.size === 1 ) {
+			return this.sockets[0];
+		}
+		const key = `${dest.ip}~${dest.port}`;
+		let hash = 0;
+		for ( let i = 0; i < key.length; i++ ) {
+			hash = (hash * 31 + key.charCodeAt( i )) >>> 0;
+		}
+		return this.sockets[hash % this.size];
+	}
+
+	/**
+	 * @returns {Object} { inFlight, queued } summed over the pool
+	 */
+	stats() {
+		return this.sockets.reduce( (stats, socket) => ({
+			inFlight: stats.inFlight + socket.inFlight,
+			queued: stats.queued + socket.queue.length,
+		}), { inFlight: 0, queued: 0 } );
+	}
+
+	/**
+	 * close the sockets, pending requests fail with a JKError (code SOCKET_DESTROYED)
+	 */
+	close() {
+		if ( this.closed ) {
+			return;
+		}
+		this.closed = true;
+		debug( 'closing sockets' );
+		for ( let socket of this.sockets ) {
+			socket.destroy( true );
+		}
+	}
+
+};
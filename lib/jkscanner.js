@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * concurrent server scanner
+ * queries every server of a master list (or an explicit address list) with the getinfo -> getstatus knock
+ * 	- at most `concurrency` servers are queried at once
+ * 	- timed out servers are retried with exponential backoff
+ * 	- the whole scan is bounded by `deadline`, anything still pending is reported as timed out
+ * 	- every query goes through one JKQueryEngine, so the scan uses a single socket however many servers are queried
+ *
+ * events:
+ * 	servers		(addresses)					list of servers about to be scanned
+ * 	result		(address, { info, status, latency })	server responded
+ * 												(latency only with the `ping` option)
+ * 	failure		(address, err, reason)		reason: 'timeout', 'malformed' or 'failed'
+ * 	progress	({ done, total, responded, timedOut, malformed, failed })
+ */
+
+/* global AbortController */
+
+// core modules
+const EventEmitter =	require( 'events' );
+
+// third party modules
+const debug =			require( 'debug' )( 'scanner' );
+
+// internal modules
+const { JKTimeoutError, JKProtocolError, JKAddressMismatchError, JKParseError } =	require( './errors' );
+const JKComms =			require( './jkcomms' );
+const JKQueryEngine =	require( './jkquery-engine' );
+
+/**
+ * JKScanner options
+ * @typedef {Object} JKScannerOpts
+ * @property {Object} [master] { ip, port, protocol, game } to fetch the server list from, see JKComms.ctm_getservers
+ * @property {Object[]} [addresses] explicit { ip, port } list, used instead of a master
+ * @property {number} [concurrency] default: 32 (servers queried at once)
+ * @property {number} [retries] default: 2 (extra attempts after a timeout)
+ * @property {number} [backoff] default: 500ms (delay before the first retry, doubled for each further retry)
+ * @property {number} [deadline] default: 60000ms (overall limit for the scan)
+ * @property {number} [timeout] default: 2500ms (per query, see JKSocket)
+ * @property {string} [challenge] default: 'jkutils-query'
+ * @property {number} [ping] default: 0 (number of latency probes per responding server, see JKComms.cts_ping)
+ * @property {boolean} [strictMode] default: true, see JKComms
+ * @property {Object} [socketConfig] transport/binding for the query sockets, see JKSocket's JKSocketConfig
+ * 	or { engine } to share a JKQueryEngine, otherwise one is created for each scan
+ * @property {AbortSignal} [signal] cancels the scan
+ */
+
+/**
+ * resolve after `ms`, or early if the signal fires
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function sleep( ms, signal ) {
+	return new Promise( resolve => {
+		const onAbort = () => {
+			clearTimeout( timer );
+			resolve();
+		};
+		const timer = setTimeout( () => {
+			signal.removeEventListener( 'abort', onAbort );
+			resolve();
+		}, ms );
+		signal.addEventListener( 'abort', onAbort, { once: true } );
+	} );
+}
+
+/**
+ * sort a query error into the summary buckets
+ * @param {Error} err
+ * @returns {string} 'timeout', 'malformed' or 'failed'
+ */
+function classifyError( err ) {
+	if ( err instanceof JKTimeoutError || err.name === 'AbortError' ) {
+		return 'timeout';
+	}
+	if ( err instanceof JKProtocolError || err instanceof JKAddressMismatchError || err instanceof JKParseError ) {
+		return 'malformed';
+	}
+	return 'failed';
+}
+
+module.exports = class JKScanner extends EventEmitter {
+
+	/**
+	 * @constructor
+	 * @param {JKScannerOpts} opts
+	 */
+	constructor( opts ) {
+		super();
+
+		if ( !opts.master && !opts.addresses ) {
+			throw new TypeError( 'master or addresses must be specified' );
+		}
+
+		this.master = opts.master;
+		this.addresses = opts.addresses;
+		this.concurrency = opts.concurrency || 32;
+		this.retries = (opts.retries !== undefined) ? opts.retries : 2;
+		this.backoff = opts.backoff || 500;
+		this.deadline = opts.deadline || 60 * 1000;
+		this.timeout = opts.timeout;
+		this.challenge = opts.challenge;
+		this.ping = opts.ping || 0;
+		this.strictMode = (opts.strictMode !== undefined) ? opts.strictMode : true;
+		this.socketConfig = opts.socketConfig;
+		this.signal = opts.signal;
+
+		// engine of the scan in progress
+		this.engine = null;
+	}
+
+	/**
+	 * run the scan
+	 * @returns {Promise<Object>} summary { responded, timedOut, malformed, failed, deadlineReached }
+	 * 	responded:	[ { address, info, status, latency } ]
+	 * 	timedOut:	[ { address, error } ]
+	 * 	malformed:	[ { address, error } ]
+	 * 	failed:		[ { address, error } ]
+	 */
+	async scan() {
+		// one controller for the whole scan: fired by the deadline or by the caller's signal
+		const controller = new AbortController();
+		// every query in flight listens to it
+		EventEmitter.setMaxListeners( this.concurrency * 2 + 10, controller.signal );
+		const onAbort = () => controller.abort();
+		if ( this.signal ) {
+			if ( this.signal.aborted ) {
+				controller.abort();
+			}
+			else {
+				this.signal.addEventListener( 'abort', onAbort, { once: true } );
+			}
+		}
+		let deadlineReached = false;
+		const deadlineTimer = setTimeout( () => {
+			debug( 'deadline reached' );
+			deadlineReached = true;
+			controller.abort();
+		}, this.deadline );
+
+		const summary = {
+			responded: [],
+			timedOut: [],
+			malformed: [],
+			failed: [],
+			deadlineReached: false,
+		};
+
+		const ownEngine = !(this.socketConfig && this.socketConfig.engine);
+		this.engine = ownEngine ? new JKQueryEngine( { socketConfig: this.socketConfig } ) : this.socketConfig.engine;
+		if ( ownEngine ) {
+			this.engine.on( 'error', err => debug( `JKScanner::engine err: ${err.message}` ) );
+		}
+
+		try {
+			const addresses = this.addresses || await this.fetchServers( controller.signal );
+			this.emit( 'servers', addresses );
+
+			const total = addresses.length;
+			let done = 0;
+			let next = 0;
+
+			const worker = async () => {
+				while ( next < addresses.length ) {
+					const address = addresses[next++];
+					try {
+						const res = await this.knock( address, controller.signal );
+						summary.responded.push( Object.assign( { address }, res ) );
+						this.emit( 'result', address, res );
+					}
+					catch ( err ) {
+						const reason = classifyError( err );
+						const bucket = { timeout: summary.timedOut, malformed: summary.malformed, failed: summary.failed }[reason];
+						bucket.push( { address, error: err } );
+						this.emit( 'failure', address, err, reason );
+					}
+
+					done++;
+					this.emit( 'progress', {
+						done,
+						total,
+						responded: summary.responded.length,
+						timedOut: summary.timedOut.length,
+						malformed: summary.malformed.length,
+						failed: summary.failed.length,
+					} );
+				}
+			};
+
+			const workers = [];
+			for ( let i = 0; i < Math.min( this.concurrency, total ); i++ ) {
+				workers.push( worker() );
+			}
+			await Promise.all( workers );
+		}
+		finally {
+			clearTimeout( deadlineTimer );
+			if ( this.signal ) {
+				this.signal.removeEventListener( 'abort', onAbort );
+			}
+			if ( ownEngine ) {
+				this.engine.close();
+			}
+			this.engine = null;
+		}
+
+		summary.deadlineReached = deadlineReached;
+		return summary;
+	}
+
+	/**
+	 * @returns {JKComms} on the scan's engine
+	 */
+	createComms() {
+		return new JKComms( this.strictMode, this.engine ? { engine: this.engine } : this.socketConfig );
+	}
+
+	/**
+	 * fetch the list of servers to scan from the master
+	 * @param {AbortSignal} signal
+	 * @returns {Promise<Object[]>}
+	 */
+	async fetchServers( signal ) {
+		const comms = this.createComms();
+		try {
+			return await comms.getServers( Object.assign( {}, this.master ), { signal, timeout: this.timeout } );
+		}
+		finally {
+			comms.jkSocket.destroy( true );
+		}
+	}
+
+	/**
+	 * getinfo -> infoResponse -> getstatus -> statusResponse, retrying timeouts with backoff
+	 * @param {Object} address { ip, port }
+	 * @param {AbortSignal} signal
+	 * @returns {Promise<Object>} { info, status, latency }
+	 */
+	async knock( address, signal ) {
+		const comms = this.createComms();
+		const dest = { ip: address.ip, port: address.port, challenge: this.challenge };
+		const socketOpts = { signal, timeout: this.timeout };
+		try {
+			for ( let attempt = 0; ; attempt++ ) {
+				try {
+					const info = await comms.getInfo( dest, socketOpts );
+					const status = await comms.getStatus( dest, socketOpts );
+					if ( !this.ping ) {
+						return { info, status };
+					}
+					const latency = await comms.ping( { ip: address.ip, port: address.port, count: this.ping }, socketOpts );
+					return { info, status, latency };
+				}
+				catch ( err ) {
+					const retry = classifyError( err ) === 'timeout' && attempt < this.retries && !signal.aborted;
+					if ( !retry ) {
+						throw err;
+					}
+					const delay = this.backoff * Math.pow( 2, attempt );
+					debug( `retrying ${address.ip}:${address.port} in ${delay}ms (attempt ${attempt + 1})` );
+					await sleep( delay, signal );
+				}
+			}
+		}
+		finally {
+			comms.jkSocket.destroy( true );
+		}
+	}
+
+};
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * game server emulator, answers the connectionless queries a real server would
+ * 	getinfo <challenge>		-> infoResponse\n\<infostring>
+ * 	getstatus <challenge>	-> statusResponse\n\<infostring>\n<score> <ping> "<name>"\n...
+ * useful for testing against something that isn't a real server, or for placeholder listings
+ *
+ * with `masters` set, it also advertises itself (stm_* server -> master):
+ * 	1) `heartbeat <game>` is sent to every master on listen and then every `heartbeatInterval`
+ * 	2) the master replies with `getinfo <challenge>`, answered like any other getinfo
+ * 	3) on close, `heartbeat flatline` is sent and the master's challenge that follows is left unanswered, so the master
+ * 		(JKMaster after its `challengeTimeout`) drops the server rather than waiting for it to expire
+ *
+ * events:
+ * 	listening	()
+ * 	error		(err)
+ * 	query		(command, source)
+ * 	heartbeat	(master, flatline)
+ */
+
+// core modules
+const dgram =			require( 'dgram' );
+const EventEmitter =	require( 'events' );
+
+// third party modules
+const debug =			require( 'debug' )( 'emulator' );
+
+// internal modules
+const games =			require( './games' );
+const JKUtils =			require( './jkutils' );
+const Q3MessageParser =	require( './message-parser' );
+
+// like SVC_Info/SVC_Status, longer challenges aren't answered at all
+const maxChallengeLength = 128;
+
+/**
+ * the challenge as it can be echoed back in an infostring, the engine drops values it can't set
+ * @param {string} [challenge]
+ * @returns {string|undefined}
+ */
+function sanitiseChallenge( challenge ) {
+	if ( challenge === undefined || /[\\;"]/.test( challenge ) ) {
+		return undefined;
+	}
+	return challenge;
+}
+
+/**
+ * emulated player
+ * @typedef {Object} JKEmulatedPlayer
+ * @property {number} score
+ * @property {number} ping 0 for bots
+ * @property {string} name may contain colour codes
+ */
+
+/**
+ * JKServerEmulator options
+ * @typedef {Object} JKServerEmulatorOpts
+ * @property {number} [port] default: the game's server port, 29070 without one (0 for an ephemeral port)
+ * @property {string} [address] default: all interfaces
+ * @property {Object} [transport] default: dgram, see JKSocket's JKTransport
+ * @property {Object} [info] key/value pairs sent in infoResponse
+ * @property {Object} [status] key/value pairs sent in statusResponse
+ * @property {JKEmulatedPlayer[]} [players]
+ * @property {Object[]} [masters] { ip, port } of the masters to advertise to, port defaults to the game's (29060)
+ * @property {string} [game] default: 'QuakeArena-1', a game profile (see games.js: its heartbeat, protocol and ports
+ * 	are used) or a heartbeat game string (see JKUtils.protocolStrings)
+ * @property {number} [heartbeatInterval] default: 300000ms (same as the engine)
+ */
+
+module.exports = class JKServerEmulator extends EventEmitter {
+
+	/**
+	 * @constructor
+	 * @param {JKServerEmulatorOpts} [opts]
+	 */
+	constructor( opts={} ) {
+		super();
+
+		// `game` is either a profile or a heartbeat string, which gets Jedi Academy's protocol and ports
+		const profile = games.has( opts.game ) ? games.get( opts.game ) : null;
+		const defaults = profile || games.get();
+		this.port = (opts.port !== undefined) ? opts.port : defaults.serverPort;
+		this.address = opts.address;
+		this.transport = opts.transport || dgram;
+
+		// these may be changed at any time, the next reply will reflect them
+		this.info = Object.assign( {
+			protocol: defaults.protocol,
+			hostname: 'jkutils emulator',
+			mapname: 'mp/ffa1',
+			sv_maxclients: '32',
+			gametype: '0',
+		}, opts.info );
+		this.status = Object.assign( {
+			sv_hostname: this.info.hostname,
+			mapname: this.info.mapname,
+			sv_maxclients: this.info.sv_maxclients,
+			g_gametype: this.info.gametype,
+			protocol: this.info.protocol,
+		}, opts.status );
+		this.players = opts.players || [];
+
+		this.game = profile ? profile.heartbeat : (opts.game || 'QuakeArena-1');
+		if ( !JKUtils.protocolStrings[this.game] ) {
+			throw new TypeError( `unknown heartbeat game "${this.game}", expected one of: ${Object.keys( JKUtils.protocolStrings ).join( ', ' )}` );
+		}
+		this.masters = (opts.masters || []).map( master => ({
+			ip: master.ip,
+			port: master.port || defaults.masterPort,
+		}) );
+		this.heartbeatInterval = opts.heartbeatInterval || 300 * 1000;
+
+		this.socket = null;
+		this.heartbeatTimer = null;
+	}
+
+	/**
+	 * bind the socket and start answering queries
+	 * @param {function} [callback] upon listening
+	 */
+	listen( callback ) {
+		if ( this.socket ) {
+			throw new Error( 'JKServerEmulator: already listening' );
+		}
+
+		this.socket = this.transport.createSocket( 'udp4' );
+
+		this.socket.on( 'error', err => {
+			debug( `JKServerEmulator::error err: ${JSON.stringify( err )}` );
+			this.emit( 'error', err );
+		} );
+
+		this.socket.on( 'message', (msg, rinfo) => this.handleMessage( msg, rinfo ) );
+
+		this.socket.on( 'listening', () => {
+			const address = this.socket.address();
+			debug( `listening on ${address.address}:${address.port} (UDP)` );
+
+			if ( this.masters.length ) {
+				this.sendHeartbeats();
+				this.heartbeatTimer = setInterval( () => this.sendHeartbeats(), this.heartbeatInterval );
+				this.heartbeatTimer.unref();
+			}
+
+			this.emit( 'listening' );
+			if ( callback ) {
+				callback();
+			}
+		} );
+
+		this.socket.bind( this.port, this.address );
+	}
+
+	/**
+	 * stop answering queries, masters are sent a flatline heartbeat first
+	 * @param {function} [callback] upon socket close
+	 */
+	close( callback ) {
+		clearInterval( this.heartbeatTimer );
+		this.heartbeatTimer = null;
+
+		if ( !this.socket ) {
+			if ( callback ) {
+				process.nextTick( callback );
+			}
+			return;
+		}
+
+		// wait for the flatlines to go out before closing the socket they're sent from
+		const socket = this.socket;
+		let pending = this.masters.length;
+		const closeSocket = () => {
+			debug( 'closing socket' );
+			socket.close( callback );
+		};
+		for ( let master of this.masters ) {
+			this.stm_heartbeat( master, true, () => {
+				if ( --pending === 0 ) {
+					closeSocket();
+				}
+			} );
+		}
+		// the flatlines are already queued on the socket, stop answering (including the masters' challenges) from here on
+		this.socket = null;
+		if ( !this.masters.length ) {
+			closeSocket();
+		}
+	}
+
+	/**
+	 * send a heartbeat to every master
+	 */
+	sendHeartbeats() {
+		for ( let master of this.masters ) {
+			this.stm_heartbeat( master );
+		}
+	}
+
+	/**
+	 * server -> master
+	 * send a heartbeat from the emulator socket, so the master's getinfo challenge comes back here
+	 * @param {object} master
+	 * @param {string} master.ip
+	 * @param {number} master.port
+	 * @param {boolean} [flatline] announce the server is going away instead
+	 * @param {function} [callback] once sent
+	 */
+	stm_heartbeat( master, flatline=false, callback ) {
+		const msg = Buffer.from( `heartbeat ${flatline ? 'flatline' : this.game}` );
+		debug( `sending \`${msg}\` to ${master.ip}:${master.port}` );
+		this.emit( 'heartbeat', master, flatline );
+		this.sendOOB( master, msg, callback );
+	}
+
+	/**
+	 * build the `infoResponse` payload (without the OOB prefix)
+	 * @param {string} [challenge]
+	 * @returns {Buffer}
+	 */
+	buildInfoResponse( challenge ) {
+		const info = Object.assign( { clients: `${this.players.length}` }, this.info, { challenge: sanitiseChallenge( challenge ) } );
+		return Buffer.from( `infoResponse\n${JKUtils.buildInfostring( info, { strict: false } )}` );
+	}
+
+	/**
+	 * build the `statusResponse` payload (without the OOB prefix)
+	 * @param {string} [challenge]
+	 * @returns {Buffer}
+	 */
+	buildStatusResponse( challenge ) {
+		const status = Object.assign( {}, this.status, { challenge: sanitiseChallenge( challenge ) } );
+		let res = `statusResponse\n${JKUtils.buildInfostring( status, { strict: false } )}\n`;
+		for ( let player of this.players ) {
+			res += `${player.score} ${player.ping} "${player.name}"\n`;
+		}
+		return Buffer.from( res );
+	}
+
+	/**
+	 * dispatch an incoming OOB message
+	 * @param {Buffer} msg
+	 * @param {object} rinfo
+	 */
+	handleMessage( msg, rinfo ) {
+		let parser;
+		try {
+			parser = new Q3MessageParser( msg );
+		}
+		catch ( err ) {
+			debug( `ignoring non-OOB message from ${rinfo.address}:${rinfo.port}` );
+			return;
+		}
+
+		const source = { ip: rinfo.address, port: rinfo.port };
+		const args = parser.readLine().split( ' ' );
+		const command = args[0];
+		const challenge = args[1];
+		debug( `received \`${command}\` from ${source.ip}:${source.port}` );
+
+		if ( challenge && challenge.length > maxChallengeLength ) {
+			debug( `ignoring \`${command}\` with an oversized challenge from ${source.ip}:${source.port}` );
+			return;
+		}
+
+		// a reply that can't be built (e.g. an oversized info/status) only loses that packet
+		try {
+			switch ( command ) {
+
+			case 'getinfo':
+				this.emit( 'query', command, source );
+				this.sendOOB( source, this.buildInfoResponse( challenge ) );
+				break;
+
+			case 'getstatus':
+				this.emit( 'query', command, source );
+				this.sendOOB( source, this.buildStatusResponse( challenge ) );
+				break;
+
+			default:
+				debug( `unknown command \`${command}\` from ${source.ip}:${source.port}` );
+				break;
+
+			}
+		}
+		catch ( err ) {
+			debug( `discarding \`${command}\` from ${source.ip}:${source.port}: ${err.message}` );
+		}
+	}
+
+	/**
+	 * send an OOB message from the emulator socket
+	 * @param {object} dest
+	 * @param {Buffer} msg NOTE: do NOT prefix with Q3 OOB identifier
+	 * @param {function} [callback] once sent (or failed to)
+	 */
+	sendOOB( dest, msg, callback ) {
+		if ( !this.socket ) {
+			if ( callback ) {
+				process.nextTick( callback );
+			}
+			return;
+		}
+		this.socket.send( [JKUtils.oobPrefix, msg], dest.port, dest.ip, err => {
+			if ( err ) {
+				debug( `JKServerEmulator::sendOOB err: ${JSON.stringify( err )}` );
+			}
+			if ( callback ) {
+				callback();
+			}
+		} );
+	}
+
+};
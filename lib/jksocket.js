@@ -11,68 +11,303 @@
  * 2) send message to server  with callback (success, error)
  * 		2a) sending a message registers an on('message') listener, which fires sendCallback with null err
  * 		2b) any error during sending will fire the sendCallback with non-null err
+ *
+ * replies are routed: every socket has a single listener, which hands each datagram to the oldest request it answers
+ * 	(see `route`), so any number of requests can be in flight on one socket without seeing each other's replies
+ * 	IPv6 destinations are normalised first (see JKUtils.normaliseIP), as that's how replies report their source
+ * a request that times out only ends itself, the socket is destroyed once no other request is pending (unless shared)
+ * 	and destroying it fails whatever is still pending with a JKError (code SOCKET_DESTROYED)
+ *
+ * capture file format (`record` option): one JSON object per line, appended to as datagrams are sent/received
+ * 	{ "time": <ms since epoch>, "dir": "send"|"recv", "ip": <peer>, "port": <peer port>, "data": <base64, OOB prefix included> }
+ * see ReplayTransport for feeding a capture back in
  */
 
 // core modules
 const dgram =		require( 'dgram' );
+const fs =			require( 'fs' );
+const net =			require( 'net' );
 
 // third party modules
 const buffer_hexdump =	require( 'buffer-hexdump' );
 const debug =			require( 'debug' )( 'socket' );
 
 // internal modules
+const { JKError, JKTimeoutError } =	require( './errors' );
 const JKUtils =		require( './jkutils' );
 
 /**
  * JKSocket options (controls timeout/listener behaviour)
  * @typedef {Object} JKSocketOpts
- * @property {boolean} killOnFirstRes default: false (will remove event listeners after receiving first reply)
- * @property {boolean} retainSocket default: false (cannot re-use comms object again)
+ * @property {boolean} [killOnFirstRes] default: false (will remove event listeners after receiving first reply)
+ * @property {boolean} [retainSocket] default: false (the socket is closed once the reply is in, the next request opens it again)
+ * @property {AbortSignal} [signal] cancels the pending request (clears its timer and listener)
+ * @property {number} [timeout] default: 2500ms (how long to wait for a reply to each transmission)
+ * @property {number} [retries] default: 0 (retransmissions when no reply at all arrived within `timeout`)
+ * @property {number} [backoff] default: 500ms (delay before the first retransmission, doubled for each further one)
+ * @property {number} [jitter] default: 0.2 (up to this fraction of the delay is added at random)
+ * @property {number} [deadline] default: none (overall limit in ms, retransmissions included)
+ * @property {function(Buffer, Object): boolean} [match] ( response, source ), only datagrams passing this count as
+ * 	replies, the others are ignored (e.g. late duplicates of an earlier, retransmitted request)
+ * @property {JKSocketRoute} [route] which datagrams answer this request, default: any datagram nobody else is waiting for
  */
 
+/**
+ * what a reply looks like, JKComms sets one for every query
+ * @typedef {Object} JKSocketRoute
+ * @property {string[]} [commands] the reply starts with one of these, e.g. [ 'infoResponse' ]
+ * @property {string} [challenge] the reply's infostring (second line) echoes this challenge
+ * @property {boolean} [anySource] default: false (replies may come from another address than the one queried)
+ */
+
+/**
+ * JKSocket configuration (fixed for the lifetime of the socket)
+ * @typedef {Object} JKSocketConfig
+ * @property {string} [record] append every datagram sent/received to this capture file
+ * @property {JKTransport} [transport] default: dgram
+ * @property {string} [bindAddress] local address to send from (applies to the socket of the same address family)
+ * @property {number} [bindPort] local port to send from, default: ephemeral
+ * @property {Object} [socket] existing IPv4 socket to use instead of creating one, it is left open on destroy
+ * @property {Object} [socket6] existing IPv6 socket, as above
+ * @property {boolean} [shared] default: false (requests never destroy the socket, e.g. on timeout, see JKQueryEngine)
+ * @property {number} [maxInFlight] default: unlimited (further requests are queued until one completes)
+ */
+
+/**
+ * transport: where JKSocket gets its sockets from
+ * the dgram module is the default one, see also LoopbackTransport (in-memory) and ReplayTransport (captures)
+ * @typedef {Object} JKTransport
+ * @property {function(string): JKTransportSocket} createSocket called with 'udp4' or 'udp6'
+ */
+
+/**
+ * the subset of dgram.Socket a transport's sockets must implement
+ * @typedef {Object} JKTransportSocket
+ * @property {function} send ( msg: Buffer|Buffer[], port, address, callback( err, bytes ) )
+ * @property {function} bind ( port, address ), binds implicitly on the first send otherwise
+ * @property {function} close ( [callback] )
+ * @property {function} address () => { address, family, port }
+ * @property {function} on events: 'message' ( msg, rinfo { address, port } ), 'listening', 'error', 'close'
+ * @property {function} removeListener
+ */
+
+/**
+ * whether a datagram is the reply a route is waiting for
+ * @param {JKSocketRoute} route
+ * @param {Buffer} msg whole datagram
+ * @param {Object} decoded scratch space shared by every route the datagram is tried against, so it's decoded once
+ * @returns {boolean}
+ */
+function routeAccepts( route, msg, decoded ) {
+	if ( decoded.text === undefined ) {
+		const oob = msg.length >= 4 && msg.readUInt32LE( 0 ) === 0xFFFFFFFF;
+		decoded.text = oob ? msg.toString( 'latin1', 4 ) : '';
+	}
+	if ( route.commands && !route.commands.some( command => decoded.text.startsWith( command ) ) ) {
+		return false;
+	}
+	if ( route.challenge !== undefined ) {
+		if ( decoded.challenge === undefined ) {
+			const infostring = decoded.text.split( '\n' )[1];
+			decoded.challenge = infostring ? JKUtils.parseInfostring( infostring ).challenge : null;
+		}
+		return decoded.challenge === route.challenge;
+	}
+	return true;
+}
+
+/**
+ * build the error passed back when a request is cancelled via its AbortSignal
+ * @returns {Error}
+ */
+function abortError() {
+	const err = /** @type {Error & { code: string }} */ (new Error( 'request aborted' ));
+	err.name = 'AbortError';
+	err.code = 'ABORT_ERR';
+	return err;
+}
+
 module.exports = class JKSocket {
 
 	/**
 	 * @constructor
 	 * @param {function} callback upon error
+	 * @param {JKSocketConfig} [config]
 	 */
-	constructor( callback ) {
+	constructor( callback, config={} ) {
 		if ( !callback ) {
 			throw new TypeError( 'callback must be specified' );
 		}
 
-		// use timeouts per {dst,msg} combination
+		this.record = config.record || null;
+		this.transport = /** @type {JKTransport} */ (config.transport || dgram);
+		this.bindAddress = config.bindAddress;
+		this.bindPort = config.bindPort;
+		this.shared = !!config.shared;
+		this.maxInFlight = config.maxInFlight || Infinity;
+
+		// every listener we add, so they can be taken off sockets we don't own
+		this.listeners = new Map();
+		this.externalSocket = config.socket || null;
+		this.externalSocket6 = config.socket6 || null;
+		this.external = new Set( [ config.socket, config.socket6 ].filter( socket => socket ) );
+
+		// use timeouts per request
 		this.timers = {};
+		this.requestCount = 0;
+
+		// requests waiting for replies, keyed by the address they expect them from ('*' for anywhere), oldest first
+		this.pending = new Map();
+		this.inFlight = 0;
+		// requests waiting for `maxInFlight` to allow them out
+		this.queue = [];
+
+		this.callback = callback;
+		this.open();
+	}
+
+	/**
+	 * set up the sockets, again after destroy() if there's something new to send
+	 * IPv4 socket is always available, the IPv6 socket is only opened when an IPv6 address is used
+	 */
+	open() {
+		this.destroyed = false;
+		this.socket = this.externalSocket ? this.attachSocket( this.externalSocket, 'udp4' ) : this.createSocket( 'udp4' );
+		this.socket6 = this.externalSocket6 ? this.attachSocket( this.externalSocket6, 'udp6' ) : null;
+	}
 
-		this.socket = dgram.createSocket( 'udp4' );
+	/**
+	 * create a socket from the transport, bound as configured
+	 * @param {string} type 'udp4' or 'udp6'
+	 * @returns {JKTransportSocket}
+	 */
+	createSocket( type ) {
+		const socket = this.attachSocket( this.transport.createSocket( type ), type );
+
+		// the bind address only applies to its own family, the port to both
+		const bindAddress = (this.bindAddress && net.isIPv6( this.bindAddress ) === (type === 'udp6')) ? this.bindAddress : undefined;
+		if ( bindAddress !== undefined || this.bindPort !== undefined ) {
+			debug( `binding to [${bindAddress || 'any'}]:${this.bindPort || 'any'} (${type})` );
+			socket.bind( this.bindPort || 0, bindAddress );
+		}
+
+		return socket;
+	}
+
+	/**
+	 * attach the usual listeners to a socket
+	 * @param {JKTransportSocket} socket
+	 * @param {string} type 'udp4' or 'udp6'
+	 * @returns {JKTransportSocket}
+	 */
+	attachSocket( socket, type ) {
+		if ( this.record ) {
+			this.addSocketListener( socket, 'message', (msg, rinfo) => this.recordDatagram( 'recv', rinfo.address, rinfo.port, msg ) );
+		}
 
-		this.socket.on( 'close', function() {
-			debug( 'socket closed' );
+		this.addSocketListener( socket, 'message', (msg, rinfo) => this.receive( msg, rinfo ) );
+
+		this.addSocketListener( socket, 'close', () => {
+			debug( `socket closed (${type})` );
 		} );
 
-		this.socket.on( 'error', function( err ) {
+		this.addSocketListener( socket, 'error', err => {
 			debug( `JKSocket::error err: ${JSON.stringify( err )}` );
-			this.destroy();
-			callback( err );
+			this.destroy( false, err );
+			this.callback( err );
 		} );
 
-		this.socket.on( 'listening', function() {
-			const address = this.address();
-			debug( `listening on ${address.address}:${address.port} (UDP)` );
+		this.addSocketListener( socket, 'listening', () => {
+			const address = socket.address();
+			debug( `listening on [${address.address}]:${address.port} (${type})` );
 
-			callback( null );
+			this.callback( null );
 		} );
+
+		return socket;
+	}
+
+	/**
+	 * @param {JKTransportSocket} socket
+	 * @param {string} event
+	 * @param {function} listener
+	 */
+	addSocketListener( socket, event, listener ) {
+		socket.on( event, listener );
+		this.listeners.set( listener, { socket, event } );
+	}
+
+	/**
+	 * @param {JKTransportSocket} socket
+	 * @param {string} event
+	 * @param {function} listener
+	 */
+	removeSocketListener( socket, event, listener ) {
+		socket.removeListener( event, listener );
+		this.listeners.delete( listener );
+	}
+
+	/**
+	 * append a datagram to the capture file
+	 * @param {string} dir 'send' or 'recv'
+	 * @param {string} ip peer address
+	 * @param {number} port peer port
+	 * @param {Buffer} data whole datagram
+	 */
+	recordDatagram( dir, ip, port, data ) {
+		const entry = { time: Date.now(), dir, ip, port, data: data.toString( 'base64' ) };
+		// synchronous so entries stay in order and nothing is lost if the process exits straight after
+		fs.appendFileSync( this.record, `${JSON.stringify( entry )}\n` );
+	}
+
+	/**
+	 * pick the socket matching the destination address family
+	 * @param {string} ip
+	 * @returns {JKTransportSocket} null if the socket has been destroyed, see open()
+	 */
+	socketFor( ip ) {
+		if ( !net.isIPv6( ip ) ) {
+			return this.socket;
+		}
+		if ( !this.socket6 && !this.destroyed ) {
+			this.socket6 = this.createSocket( 'udp6' );
+		}
+		return this.socket6;
 	}
 
 	/**
-	 * clean up socket
+	 * clean up socket, requests still pending or queued fail with a JKError (code SOCKET_DESTROYED)
 	 * @param {boolean} [clearAllTimers] whether to remove all timers associated with this socket (e.g. final cleanup after reusing socket)
+	 * @param {Error} [cause] why the socket is going away, passed on with the requests' errors
 	 */
-	destroy( clearAllTimers=false ) {
-		if ( this.socket ) {
+	destroy( clearAllTimers=false, cause ) {
+		this.destroyed = true;
+		const orphans = [].concat( ...this.pending.values() );
+		const queued = this.queue;
+		this.pending.clear();
+		this.inFlight = 0;
+		this.queue = [];
+		if ( this.socket || this.socket6 ) {
 			debug( 'destroying socket' );
-			this.socket.close();
-			this.socket = null;
+			// sockets we were given stay open, they just stop being ours
+			for ( let [ listener, { socket, event } ] of this.listeners ) {
+				if ( this.external.has( socket ) ) {
+					socket.removeListener( event, listener );
+				}
+			}
+			this.listeners.clear();
+			if ( this.socket ) {
+				if ( !this.external.has( this.socket ) ) {
+					this.socket.close();
+				}
+				this.socket = null;
+			}
+			if ( this.socket6 ) {
+				if ( !this.external.has( this.socket6 ) ) {
+					this.socket6.close();
+				}
+				this.socket6 = null;
+			}
 		}
 		else {
 			debug( 'destroy(): no socket to cleanup' );
@@ -86,10 +321,19 @@ module.exports = class JKSocket {
 				}
 			}
 		}
+
+		// nobody is going to answer them now
+		for ( let request of orphans ) {
+			request.fail( cause );
+		}
+		for ( let request of queued ) {
+			const packet = Buffer.concat( [JKUtils.oobPrefix, request.msg] );
+			request.callback( new JKError( 'socket destroyed', { address: request.dest, packet, code: 'SOCKET_DESTROYED', cause } ) );
+		}
 	}
 
 	/**
-	 * ???
+	 * clear a request's timer
 	 * @param {string} key socket timeout ID to clear
 	 * @param {string} [reason] debug marker
 	 */
@@ -100,79 +344,258 @@ module.exports = class JKSocket {
 		if ( this.timers[key] !== undefined ) {
 			debug( `clearing timer "${key}" (reason: ${reason})` );
 			clearTimeout( this.timers[key] );
-			this.timers[key] = undefined;
+			delete this.timers[key];
+		}
+	}
+
+	/**
+	 * start routing replies to a request
+	 * @param {Object} request see send()
+	 */
+	track( request ) {
+		const list = this.pending.get( request.key );
+		if ( list ) {
+			list.push( request );
+		}
+		else {
+			this.pending.set( request.key, [ request ] );
 		}
+		this.inFlight++;
+	}
+
+	/**
+	 * stop routing replies to a request, and let a queued one go out in its place
+	 * @param {Object} request see send()
+	 * @returns {boolean} false if the request wasn't tracked (any more)
+	 */
+	untrack( request ) {
+		const list = this.pending.get( request.key );
+		const index = list ? list.indexOf( request ) : -1;
+		if ( index === -1 ) {
+			return false;
+		}
+		list.splice( index, 1 );
+		if ( !list.length ) {
+			this.pending.delete( request.key );
+		}
+		this.inFlight--;
+
+		while ( this.queue.length && this.inFlight < this.maxInFlight && !this.destroyed ) {
+			const queued = this.queue.shift();
+			queued.finish = this.send( queued.dest, queued.opts, queued.msg, queued.callback );
+		}
+		return true;
+	}
+
+	/**
+	 * hand a datagram to the oldest request it answers, requests waiting on its source address first
+	 * anything nobody is waiting for (e.g. a late duplicate, or a reply to a cancelled request) is dropped
+	 * @param {Buffer} msg
+	 * @param {Object} rinfo
+	 */
+	receive( msg, rinfo ) {
+		debug( `received msg from ${rinfo.address}:${rinfo.port}:\n${buffer_hexdump( msg )}` );
+		const source = { ip: rinfo.address, port: rinfo.port };
+		const decoded = {};
+		for ( let key of [ `${source.ip}~${source.port}`, '*' ] ) {
+			const request = (this.pending.get( key ) || []).find( request => request.accepts( msg, source, decoded ) );
+			if ( request ) {
+				return request.deliver( msg, source );
+			}
+		}
+		debug( `no request waiting for msg from ${source.ip}:${source.port}, dropped` );
 	}
 
 	/**
 	 * send an arbitrary OOB message to a Q3 server
+	 * without `opts.route`, the request takes any datagram nobody else is waiting for
+	 * beyond `maxInFlight` requests, sends are queued until a request completes (the timeout starts once sent)
 	 * @param {object} dest
 	 * @param {string} dest.ip
 	 * @param {number} dest.port
 	 * @param {JKSocketOpts} opts socket behaviour
 	 * @param {Buffer} msg NOTE: do NOT prefix with Q3 OOB identifier
-	 * @param {function} callback upon success or error.  NOTE: socket will be destroyed upon error
+	 * @param {function} callback upon success or error.  NOTE: socket will be destroyed upon timeout if nothing else is
+	 * 	pending (unless shared)
+	 * 	errors: JKTimeoutError, JKError (send failure, `code` is the socket's, or SOCKET_DESTROYED) or AbortError
+	 * @returns {function(): void} stops waiting for responses (clears the timer and listener) without firing the callback
 	 */
 	send( dest, opts, msg, callback ) {
 		if ( !callback ) {
 			this.destroy();
 			throw new TypeError( 'callback must be specified' );
 		}
+		// the form replies report as their source
+		dest = { ip: JKUtils.normaliseIP( dest.ip ), port: dest.port };
 
-		// set up timeouts
-		const msgKey = `^${dest.ip}~${dest.port}~${msg.toString().split( ' ' )[0]}$`;
-		this.clearTimer( msgKey, 'msg send' );
-		this.timers[msgKey] = setTimeout( (jkSocket, callback, msgKey) => {
-			if ( jkSocket && jkSocket.socket ) {
-				debug( `timeout on socket "${msgKey}"` );
-				jkSocket.socket.close();
-				jkSocket.socket = null;
-				callback( 'socket timeout' );
+		// a socket destroyed by an earlier request (e.g. its timeout) is opened again
+		if ( this.destroyed ) {
+			debug( 'send(): socket was destroyed, reopening' );
+			this.open();
+		}
+
+		// bail out early if the request was cancelled before being sent
+		const signal = opts.signal;
+		if ( signal && signal.aborted ) {
+			debug( 'send(): signal already aborted' );
+			callback( abortError() );
+			return () => {};
+		}
+
+		if ( this.inFlight >= this.maxInFlight ) {
+			debug( `send(): ${this.inFlight} requests in flight, queueing` );
+			const queued = { dest, opts, msg, callback, finish: null };
+			this.queue.push( queued );
+			return () => {
+				if ( queued.finish ) {
+					return queued.finish();
+				}
+				const index = this.queue.indexOf( queued );
+				if ( index !== -1 ) {
+					this.queue.splice( index, 1 );
+				}
+			};
+		}
+
+		const socket = this.socketFor( dest.ip );
+
+		const timeout = opts.timeout || 2500;
+		const retries = opts.retries || 0;
+		const backoff = (opts.backoff !== undefined) ? opts.backoff : 500;
+		const jitter = (opts.jitter !== undefined) ? opts.jitter : 0.2;
+		const deadline = opts.deadline ? Date.now() + opts.deadline : Infinity;
+		let attempt = 0;
+		let answered = false;
+		// what errors refer to
+		const address = { ip: dest.ip, port: dest.port };
+		const packet = Buffer.concat( [JKUtils.oobPrefix, msg] );
+
+		// the request is over, and so is our socket if nothing else is using it
+		const release = () => {
+			this.untrack( request );
+			if ( !this.shared && !this.inFlight && !this.queue.length ) {
+				this.destroy();
 			}
-			else {
-				//FIXME: process is not ending because the socket is hanging? timeout?
-				console.log( `timeout on missing socket "${msgKey}" - forgot to clear timer after closing socket? socket: "${jkSocket.socket}"` );
+		};
+
+		// set up timeouts, one timer per request: waiting for a reply or for the next retransmission
+		const msgKey = `^${dest.ip}~${dest.port}~${msg.toString().split( ' ' )[0]}~${++this.requestCount}$`;
+		const arm = (ms, reason, fn) => {
+			this.clearTimer( msgKey, reason );
+			this.timers[msgKey] = setTimeout( fn, Math.max( Math.min( ms, deadline - Date.now() ), 0 ) );
+		};
+		const onTimeout = () => {
+			delete this.timers[msgKey];
+
+			// only a request nobody answered is sent again, a multi-packet reply that stalls is just over
+			const expired = Date.now() >= deadline;
+			if ( !answered && !expired && attempt < retries ) {
+				const delay = backoff * Math.pow( 2, attempt ) * (1 + Math.random() * jitter);
+				attempt++;
+				debug( `no reply on "${msgKey}", retransmitting in ${Math.round( delay )}ms (${attempt}/${retries})` );
+				// a late reply to the previous transmission is still welcome in the meantime
+				return arm( delay, 'retransmission scheduled', () => {
+					if ( Date.now() >= deadline ) {
+						return onTimeout();
+					}
+					transmit();
+					arm( timeout, 'msg resend', onTimeout );
+				} );
 			}
-		}, 2500, this, callback, msgKey );
+
+			debug( expired ? `deadline reached on socket "${msgKey}"` : `timeout on socket "${msgKey}"` );
+			removeAbortListener();
+			release();
+			callback( new JKTimeoutError( 'socket timeout', { address, packet } ) );
+		};
 
 		// prepare to handle response
-		this.recvMsg = (msg, rinfo) => {
-			debug( `received msg from ${rinfo.address}:${rinfo.port}:\n${buffer_hexdump( msg )}` );
+		const recvMsg = (msg, source) => {
+			answered = true;
 			const data = {
-				source: {
-					ip: rinfo.address,
-					port: rinfo.port,
-				},
+				source,
 				response: msg,
 			};
 
 			if ( opts.killOnFirstRes ) {
 				this.clearTimer( msgKey, 'killed on first response' );
-				this.socket.removeListener( 'message', this.recvMsg );
+				this.untrack( request );
+				removeAbortListener();
 			}
 
 			// we may be done with the socket, destroy
 			if ( !opts.retainSocket ) {
 				this.clearTimer( msgKey, 'socket not retained' );
-				this.destroy();
+				removeAbortListener();
+				release();
 			}
 
 			callback( null, data );
 		};
-		this.socket.on( 'message', this.recvMsg );
+		const route = opts.route;
+		const request = {
+			key: (route && !route.anySource) ? `${dest.ip}~${dest.port}` : '*',
+			accepts: (msg, source, decoded) => (!route || routeAccepts( route, msg, decoded ))
+				&& (!opts.match || opts.match( msg, source )),
+			deliver: recvMsg,
+			// the socket was destroyed under the request
+			fail: cause => {
+				this.clearTimer( msgKey, 'socket destroyed' );
+				removeAbortListener();
+				callback( new JKError( 'socket destroyed', { address, packet, code: 'SOCKET_DESTROYED', cause } ) );
+			},
+		};
+		this.track( request );
+
+		// cancellation: stop waiting for a response, leave the socket itself alone
+		const onAbort = () => {
+			debug( `aborted "${msgKey}"` );
+			this.clearTimer( msgKey, 'aborted' );
+			this.untrack( request );
+			callback( abortError() );
+		};
+		const removeAbortListener = () => {
+			if ( signal ) {
+				signal.removeEventListener( 'abort', onAbort );
+			}
+		};
+		if ( signal ) {
+			signal.addEventListener( 'abort', onAbort, { once: true } );
+		}
+
+		// let the caller decide when a multi-packet response is complete
+		const finish = () => {
+			this.clearTimer( msgKey, 'finished by caller' );
+			this.untrack( request );
+			removeAbortListener();
+		};
 
 		// now send the message
-		debug( `sending msg to ${dest.ip}:${dest.port}:\n${buffer_hexdump( msg )}` );
-		this.socket.send( [JKUtils.oobPrefix, msg], dest.port, dest.ip, (err, bytes) => {
-			if ( err ) {
-				debug( `JKSocket::send::send err: ${JSON.stringify( err )}` );
-				//FIXME: `this` is undefined, reproduce by disabling networking
-				//this.socket.destroy();
-				callback( err, bytes );
-				//this.clearTimer( msgKey );
+		const transmit = () => {
+			debug( `sending msg to ${dest.ip}:${dest.port}:\n${buffer_hexdump( msg )}` );
+			if ( this.record ) {
+				this.recordDatagram( 'send', dest.ip, dest.port, packet );
 			}
-			// successful send: NOP
-		} );
+			socket.send( packet, dest.port, dest.ip, (err, bytes) => {
+				if ( err ) {
+					debug( `JKSocket::send::send err: ${JSON.stringify( err )}` );
+					// the request is over: no retransmission or timeout to follow, and nothing to report if it already was
+					this.clearTimer( msgKey, 'send failed' );
+					removeAbortListener();
+					if ( !this.untrack( request ) ) {
+						return;
+					}
+					// same as a timeout, the socket goes too if nothing else is using it
+					release();
+					callback( new JKError( err.message, { address, packet, code: err.code, cause: err } ), bytes );
+				}
+				// successful send: NOP
+			} );
+		};
+		arm( timeout, 'msg send', onTimeout );
+		transmit();
+
+		return finish;
 	}
 
 };
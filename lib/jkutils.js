@@ -7,6 +7,312 @@
  * Utilities and helpers for communication with Jedi Academy and Jedi Outcast servers/clients
  */
 
+// core modules
+const net =		require( 'net' );
+
+// internal modules
+const colours =	require( './colours' );
+
+// address separators in getserversResponse/getserversExtResponse
+const separatorIPv4 = 0x5C; // '\\'
+const separatorIPv6 = 0x2F; // '/'
+
+/**
+ * expand an IPv6 address into its 16 bytes
+ * @param {string} ip
+ * @returns {Buffer}
+ */
+function ipv6ToBuffer( ip ) {
+	// embedded IPv4 suffix (e.g. ::ffff:1.2.3.4) is rewritten as two hex groups
+	const v4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec( ip );
+	if ( v4 ) {
+		const octets = v4.slice( 1 ).map( n => +n );
+		ip = ip.slice( 0, v4.index )
+			+ ((octets[0] << 8) | octets[1]).toString( 16 ) + ':'
+			+ ((octets[2] << 8) | octets[3]).toString( 16 );
+	}
+
+	const halves = ip.split( '::' );
+	const head = halves[0] ? halves[0].split( ':' ) : [];
+	const tail = (halves.length > 1 && halves[1]) ? halves[1].split( ':' ) : [];
+	const zeroes = new Array( 8 - head.length - tail.length ).fill( '0' );
+	const groups = head.concat( zeroes, tail );
+
+	const buffer = Buffer.alloc( 16, 0, 'binary' );
+	groups.forEach( (group, i) => buffer.writeUInt16BE( parseInt( group, 16 ), i * 2 ) );
+	return buffer;
+}
+
+/**
+ * format 16 bytes as a compressed IPv6 address (RFC 5952)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function bufferToIPv6( buffer ) {
+	const groups = [];
+	for ( let i = 0; i < 16; i += 2 ) {
+		groups.push( buffer.readUInt16BE( i ) );
+	}
+
+	// find the longest run of (at least two) zero groups to replace with '::'
+	let bestStart = -1;
+	let bestLength = 1;
+	for ( let i = 0; i < groups.length; i++ ) {
+		let length = 0;
+		while ( i + length < groups.length && groups[i + length] === 0 ) {
+			length++;
+		}
+		if ( length > bestLength ) {
+			bestStart = i;
+			bestLength = length;
+		}
+	}
+
+	const hex = groups.map( group => group.toString( 16 ) );
+	if ( bestStart === -1 ) {
+		return hex.join( ':' );
+	}
+	return `${hex.slice( 0, bestStart ).join( ':' )}::${hex.slice( bestStart + bestLength ).join( ':' )}`;
+}
+
+/**
+ * put an address in the form the socket reports replies from, so the two can be compared
+ * 	IPv6 is compressed and lowercased (RFC 5952), IPv4-mapped IPv6 becomes plain IPv4, anything else is left alone
+ * @param {string} ip
+ * @returns {string}
+ */
+function normaliseIP( ip ) {
+	if ( !net.isIPv6( ip ) ) {
+		return ip;
+	}
+	// a zone (fe80::1%eth0) is kept as is
+	const zoneIndex = ip.indexOf( '%' );
+	const zone = (zoneIndex !== -1) ? ip.slice( zoneIndex ) : '';
+	const buffer = ipv6ToBuffer( (zoneIndex !== -1) ? ip.slice( 0, zoneIndex ) : ip );
+	if ( buffer.readUInt32BE( 0 ) === 0 && buffer.readUInt32BE( 4 ) === 0 && buffer.readUInt32BE( 8 ) === 0xFFFF ) {
+		return buffer.slice( 12 ).join( '.' );
+	}
+	return bufferToIPv6( buffer ) + zone;
+}
+
+/** encode q3 bit representation of a server (ip+port)
+ * @param {string} ip IPv4 or IPv6
+ * @param {number} port
+ * @returns {Buffer} 6 bytes for IPv4, 18 bytes for IPv6
+ */
+function encodeServer( ip, port ) {
+	const ipv6 = net.isIPv6( ip );
+	const buffer = Buffer.alloc( ipv6 ? 18 : 6, 0, 'binary' );
+	let offset = 0;
+
+	if ( ipv6 ) {
+		ipv6ToBuffer( ip ).copy( buffer, offset );
+		offset += 16;
+	}
+	else {
+		const octets = ip.split( '.' ).map( n => +n );
+		for ( let octet of octets ) {
+			buffer.writeUInt8( octet, offset++ );
+		}
+	}
+
+	buffer.writeUInt16BE( port, offset );
+	offset += 2;
+
+	return buffer;
+}
+
+/** decode q3 bit representation of a server (ip+port)
+ * @param {Buffer} buffer 6 bytes for IPv4, 18 bytes for IPv6
+ * @returns {Object} { ip, port, family } where family is 'IPv4' or 'IPv6'
+ */
+function decodeServer( buffer ) {
+	if ( buffer.length === 18 ) {
+		return {
+			ip: bufferToIPv6( buffer.slice( 0, 16 ) ),
+			port: buffer.readUInt16BE( 16 ),
+			family: 'IPv6',
+		};
+	}
+	return {
+		ip: buffer.slice( 0, 4 ).join( '.' ),
+		port: buffer.readUInt16BE( 4 ),
+		family: 'IPv4',
+	};
+}
+
+/**
+ * decode a list of servers as sent in getserversResponse/getserversExtResponse
+ * each entry is prefixed with '\\' (IPv4, 6 bytes) or '/' (IPv6, 18 bytes), the list ends with a '\\EOF' or '\\EOT'
+ * 	sentinel (optionally null padded)
+ * like the engine, an entry is only accepted when followed by another separator, so the sentinel can't be
+ * 	mistaken for an address
+ * @param {Buffer} buffer starting at the first separator
+ * @returns {Object} { servers, sentinel } where sentinel is 'EOF', 'EOT' or null if missing
+ */
+function decodeServers( buffer ) {
+	const servers = [];
+	let offset = 0;
+	while ( offset + 1 < buffer.length ) {
+		const separator = buffer[offset];
+		let size;
+		if ( separator === separatorIPv4 ) {
+			size = 6;
+		}
+		else if ( separator === separatorIPv6 ) {
+			size = 18;
+		}
+		else {
+			break;
+		}
+
+		// entry + next separator
+		if ( buffer.length - (offset + 1) < size + 1 ) {
+			break;
+		}
+		const next = buffer[offset + 1 + size];
+		if ( next !== separatorIPv4 && next !== separatorIPv6 ) {
+			break;
+		}
+
+		servers.push( decodeServer( buffer.slice( offset + 1, offset + 1 + size ) ) );
+		offset += 1 + size;
+	}
+
+	const remainder = buffer.slice( offset ).toString( 'ascii' ).replace( /\0+$/, '' );
+	let sentinel = null;
+	if ( remainder === '\\EOT' ) {
+		sentinel = 'EOT';
+	}
+	else if ( remainder === '\\EOF' ) {
+		sentinel = 'EOF';
+	}
+
+	return { servers, sentinel };
+}
+
+//TODO: swap '%' for '.' in net traffic
+const badCharacters = [ '\\', '/', ';', '"', '%' ];
+
+// values are allowed a '/' (map names like "mp/ffa1"), keys are not
+const badValueCharacters = badCharacters.filter( c => c !== '/' );
+
+// the subset the engine itself refuses in Info_SetValueForKey (map names like "mp/ffa1" are fine there)
+const engineBadCharacters = [ '\\', ';', '"' ];
+
+// engine limits (q_shared.h), lengths include the terminating null so the usable length is one less
+const infoLimits = {
+	MAX_INFO_STRING: 1024,
+	MAX_INFO_KEY: 1024,
+	MAX_INFO_VALUE: 1024,
+	BIG_INFO_STRING: 8192,
+	BIG_INFO_KEY: 8192,
+	BIG_INFO_VALUE: 8192,
+};
+
+/**
+ * make sure a key or value can be put in an infostring
+ * @param {string} what 'key' or 'value' (for the error message)
+ * @param {string} token
+ * @param {number} maxLength including the terminating null
+ * @param {string[]} invalid characters to refuse
+ */
+function validateInfoToken( what, token, maxLength, invalid ) {
+	for ( let c of invalid ) {
+		if ( token.indexOf( c ) !== -1 ) {
+			throw new TypeError( `infostring ${what} "${token}" contains invalid character '${c}'` );
+		}
+	}
+	if ( token.length >= maxLength ) {
+		throw new RangeError( `infostring ${what} "${token.slice( 0, 32 )}..." exceeds ${maxLength - 1} characters` );
+	}
+}
+
+/**
+ * serialise key/value pairs into a q3 infostring ("\k1\v1\k2\v2")
+ * pairs are written in the given order, empty/null/undefined values are left out as the engine does
+ * @param {Object|Map<string, any>|Array<Array>} pairs
+ * @param {object} [opts]
+ * @param {boolean} [opts.big] use the BIG_INFO_* limits (e.g. systeminfo)
+ * @param {boolean} [opts.strict] default: true (refuse all of `badCharacters` but '/' in values, otherwise only what
+ * 	the engine refuses)
+ * @param {boolean} [opts.preserve] keep empty values, e.g. to rebuild entries from parseInfostring's `preserve`
+ * @returns {string}
+ * @throws {TypeError} on an empty key or a key/value containing an invalid character
+ * @throws {RangeError} when a key, value or the whole string exceeds the engine limits
+ */
+function buildInfostring( pairs, opts={} ) {
+	const limits = opts.big
+		? { string: infoLimits.BIG_INFO_STRING, key: infoLimits.BIG_INFO_KEY, value: infoLimits.BIG_INFO_VALUE }
+		: { string: infoLimits.MAX_INFO_STRING, key: infoLimits.MAX_INFO_KEY, value: infoLimits.MAX_INFO_VALUE };
+	const invalidKey = (opts.strict === false) ? engineBadCharacters : badCharacters;
+	const invalidValue = (opts.strict === false) ? engineBadCharacters : badValueCharacters;
+	const entries = (pairs instanceof Map || Array.isArray( pairs )) ? Array.from( pairs ) : Object.entries( pairs );
+
+	let info = '';
+	for ( let [key, value] of entries ) {
+		if ( value === undefined || value === null || (value === '' && !opts.preserve) ) {
+			continue;
+		}
+		if ( !key ) {
+			throw new TypeError( 'infostring key must not be empty' );
+		}
+		value = String( value );
+		validateInfoToken( 'key', key, limits.key, invalidKey );
+		validateInfoToken( 'value', value, limits.value, invalidValue );
+		info += `\\${key}\\${value}`;
+	}
+
+	if ( info.length >= limits.string ) {
+		throw new RangeError( `infostring exceeds ${limits.string - 1} characters` );
+	}
+	return info;
+}
+
+/**
+ * remove a key from an infostring, like Info_RemoveKey: only the first match is removed and the comparison is
+ * 	case sensitive
+ * @param {string} info
+ * @param {string} key
+ * @returns {string}
+ */
+function removeInfoKey( info, key ) {
+	const entries = module.exports.parseInfostring( info, { preserve: true } );
+	const index = entries.findIndex( entry => entry[0] === key );
+	if ( index === -1 ) {
+		return info;
+	}
+	entries.splice( index, 1 );
+	return entries.map( ([k, v]) => `\\${k}\\${v}` ).join( '' );
+}
+
+/**
+ * set a key in an infostring, like Info_SetValueForKey/Info_SetValueForKey_Big
+ * 	the old value is removed, an empty value only removes the key
+ * 	the new pair is put in front of a regular infostring, and at the end of a big infostring
+ * @param {string} info
+ * @param {string} key
+ * @param {string} value
+ * @param {object} [opts]
+ * @param {boolean} [opts.big] use the BIG_INFO_* limits and append
+ * @param {boolean} [opts.strict] see buildInfostring
+ * @returns {string}
+ * @throws {TypeError|RangeError} see buildInfostring
+ */
+function setInfoValue( info, key, value, opts={} ) {
+	const rest = removeInfoKey( info, key );
+	if ( value === undefined || value === null || value === '' ) {
+		return rest;
+	}
+	const pair = buildInfostring( [ [ key, value ] ], opts );
+	const result = opts.big ? rest + pair : pair + rest;
+	const limit = opts.big ? infoLimits.BIG_INFO_STRING : infoLimits.MAX_INFO_STRING;
+	if ( result.length >= limit ) {
+		throw new RangeError( `infostring exceeds ${limit - 1} characters` );
+	}
+	return result;
+}
+
 module.exports = {
 
 	protocolStrings: {
@@ -22,24 +328,35 @@ module.exports = {
 		'26': 'Jedi Academy 1.01',
 	},
 
-	//TODO: swap '%' for '.' in net traffic
-	badCharacters: [ '\\', '/', ';', '"', '%' ],
+	badCharacters,
+
+	infoLimits,
 
 	oobPrefix: Buffer.from( [0xFF, 0xFF, 0xFF, 0xFF] ),
 
-	// strip Q3 colour codes from a string
-	stripColours: s =>
-		s.replace( /\^[0-9]/g, '' ),
+	/**
+	 * strip Q3 colour codes from a string
+	 * @param {string} s
+	 * @param {string|Object} [palette] default: openjk (^0 - ^9) see colours.js
+	 * @returns {string}
+	 */
+	stripColours: (s, palette) =>
+		colours.strip( s, palette ),
 
 	/**
 	 * parse out a q3 infostring
 	 * @param {string} info in either form:
 	 * 	- "k1\v1\k2\v2"
 	 * 	- "\k1\v1\k2\v2"
-	 * @returns {Object}
+	 * @param {object} [opts]
+	 * @param {boolean} [opts.preserve] return [ key, value ] entries keeping key case, order and repeated keys, so
+	 * 	buildInfostring with `preserve` (and `strict: false` for anything the engine accepts) gives back the exact same
+	 * 	string
+	 * @returns {Object|Array<Array<string>>} keys are lowercased (the last of a repeated key wins) unless `opts.preserve`
+	 * 	is set
 	 */
 
-	parseInfostring: info => {
+	parseInfostring: (info, opts={}) => {
 		if ( info[0] === '\\' ) {
 			info = info.slice( 1 );
 		}
@@ -47,6 +364,13 @@ module.exports = {
 		const toks = info.split( '\\' );
 
 		// this accounts for invalid key/value pairs
+		if ( opts.preserve ) {
+			const entries = [];
+			for ( let i = 0; i < toks.length - 1; i += 2 ) {
+				entries.push( [ toks[i], toks[i + 1] ] );
+			}
+			return entries;
+		}
 		const pairs = {};
 		for ( let i = 0; i < toks.length - 1; i += 2 ) {
 			pairs[toks[i].toLowerCase()] = toks[i + 1];
@@ -54,34 +378,18 @@ module.exports = {
 		return pairs;
 	},
 
-	/** encode q3 bit representation of a server (ip+port)
-	 * @param {string} ip
-	 * @param {number} port
-	 * @returns {Buffer}
-	 */
-	encodeServer: (ip, port) => {
-		const buffer = Buffer.alloc( 6, 0, 'binary' );
-		let offset = 0;
+	buildInfostring,
 
-		const octets = ip.split( '.' ).map( n => +n );
-		buffer.writeUInt32BE( (octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | (octets[3]), offset );
-		offset += 4;
+	setInfoValue,
 
-		buffer.writeUInt16BE( (port >> 8) | (port & 0xFF), offset );
-		offset += 2;
+	removeInfoKey,
 
-		return buffer;
-	},
+	encodeServer,
 
-	/** encode q3 bit representation of a server (ip+port)
-	 * @param {Buffer} buffer
-	 * @param {number} port
-	 * @returns {Object}
-	 */
-	// returns a { [] ip, Number port } from a Buffer
-	decodeServer: buffer => ({
-		ip: buffer.slice( 0, 4 ).join( '.' ),
-		port: buffer.readUInt16BE( 4 ),
-	}),
+	decodeServer,
+
+	decodeServers,
+
+	normaliseIP,
 
 };
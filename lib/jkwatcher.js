@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * server watcher
+ * polls servers with getstatus on an interval and reports what changed between two successive replies
+ * the first reply from a server only sets the baseline (serverUp, no playerJoin for everyone already there)
+ *
+ * statusResponse carries no client numbers, so players are matched up by name:
+ * 	1) identical names (colour codes included), duplicates are paired by score
+ * 	2) whatever is left over is matched on the name without colour codes (someone changed their colours)
+ * 	3) anything still unmatched has left/joined
+ * a player who renames is reported as a leave and a join
+ *
+ * events:
+ * 	serverUp		(server, { status, clients })	first reply, or first reply after serverDown
+ * 	serverDown		(server, err)					`downAfter` polls in a row failed, also for a server that never replied
+ * 	playerJoin		(server, player)
+ * 	playerLeave		(server, player)
+ * 	scoreChange		(server, player, oldScore)
+ * 	mapChange		(server, mapname, oldMapname)
+ * 	cvarChange		(server, key, value, oldValue)	value is undefined if the key is gone, mapname is left to mapChange
+ * 	error			(err)							a listener threw, polling carries on regardless
+ * server is { ip, port }, player is { score, ping, name } as returned by JKComms.cts_getstatus
+ */
+
+/* global AbortController */
+
+// core modules
+const EventEmitter =	require( 'events' );
+
+// third party modules
+const debug =			require( 'debug' )( 'watcher' );
+
+// internal modules
+const colours =			require( './colours' );
+const JKComms =			require( './jkcomms' );
+
+/**
+ * JKWatcher options
+ * @typedef {Object} JKWatcherOpts
+ * @property {Object[]} servers { ip, port } of every server to watch
+ * @property {number} [interval] default: 30000ms (between the end of one poll and the start of the next)
+ * @property {number} [downAfter] default: 2 (failed polls in a row before serverDown)
+ * @property {string} [challenge] default: 'jkutils-query'
+ * @property {string|Object} [palette] default: openjk, colour codes to ignore when matching names (see colours.js)
+ * @property {boolean} [strictMode] default: true, see JKComms
+ * @property {Object} [socketConfig] transport/binding for the query sockets, see JKSocket's JKSocketConfig
+ */
+
+/**
+ * pair up the clients of two successive statusResponses
+ * @param {Object[]} prev
+ * @param {Object[]} next
+ * @param {string|Object} palette
+ * @returns {Object} { pairs: [ [prev, next] ], left, joined }
+ */
+function matchClients( prev, next, palette ) {
+	const pairs = [];
+	let left = prev.slice();
+	let joined = next.slice();
+
+	const pass = keyOf => {
+		const groups = new Map();
+		const group = key => {
+			if ( !groups.has( key ) ) {
+				groups.set( key, { prev: [], next: [] } );
+			}
+			return groups.get( key );
+		};
+		left.forEach( client => group( keyOf( client ) ).prev.push( client ) );
+		joined.forEach( client => group( keyOf( client ) ).next.push( client ) );
+
+		left = [];
+		joined = [];
+		for ( let { prev, next } of groups.values() ) {
+			const byScore = (a, b) => a.score - b.score;
+			prev.sort( byScore );
+			next.sort( byScore );
+			if ( prev.length === next.length ) {
+				// same number of namesakes: pairing in score order keeps the total difference lowest
+				prev.forEach( (client, i) => pairs.push( [ client, next[i] ] ) );
+				continue;
+			}
+			// someone joined/left under a name already in use, pair up the closest scores first
+			const candidates = [];
+			prev.forEach( a => next.forEach( b => candidates.push( [ a, b ] ) ) );
+			candidates.sort( (x, y) => Math.abs( x[0].score - x[1].score ) - Math.abs( y[0].score - y[1].score ) );
+			const used = new Set();
+			for ( let [ a, b ] of candidates ) {
+				if ( !used.has( a ) && !used.has( b ) ) {
+					used.add( a );
+					used.add( b );
+					pairs.push( [ a, b ] );
+				}
+			}
+			left = left.concat( prev.filter( client => !used.has( client ) ) );
+			joined = joined.concat( next.filter( client => !used.has( client ) ) );
+		}
+	};
+	pass( client => client.name );
+	pass( client => colours.strip( client.name, palette ) );
+
+	return { pairs, left, joined };
+}
+
+module.exports = class JKWatcher extends EventEmitter {
+
+	/**
+	 * @constructor
+	 * @param {JKWatcherOpts} opts
+	 */
+	constructor( opts ) {
+		super();
+
+		if ( !opts.servers || !opts.servers.length ) {
+			throw new TypeError( 'servers must be specified' );
+		}
+
+		this.interval = opts.interval || 30 * 1000;
+		this.downAfter = opts.downAfter || 2;
+		this.challenge = opts.challenge;
+		this.palette = opts.palette;
+		this.strictMode = (opts.strictMode !== undefined) ? opts.strictMode : true;
+		this.socketConfig = opts.socketConfig;
+
+		// keyed by "ip:port"
+		this.servers = new Map();
+		for ( let server of opts.servers ) {
+			this.servers.set( `${server.ip}:${server.port}`, {
+				server: { ip: server.ip, port: server.port },
+				// last successful reply
+				last: null,
+				// null until the first poll is decided either way
+				up: null,
+				failures: 0,
+			} );
+		}
+
+		this.timer = null;
+		this.controller = null;
+	}
+
+	/**
+	 * poll straight away, then every `interval`
+	 */
+	start() {
+		if ( this.controller ) {
+			throw new Error( 'JKWatcher: already started' );
+		}
+		this.controller = new AbortController();
+		const signal = this.controller.signal;
+
+		const loop = () => {
+			const next = () => {
+				if ( !signal.aborted ) {
+					this.timer = setTimeout( loop, this.interval );
+				}
+			};
+			this.poll( signal ).then( next, err => {
+				next();
+				debug( `poll failed: ${err.message}` );
+				this.emit( 'error', err );
+			} );
+		};
+		loop();
+	}
+
+	/**
+	 * stop polling, a poll in progress is abandoned
+	 */
+	stop() {
+		clearTimeout( this.timer );
+		this.timer = null;
+		if ( this.controller ) {
+			this.controller.abort();
+			this.controller = null;
+		}
+	}
+
+	/**
+	 * query every server once and emit the differences
+	 * @param {AbortSignal} [signal]
+	 * @returns {Promise<void>} rejects once every server is done if a listener threw (with the first error)
+	 */
+	poll( signal ) {
+		let error = null;
+		const polls = Array.from( this.servers.values() ).map( state => this.pollServer( state, signal ).catch( err => {
+			error = error || err;
+		} ) );
+		return Promise.all( polls ).then( () => {
+			if ( error ) {
+				throw error;
+			}
+		} );
+	}
+
+	/**
+	 * @param {Object} state
+	 * @param {AbortSignal} [signal]
+	 * @returns {Promise<void>}
+	 */
+	async pollServer( state, signal ) {
+		const comms = new JKComms( this.strictMode, this.socketConfig );
+		const dest = { ip: state.server.ip, port: state.server.port, challenge: this.challenge };
+		let res;
+		try {
+			res = await comms.getStatus( dest, { signal } );
+		}
+		catch ( err ) {
+			if ( signal && signal.aborted ) {
+				return;
+			}
+			state.failures++;
+			debug( `${dest.ip}:${dest.port} failed (${state.failures} in a row): ${err.message}` );
+			if ( state.up !== false && state.failures >= this.downAfter ) {
+				state.up = false;
+				this.emit( 'serverDown', state.server, err );
+			}
+			return;
+		}
+		finally {
+			comms.jkSocket.destroy( true );
+		}
+
+		// the new baseline is kept even if a listener throws, so the same changes aren't reported twice
+		const current = { status: res.status, clients: res.clients };
+		const prev = state.last;
+		state.last = current;
+		state.failures = 0;
+		if ( state.up !== true ) {
+			state.up = true;
+			this.emit( 'serverUp', state.server, current );
+		}
+		if ( prev ) {
+			this.compare( state.server, prev, current );
+		}
+	}
+
+	/**
+	 * emit the differences between two replies
+	 * @param {Object} server
+	 * @param {Object} prev { status, clients }
+	 * @param {Object} next { status, clients }
+	 */
+	compare( server, prev, next ) {
+		if ( prev.status.mapname !== next.status.mapname ) {
+			this.emit( 'mapChange', server, next.status.mapname, prev.status.mapname );
+		}
+
+		const keys = new Set( Object.keys( prev.status ).concat( Object.keys( next.status ) ) );
+		// our own challenge echoed back, not a cvar, and mapChange covers the map
+		keys.delete( 'challenge' );
+		keys.delete( 'mapname' );
+		for ( let key of keys ) {
+			if ( prev.status[key] !== next.status[key] ) {
+				this.emit( 'cvarChange', server, key, next.status[key], prev.status[key] );
+			}
+		}
+
+		const { pairs, left, joined } = matchClients( prev.clients, next.clients, this.palette );
+		for ( let player of left ) {
+			this.emit( 'playerLeave', server, player );
+		}
+		for ( let player of joined ) {
+			this.emit( 'playerJoin', server, player );
+		}
+		for ( let [ before, after ] of pairs ) {
+			if ( before.score !== after.score ) {
+				this.emit( 'scoreChange', server, after, before.score );
+			}
+		}
+	}
+
+};
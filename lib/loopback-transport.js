@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * in-memory transport, datagrams never leave the process
+ * lets clients, emulated servers and masters talk to each other in tests:
+ * 	const transport = new LoopbackTransport();
+ * 	const emulator = new JKServerEmulator( { port: 29070, transport } );
+ * 	const comms = new JKComms( true, { transport } );
+ * 	emulator.listen( () => comms.getInfo( { ip: '127.0.0.1', port: 29070 } ) );
+ *
+ * sockets are found by port, a socket bound to a specific address only receives datagrams sent to that address
+ * 	IPv4 and IPv6 sockets are separate, as with real sockets
+ * datagrams to a port nobody is bound to are dropped, like UDP
+ */
+
+// core modules
+const EventEmitter =	require( 'events' );
+const net =				require( 'net' );
+
+// third party modules
+const debug =			require( 'debug' )( 'loopback' );
+
+// same range as most OSes
+const ephemeralPortMin = 49152;
+const ephemeralPortMax = 65535;
+
+/**
+ * @typedef {import('./loopback-transport')} LoopbackTransport
+ */
+
+/**
+ * dgram.Socket lookalike living on a LoopbackTransport
+ */
+class LoopbackSocket extends EventEmitter {
+
+	/**
+	 * @constructor
+	 * @param {LoopbackTransport} transport
+	 * @param {string} type 'udp4' or 'udp6'
+	 */
+	constructor( transport, type ) {
+		super();
+		this.transport = transport;
+		this.type = type;
+		this.boundAddress = null;
+		this.boundPort = null;
+		this.closed = false;
+	}
+
+	/**
+	 * @returns {Object} { address, family, port }
+	 */
+	address() {
+		if ( this.boundPort === null ) {
+			throw new Error( 'socket is not bound' );
+		}
+		const family = (this.type === 'udp6') ? 'IPv6' : 'IPv4';
+		const any = (this.type === 'udp6') ? '::' : '0.0.0.0';
+		return { address: this.boundAddress || any, family, port: this.boundPort };
+	}
+
+	/**
+	 * @param {number} [port] default: ephemeral
+	 * @param {string} [address] default: any
+	 * @param {function(): void} [callback] upon listening
+	 */
+	bind( port, address, callback ) {
+		if ( this.boundPort !== null ) {
+			throw new Error( 'socket is already bound' );
+		}
+		if ( callback ) {
+			this.once( 'listening', callback );
+		}
+		try {
+			this.boundPort = this.transport.bindSocket( this, port || 0, address );
+			this.boundAddress = address || null;
+		}
+		catch ( err ) {
+			process.nextTick( () => this.emit( 'error', err ) );
+			return;
+		}
+		process.nextTick( () => this.emit( 'listening' ) );
+	}
+
+	/**
+	 * same signature as dgram.Socket.send( msg, port, address, callback )
+	 * @param {Buffer|Buffer[]} msg
+	 * @param {number} port
+	 * @param {string} address
+	 * @param {function} [callback] (err, bytes)
+	 */
+	send( msg, port, address, callback ) {
+		if ( this.closed ) {
+			throw new Error( 'socket is closed' );
+		}
+		// like dgram, the first send implicitly binds
+		if ( this.boundPort === null ) {
+			this.bind();
+		}
+		const data = Buffer.from( Array.isArray( msg ) ? Buffer.concat( msg ) : msg );
+		this.transport.deliver( this, data, port, address );
+		if ( callback ) {
+			process.nextTick( callback, null, data.length );
+		}
+	}
+
+	/**
+	 * @param {function} [callback]
+	 */
+	close( callback ) {
+		if ( this.closed ) {
+			throw new Error( 'socket is already closed' );
+		}
+		this.closed = true;
+		this.transport.unbindSocket( this );
+		process.nextTick( () => {
+			this.emit( 'close' );
+			if ( callback ) {
+				callback();
+			}
+		} );
+	}
+
+	/**
+	 * no-op, there's nothing keeping the event loop alive
+	 * @returns {LoopbackSocket}
+	 */
+	unref() {
+		return this;
+	}
+
+	/**
+	 * no-op, see unref
+	 * @returns {LoopbackSocket}
+	 */
+	ref() {
+		return this;
+	}
+
+}
+
+module.exports = class LoopbackTransport {
+
+	/**
+	 * @constructor
+	 */
+	constructor() {
+		// bound sockets, keyed by "<type> <port>"
+		this.sockets = new Map();
+		this.nextEphemeralPort = ephemeralPortMin;
+	}
+
+	/**
+	 * same signature as dgram.createSocket
+	 * @param {string} type 'udp4' or 'udp6'
+	 * @returns {LoopbackSocket}
+	 */
+	createSocket( type ) {
+		if ( type !== 'udp4' && type !== 'udp6' ) {
+			throw new TypeError( `unsupported socket type "${type}"` );
+		}
+		return new LoopbackSocket( this, type );
+	}
+
+	/**
+	 * @param {LoopbackSocket} socket
+	 * @param {number} port 0 for an ephemeral port
+	 * @param {string} [address]
+	 * @returns {number} bound port
+	 */
+	bindSocket( socket, port, address ) {
+		if ( address && net.isIPv6( address ) !== (socket.type === 'udp6') ) {
+			throw new Error( `can't bind ${socket.type} socket to ${address}` );
+		}
+		if ( !port ) {
+			port = this.allocatePort( socket.type );
+		}
+		const key = `${socket.type} ${port}`;
+		if ( this.sockets.has( key ) ) {
+			const err = /** @type {Error & { code: string }} */ (new Error( `bind EADDRINUSE ${address || 'any'}:${port}` ));
+			err.code = 'EADDRINUSE';
+			throw err;
+		}
+		this.sockets.set( key, socket );
+		debug( `bound ${key}` );
+		return port;
+	}
+
+	/**
+	 * @param {LoopbackSocket} socket
+	 */
+	unbindSocket( socket ) {
+		const key = `${socket.type} ${socket.boundPort}`;
+		if ( this.sockets.get( key ) === socket ) {
+			this.sockets.delete( key );
+			debug( `unbound ${key}` );
+		}
+	}
+
+	/**
+	 * @param {string} type
+	 * @returns {number}
+	 */
+	allocatePort( type ) {
+		for ( let i = ephemeralPortMin; i <= ephemeralPortMax; i++ ) {
+			const port = this.nextEphemeralPort;
+			this.nextEphemeralPort = (port === ephemeralPortMax) ? ephemeralPortMin : port + 1;
+			if ( !this.sockets.has( `${type} ${port}` ) ) {
+				return port;
+			}
+		}
+		throw new Error( 'no ephemeral ports left' );
+	}
+
+	/**
+	 * hand a datagram to whoever is bound to the destination
+	 * @param {LoopbackSocket} from
+	 * @param {Buffer} data
+	 * @param {number} port
+	 * @param {string} address
+	 */
+	deliver( from, data, port, address ) {
+		const type = net.isIPv6( address ) ? 'udp6' : 'udp4';
+		const to = this.sockets.get( `${type} ${port}` );
+		if ( type !== from.type || !to || (to.boundAddress && to.boundAddress !== address) ) {
+			debug( `dropped datagram to ${address}:${port}` );
+			return;
+		}
+
+		const rinfo = {
+			address: from.boundAddress || ((from.type === 'udp6') ? '::1' : '127.0.0.1'),
+			family: (from.type === 'udp6') ? 'IPv6' : 'IPv4',
+			port: from.boundPort,
+			size: data.length,
+		};
+		setImmediate( () => {
+			if ( !to.closed ) {
+				to.emit( 'message', data, rinfo );
+			}
+		} );
+	}
+
+};
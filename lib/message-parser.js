@@ -10,22 +10,29 @@
 // third party modules
 const buffer_split =	require( 'buffer-split' );
 
+// internal modules
+const { JKParseError } =	require( './errors' );
+
 module.exports = class Q3MessageParser {
 
 	/**
 	 * @constructor
 	 * @param {Buffer} msg q3 encoded net message
 	 * @param {boolean} [validateHeader] whether to check for msg prefix and advance pointer upon initialisation
+	 * @throws {JKParseError} on a missing prefix
 	 */
 	constructor( msg, validateHeader=true ) {
 		this.msg = msg;
 		this.offset = 0;
 		if ( validateHeader ) {
+			if ( this.msg.length < 4 ) {
+				throw new JKParseError( `Q3MessageParser: missing start marker, received ${this.msg.length} bytes`, { packet: msg, offset: 0 } );
+			}
 			const marker = this.msg.readUInt32LE( this.offset );
-			this.offset += 4;
 			if ( marker !== 0xFFFFFFFF ) {
-				throw new Error( `Q3MessageParser: missing start marker, received ${marker}` );
+				throw new JKParseError( `Q3MessageParser: missing start marker, received ${marker}`, { packet: msg, offset: 0 } );
 			}
+			this.offset += 4;
 		}
 	}
 
@@ -46,9 +53,15 @@ module.exports = class Q3MessageParser {
 
 	/**
 	 * reads a string from the current position up until the next linefeed (or remainder of message)
+	 * an empty string once the whole message has been read
 	 * @returns string
+	 * @throws {JKParseError} if the read position is past the end of the message
 	 */
 	readLine() {
+		if ( this.offset > this.msg.length ) {
+			throw new JKParseError( `Q3MessageParser: can't read a line at offset ${this.offset}, message is ${this.msg.length} bytes`,
+				{ packet: this.msg, offset: this.offset } );
+		}
 		//FIXME: check if toString mutates this.msg???
 		const str = this.msg.toString( 'ascii', this.offset ); // to ASCII
 		const nextLineIdx = str.indexOf( '\n' );
@@ -62,12 +75,16 @@ module.exports = class Q3MessageParser {
 	}
 
 	/**
-	 * reads a string from the current position up until numBytes (or remainder of message)
+	 * reads a string of numBytes from the current position
 	 * @param {number} numBytes how many bytes to read
 	 * @returns string
+	 * @throws {JKParseError} if fewer than numBytes are left
 	 */
 	readChars( numBytes ) {
-		//TODO: handle if ( this.offset + numBytes > this.msg.length )
+		if ( numBytes < 0 || this.offset + numBytes > this.msg.length ) {
+			throw new JKParseError( `Q3MessageParser: can't read ${numBytes} bytes at offset ${this.offset}, message is ${this.msg.length} bytes`,
+				{ packet: this.msg, offset: this.offset } );
+		}
 		const str = this.msg.slice( this.offset, this.offset + numBytes ).toString( 'ascii' );
 		this.offset += numBytes;
 		return str;
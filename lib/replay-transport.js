@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * replay transport, plays a capture (see JKSocket's `record` option) back without touching the network
+ * 	const comms = new JKComms( true, { transport: ReplayTransport.fromFile( 'getservers.capture' ) } );
+ *
+ * every datagram sent must match the next `send` entry of the capture (byte for byte), the `recv` entries that follow it
+ * 	are then delivered as if they came from the recorded peer
+ * a mismatching send fails with an Error (code REPLAY_MISMATCH), so captures double as regression tests
+ * note: peer addresses come from the capture, so query the same ip/port that was recorded or source checks will fail
+ * 	and send the same thing: a `connect` probe (JKComms.connect) only replays with the recorded `qport`
+ */
+
+// core modules
+const EventEmitter =	require( 'events' );
+const fs =				require( 'fs' );
+const net =				require( 'net' );
+
+// third party modules
+const debug =			require( 'debug' )( 'replay' );
+
+/**
+ * ReplayTransport options
+ * @typedef {Object} ReplayTransportOpts
+ * @property {boolean} [realtime] default: false (deliver replies after their recorded delay instead of straight away)
+ */
+
+/**
+ * @typedef {import('./replay-transport')} ReplayTransport
+ */
+
+/**
+ * dgram.Socket lookalike fed from a ReplayTransport
+ */
+class ReplaySocket extends EventEmitter {
+
+	/**
+	 * @constructor
+	 * @param {ReplayTransport} transport
+	 * @param {string} type 'udp4' or 'udp6'
+	 */
+	constructor( transport, type ) {
+		super();
+		this.transport = transport;
+		this.type = type;
+		this.bound = false;
+		this.closed = false;
+	}
+
+	/**
+	 * @returns {Object} { address, family, port }
+	 */
+	address() {
+		return (this.type === 'udp6')
+			? { address: '::', family: 'IPv6', port: 0 }
+			: { address: '0.0.0.0', family: 'IPv4', port: 0 };
+	}
+
+	/**
+	 * binding is meaningless here, only reported
+	 * @param {number} [port]
+	 * @param {string} [address]
+	 * @param {function(): void} [callback] upon listening
+	 */
+	bind( port, address, callback ) {
+		if ( callback ) {
+			this.once( 'listening', callback );
+		}
+		if ( !this.bound ) {
+			this.bound = true;
+			process.nextTick( () => this.emit( 'listening' ) );
+		}
+	}
+
+	/**
+	 * same signature as dgram.Socket.send( msg, port, address, callback )
+	 * @param {Buffer|Buffer[]} msg
+	 * @param {number} port
+	 * @param {string} address
+	 * @param {function} [callback] (err, bytes)
+	 */
+	send( msg, port, address, callback ) {
+		const data = Array.isArray( msg ) ? Buffer.concat( msg ) : msg;
+
+		// like dgram, the first send implicitly binds
+		if ( !this.bound ) {
+			this.bound = true;
+			process.nextTick( () => this.emit( 'listening' ) );
+		}
+
+		let replies;
+		try {
+			replies = this.transport.consume( data, address, port );
+		}
+		catch ( err ) {
+			if ( callback ) {
+				process.nextTick( callback, err );
+			}
+			return;
+		}
+		if ( callback ) {
+			process.nextTick( callback, null, data.length );
+		}
+
+		for ( let reply of replies ) {
+			const deliver = () => {
+				if ( this.closed ) {
+					return;
+				}
+				const rinfo = {
+					address: reply.ip,
+					family: net.isIPv6( reply.ip ) ? 'IPv6' : 'IPv4',
+					port: reply.port,
+					size: reply.data.length,
+				};
+				this.emit( 'message', reply.data, rinfo );
+			};
+			if ( this.transport.realtime ) {
+				setTimeout( deliver, reply.delay );
+			}
+			else {
+				setImmediate( deliver );
+			}
+		}
+	}
+
+	/**
+	 * @param {function} [callback]
+	 */
+	close( callback ) {
+		this.closed = true;
+		process.nextTick( () => {
+			this.emit( 'close' );
+			if ( callback ) {
+				callback();
+			}
+		} );
+	}
+
+}
+
+module.exports = class ReplayTransport {
+
+	/**
+	 * @constructor
+	 * @param {Object[]} entries capture entries, as written by JKSocket
+	 * @param {ReplayTransportOpts} [opts]
+	 */
+	constructor( entries, opts={} ) {
+		this.entries = entries.map( entry => Object.assign( {}, entry, { data: Buffer.from( entry.data, 'base64' ) } ) );
+		this.realtime = !!opts.realtime;
+		// next entry to be played
+		this.cursor = 0;
+	}
+
+	/**
+	 * load a capture file
+	 * @param {string} file
+	 * @param {ReplayTransportOpts} [opts]
+	 * @returns {ReplayTransport}
+	 */
+	static fromFile( file, opts ) {
+		const entries = fs.readFileSync( file, 'utf8' )
+			.split( '\n' )
+			.filter( line => line.trim().length )
+			.map( line => JSON.parse( line ) );
+		return new ReplayTransport( entries, opts );
+	}
+
+	/**
+	 * same signature as dgram.createSocket
+	 * @param {string} type 'udp4' or 'udp6'
+	 * @returns {ReplaySocket}
+	 */
+	createSocket( type ) {
+		return new ReplaySocket( this, type );
+	}
+
+	/**
+	 * match a sent datagram against the capture and hand back the replies recorded after it
+	 * @param {Buffer} data
+	 * @param {string} ip
+	 * @param {number} port
+	 * @returns {Object[]} [ { ip, port, data, delay } ]
+	 */
+	consume( data, ip, port ) {
+		const expected = this.entries[this.cursor];
+		if ( !expected || expected.dir !== 'send' || !expected.data.equals( data ) ) {
+			const err = /** @type {Error & { code: string }} */ (new Error( expected
+				? `replay mismatch at entry ${this.cursor}: sent ${JSON.stringify( data.toString( 'latin1' ) )}, capture has ${expected.dir} ${JSON.stringify( expected.data.toString( 'latin1' ) )}`
+				: `replay mismatch: sent ${JSON.stringify( data.toString( 'latin1' ) )} past the end of the capture` ));
+			err.code = 'REPLAY_MISMATCH';
+			throw err;
+		}
+		debug( `entry ${this.cursor}: send to ${ip}:${port} (recorded ${expected.ip}:${expected.port})` );
+		this.cursor++;
+
+		const replies = [];
+		while ( this.cursor < this.entries.length && this.entries[this.cursor].dir === 'recv' ) {
+			const entry = this.entries[this.cursor++];
+			replies.push( { ip: entry.ip, port: entry.port, data: entry.data, delay: Math.max( entry.time - expected.time, 0 ) } );
+		}
+		return replies;
+	}
+
+	/**
+	 * @returns {number} entries not played yet
+	 */
+	remaining() {
+		return this.entries.length - this.cursor;
+	}
+
+};
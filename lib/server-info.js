@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * server model: merges an infoResponse and a statusResponse (as returned by JKComms.cts_getinfo/cts_getstatus) into
+ * 	typed fields, either reply may be missing
+ * 	const server = new ServerInfo( await comms.getInfo( dest ), await comms.getStatus( dest ) );
+ *
+ * the game is told by the protocol, or failing that the version string, and its profile (see games.js) decides which
+ * 	gametype table applies and which colour codes are stripped from names
+ * bots are the clients with a ping of 0, the engine reports them that way
+ * the mod is looked up by fs_game, gamename and version (see `mods`), an unknown one is reported by its fs_game
+ */
+
+// internal modules
+const colours =	require( './colours' );
+const games =	require( './games' );
+
+/**
+ * games by the start of their `version` serverinfo, for protocols no profile has (e.g. older patches)
+ */
+const versionGames = [
+	{ game: 'jo', pattern: /^JK2MP/i },
+	{ game: 'ja', pattern: /^(JAmp|OpenJK)/i },
+	{ game: 'q3a', pattern: /^(Q3|ioq3)/i },
+	{ game: 'rtcw', pattern: /^Wolf/i },
+	{ game: 'et', pattern: /^(ET|etlegacy)/i },
+];
+
+/**
+ * known mods, first match wins: a mod running on OpenJK is reported as the mod
+ */
+const mods = [
+	{ name: 'JA+', pattern: /^ja(\+|plus)/i },
+	{ name: 'jaPRO', pattern: /^japro/i },
+	{ name: 'Movie Battles II', pattern: /^(mbii|movie ?battles)/i },
+	{ name: 'Lugormod', pattern: /^lugormod/i },
+	{ name: 'Twimod', pattern: /^twimod/i },
+	{ name: 'base_enhanced', pattern: /^base_?enhanced/i },
+	{ name: 'OpenJK', pattern: /^openjk/i },
+	{ name: 'base', pattern: /^base(jka?)?$/i },
+];
+
+/**
+ * player, as listed in a statusResponse
+ * @typedef {Object} JKPlayer
+ * @property {string} name with colour codes
+ * @property {string} cleanName without colour codes
+ * @property {number} score
+ * @property {number} ping
+ * @property {boolean} bot
+ */
+
+/**
+ * @param {string} value
+ * @returns {number} null if not a number
+ */
+function toInt( value ) {
+	const n = parseInt( value, 10 );
+	return Number.isNaN( n ) ? null : n;
+}
+
+/**
+ * @param {...string} values first one that isn't undefined or empty wins
+ * @returns {string} null if there's none
+ */
+function firstOf( ...values ) {
+	const value = values.find( value => value !== undefined && value !== '' );
+	return (value !== undefined) ? value : null;
+}
+
+module.exports = class ServerInfo {
+
+	/**
+	 * @constructor
+	 * @param {Object} [info] { source, info } as returned by JKComms.cts_getinfo
+	 * @param {Object} [status] { source, status, clients } as returned by JKComms.cts_getstatus
+	 * @param {Object} [opts]
+	 * @param {string} [opts.game] game profile, see games.js, default: detected
+	 * @param {string|Object} [opts.palette] default: the game's (see colours.js), colour codes stripped from names
+	 */
+	constructor( info, status, opts={} ) {
+		if ( !info && !status ) {
+			throw new TypeError( 'info or status must be specified' );
+		}
+		const i = info ? info.info : {};
+		const s = status ? status.status : {};
+		const source = (info || status).source;
+
+		// raw replies, for anything not modelled here
+		this.info = info ? info.info : null;
+		this.status = status ? status.status : null;
+
+		this.address = source ? { ip: source.ip, port: source.port } : null;
+
+		const protocol = firstOf( i.protocol, s.protocol );
+		const version = firstOf( s.version );
+		this.protocol = toInt( protocol );
+		this.game = opts.game ? games.get( opts.game ).id : ServerInfo.detectGame( protocol, version );
+		const profile = this.game ? games.get( this.game ) : null;
+		// the profile's only if the protocol matches, a JK2 1.03 server is still no 1.04
+		this.version = (profile && profile.protocol === protocol) ? profile.name : null;
+		this.engineVersion = version;
+
+		const palette = opts.palette || (profile ? profile.palette : undefined);
+		this.hostname = firstOf( i.hostname, s.sv_hostname ) || '';
+		this.cleanHostname = colours.strip( this.hostname, palette );
+		this.map = firstOf( i.mapname, s.mapname ) || '';
+
+		this.gametype = toInt( firstOf( i.gametype, s.g_gametype ) );
+		this.gametypeName = ServerInfo.gametypeName( this.game, this.gametype );
+
+		this.mod = ServerInfo.detectMod( firstOf( i.game, s.fs_game ), firstOf( s.gamename ), version );
+
+		this.passworded = firstOf( i.needpass, s.g_needpass ) === '1';
+		this.maxClients = toInt( firstOf( i.sv_maxclients, s.sv_maxclients ) ) || 0;
+
+		/** @type {JKPlayer[]} */
+		this.players = status ? status.clients.map( client => ({
+			name: client.name,
+			cleanName: colours.strip( client.name, palette ),
+			score: toInt( client.score ) || 0,
+			ping: toInt( client.ping ) || 0,
+			bot: client.ping === '0',
+		}) ) : [];
+
+		// the player list is exact, infoResponse only has counts (and not always of humans)
+		if ( status ) {
+			this.clients = this.players.length;
+			this.bots = this.players.filter( player => player.bot ).length;
+			this.humans = this.clients - this.bots;
+		}
+		else {
+			this.clients = toInt( i.clients ) || 0;
+			this.humans = toInt( i.g_humanplayers );
+			this.bots = (this.humans !== null) ? this.clients - this.humans : null;
+		}
+	}
+
+	/**
+	 * @param {string} protocol
+	 * @param {string} [version] the `version` serverinfo, e.g. "JAmp: v1.0.1.0 win-x86 Oct 24 2003"
+	 * @returns {string} game profile id (see games.js), null if unknown
+	 */
+	static detectGame( protocol, version ) {
+		const profile = games.byProtocol( protocol );
+		if ( profile ) {
+			return profile.id;
+		}
+		const match = versionGames.find( entry => entry.pattern.test( version || '' ) );
+		return match ? match.game : null;
+	}
+
+	/**
+	 * @param {string} game game profile id, see games.js
+	 * @param {number} gametype g_gametype
+	 * @returns {string} null if unknown
+	 */
+	static gametypeName( game, gametype ) {
+		const names = game ? games.get( game ).gametypes : null;
+		return (names && names[gametype]) || null;
+	}
+
+	/**
+	 * @param {string} [fsGame]
+	 * @param {string} [gamename]
+	 * @param {string} [version]
+	 * @returns {string} known mod name, otherwise fs_game (or gamename), 'base' if there's neither
+	 */
+	static detectMod( fsGame, gamename, version ) {
+		const candidates = [ fsGame, gamename, version ].filter( candidate => candidate );
+		const known = mods.find( mod => candidates.some( candidate => mod.pattern.test( candidate ) ) );
+		if ( known ) {
+			return known.name;
+		}
+		return fsGame || gamename || 'base';
+	}
+
+};
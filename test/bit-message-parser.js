@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * reading netchan bitstreams written with the static message tree
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const { JKParseError } =	require( '../lib/errors' );
+const MessageWriter =		require( './support/message-writer' );
+const Q3BitMessageParser =	require( '../lib/bit-message-parser' );
+
+describe( 'Q3BitMessageParser', () => {
+
+	it( 'reads signed and unsigned fields', () => {
+		const msg = new MessageWriter().long( 0x12345678 ).short( -2 ).byte( 200 ).bits( 5, 3 ).bits( 0x2AB, 10 ).toBuffer();
+		const parser = new Q3BitMessageParser( msg );
+		assert.strictEqual( parser.readLong(), 0x12345678 );
+		assert.strictEqual( parser.readShort(), -2 );
+		assert.strictEqual( parser.readByte(), 200 );
+		assert.strictEqual( parser.readBits( 3 ), 5 );
+		assert.strictEqual( parser.readBits( 10 ), 0x2AB );
+	} );
+
+	it( 'reads null terminated strings and raw data', () => {
+		const msg = new MessageWriter().string( 'print "hello"\n' ).byte( 3 ).byte( 0xFF ).byte( 0x01 ).byte( 7 ).toBuffer();
+		const parser = new Q3BitMessageParser( msg );
+		assert.strictEqual( parser.readString(), 'print "hello"\n' );
+		assert.deepStrictEqual( parser.readData( parser.readByte() ), Buffer.from( [ 0xFF, 0x01, 7 ] ) );
+	} );
+
+	it( 'stops a string at the length limit', () => {
+		const parser = new Q3BitMessageParser( new MessageWriter().string( 'abcdef' ).toBuffer() );
+		assert.strictEqual( parser.readString( 4 ), 'abc' );
+		assert.strictEqual( parser.readString(), 'def' );
+	} );
+
+	it( 'throws JKParseError past the end of the message', () => {
+		const parser = new Q3BitMessageParser( new MessageWriter().byte( 1 ).toBuffer() );
+		parser.readByte();
+		assert.throws( () => parser.readLong(), err => err instanceof JKParseError && err.offset === 0 );
+
+		const unterminated = new Q3BitMessageParser( new MessageWriter().byte( 0x41 ).byte( 0x42 ).toBuffer() );
+		assert.throws( () => unterminated.readString(), JKParseError );
+	} );
+
+	it( 'reads up to the very last bit', () => {
+		// 8 raw bits fill the byte exactly, there's no padding to read into
+		const msg = new MessageWriter().bits( 0xA5 >> 5, 3 ).bits( 0x15, 5 ).toBuffer();
+		assert.strictEqual( msg.length, 1 );
+		const parser = new Q3BitMessageParser( msg );
+		assert.strictEqual( parser.readBits( 3 ), 5 );
+		assert.strictEqual( parser.readBits( 5 ), 0x15 );
+		assert.strictEqual( parser.overflowed(), false );
+		assert.throws( () => parser.readBits( 1 ), err => err instanceof JKParseError && err.offset === 1 );
+	} );
+
+} );
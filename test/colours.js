@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * colour code parsing and rendering, per palette
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const colours =	require( '../lib/colours' );
+
+describe( 'colours', () => {
+
+	describe( 'strip', () => {
+
+		// [ input, palette, expected ]
+		const cases = [
+			[ '^1Red ^7White', 'openjk', 'Red White' ],
+			[ '', 'openjk', '' ],
+			[ 'no codes', 'ja', 'no codes' ],
+			[ 'trailing^', 'openjk', 'trailing^' ],
+			// "^^" prints the first '^', the second one may start a code
+			[ '^^1x', 'openjk', '^x' ],
+			[ '^^^^', 'ja', '^^^^' ],
+			// ^8 and ^9 are OpenJK additions
+			[ '^8orange ^9grey', 'openjk', 'orange grey' ],
+			[ '^8orange ^9grey', 'ja', '^8orange ^9grey' ],
+			// Q3 and Outcast take any character as a code
+			[ '^8orange ^9grey', 'jo', 'orange grey' ],
+			[ '^anice ^Zname', 'q3', 'nice name' ],
+			[ '^anice', 'ja', '^anice' ],
+			[ '^anice', 'openjk', '^anice' ],
+		];
+
+		for ( let [input, palette, expected] of cases ) {
+			it( `${JSON.stringify( input )} (${palette})`, () => {
+				assert.strictEqual( colours.strip( input, palette ), expected );
+			} );
+		}
+
+		it( 'defaults to the OpenJK palette', () => {
+			assert.strictEqual( colours.defaultPalette, 'openjk' );
+			assert.strictEqual( colours.strip( '^9grey' ), 'grey' );
+		} );
+
+		it( 'refuses an unknown palette', () => {
+			assert.throws( () => colours.strip( '^1x', 'nope' ), TypeError );
+		} );
+
+	} );
+
+	describe( 'parse', () => {
+
+		it( 'splits into spans with their colour', () => {
+			assert.deepStrictEqual( colours.parse( 'a^1b^7c', 'ja' ), [
+				{ text: 'a', code: null, colour: null },
+				{ text: 'b', code: '1', colour: colours.palettes.ja.colours['1'] },
+				{ text: 'c', code: '7', colour: colours.palettes.ja.colours['7'] },
+			] );
+		} );
+
+		it( 'drops empty spans and keeps invalid codes as text', () => {
+			assert.deepStrictEqual( colours.parse( '^1^2x^8y', 'ja' ).map( span => [ span.code, span.text ] ), [ [ '2', 'x^8y' ] ] );
+		} );
+
+		it( 'maps extended codes onto the base colours', () => {
+			// ('a' - '0') & 7 = 1, ('8' - '0') & 7 = 0
+			assert.deepStrictEqual( colours.parse( '^ax^8y', 'jo' ).map( span => span.code ), [ '1', '0' ] );
+		} );
+
+	} );
+
+	describe( 'toANSI', () => {
+
+		/** @type {Array<[ string, { palette?: string, truecolor?: boolean }, string ]>} */
+		const cases = [
+			[ 'plain', {}, 'plain' ],
+			[ '^1red', {}, '\x1b[31mred\x1b[0m' ],
+			[ 'a^0b', {}, 'a\x1b[90mb\x1b[0m' ],
+			[ '^8or', { palette: 'openjk' }, '\x1b[33mor\x1b[0m' ],
+			[ '^8or', { palette: 'ja' }, '^8or' ],
+			[ '^8or', { palette: 'openjk', truecolor: true }, '\x1b[38;2;255;128;0mor\x1b[0m' ],
+		];
+
+		for ( let [input, opts, expected] of cases ) {
+			it( `${JSON.stringify( input )} ${JSON.stringify( opts )}`, () => {
+				assert.strictEqual( colours.toANSI( input, opts ), expected );
+			} );
+		}
+
+	} );
+
+	describe( 'toHTML', () => {
+
+		it( 'renders inline styles and escapes the text', () => {
+			assert.strictEqual( colours.toHTML( '<^1b&"\'>' ), '&lt;<span style="color:#ff0000">b&amp;&quot;&#39;&gt;</span>' );
+		} );
+
+		it( 'renders classes with a prefix', () => {
+			assert.strictEqual( colours.toHTML( '^5x', { classPrefix: 'q3c' } ), '<span class="q3c5">x</span>' );
+		} );
+
+		it( 'follows the palette', () => {
+			assert.strictEqual( colours.toHTML( '^9x', { palette: 'ja' } ), '^9x' );
+			assert.strictEqual( colours.toHTML( '^9x', { palette: 'openjk' } ), '<span style="color:#808080">x</span>' );
+		} );
+
+	} );
+
+} );
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * endpoint parsing and the caching resolver
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const endpoint =		require( '../lib/endpoint' );
+const { JKError } =		require( '../lib/errors' );
+
+describe( 'endpoint', () => {
+
+	describe( 'parseEndpoint', () => {
+
+		// [ input, default port, expected ]
+		/** @type {Array<[ string, number|string|undefined, Object ]>} */
+		const cases = [
+			[ 'jka.example', 'server', { host: 'jka.example', port: 29070 } ],
+			[ 'jka.example', 'master', { host: 'jka.example', port: 29060 } ],
+			[ 'jka.example:1234', 'server', { host: 'jka.example', port: 1234 } ],
+			[ '1.2.3.4', 27960, { host: '1.2.3.4', port: 27960 } ],
+			[ '1.2.3.4:29071', undefined, { host: '1.2.3.4', port: 29071 } ],
+			// a bare IPv6 address can't carry a port
+			[ '::1', 'server', { host: '::1', port: 29070 } ],
+			[ '2001:db8::1', 'server', { host: '2001:db8::1', port: 29070 } ],
+			[ '[::1]:29071', 'server', { host: '::1', port: 29071 } ],
+			[ '[2001:db8::1]', 'master', { host: '2001:db8::1', port: 29060 } ],
+		];
+		for ( let [ input, defaultPort, expected ] of cases ) {
+			it( `${input} (${defaultPort})`, () => {
+				assert.deepStrictEqual( endpoint.parseEndpoint( input, defaultPort ), expected );
+			} );
+		}
+
+		it( 'refuses bad input', () => {
+			// [ input, default port ]
+			const bad = [
+				[ '', 'server' ],
+				[ ':29070', 'server' ],
+				[ 'jka.example:0', 'server' ],
+				[ 'jka.example:65536', 'server' ],
+				[ 'jka.example:port', 'server' ],
+				[ '[::1]:', 'server' ],
+				[ 'jka.example', undefined ],
+				[ 'jka.example', 'gateway' ],
+			];
+			for ( let [ input, defaultPort ] of bad ) {
+				assert.throws( () => endpoint.parseEndpoint( input, defaultPort ), TypeError, input );
+			}
+			assert.throws( () => endpoint.parseEndpoint( /** @type {any} */ (29070), 'server' ), TypeError );
+		} );
+
+		it( 'formats what it parses', () => {
+			assert.strictEqual( endpoint.formatEndpoint( { host: 'jka.example', port: 29070 } ), 'jka.example:29070' );
+			assert.strictEqual( endpoint.formatEndpoint( { ip: '2001:db8::1', port: 29070 } ), '[2001:db8::1]:29070' );
+			const str = '[::1]:29071';
+			assert.strictEqual( endpoint.formatEndpoint( endpoint.parseEndpoint( str ) ), str );
+		} );
+
+	} );
+
+	describe( 'Resolver', () => {
+
+		let lookups;
+
+		/**
+		 * a resolver whose lookups are counted, every name but nowhere.example resolves
+		 * @param {Object} [opts] ResolverOpts
+		 * @returns {InstanceType<typeof endpoint.Resolver>}
+		 */
+		const resolver = (opts={}) => new endpoint.Resolver( Object.assign( {
+			lookup: host => {
+				lookups.push( host );
+				return (host.toLowerCase() !== 'nowhere.example')
+					? Promise.resolve( { address: `192.168.0.${lookups.length}`, family: 4 } )
+					: Promise.reject( Object.assign( new Error( 'not found' ), { code: 'ENOTFOUND' } ) );
+			},
+		}, opts ) );
+
+		beforeEach( () => {
+			lookups = [];
+		} );
+
+		it( 'passes IP addresses through', async () => {
+			const r = resolver();
+			assert.strictEqual( await r.resolve( '10.0.0.1' ), '10.0.0.1' );
+			assert.strictEqual( await r.resolve( '::1' ), '::1' );
+			assert.deepStrictEqual( lookups, [] );
+			await assert.rejects( r.resolve( '' ), TypeError );
+		} );
+
+		it( 'shares concurrent lookups and caches them for the ttl', async () => {
+			const r = resolver( { ttl: 30 } );
+			const addresses = await Promise.all( [ r.resolve( 'jka.example' ), r.resolve( 'JKA.example' ) ] );
+			assert.deepStrictEqual( addresses, [ '192.168.0.1', '192.168.0.1' ] );
+			assert.strictEqual( await r.resolve( 'jka.example' ), '192.168.0.1' );
+			assert.strictEqual( lookups.length, 1 );
+
+			await new Promise( resolve => setTimeout( resolve, 40 ) );
+			assert.strictEqual( await r.resolve( 'jka.example' ), '192.168.0.2' );
+			assert.strictEqual( lookups.length, 2 );
+
+			r.clear();
+			assert.strictEqual( await r.resolve( 'jka.example' ), '192.168.0.3' );
+		} );
+
+		it( 'doesn\'t cache failures', async () => {
+			const r = resolver();
+			for ( let i = 0; i < 2; i++ ) {
+				await assert.rejects( r.resolve( 'nowhere.example' ),
+					err => err instanceof JKError && err.code === 'ENOTFOUND' && err['host'] === 'nowhere.example' );
+			}
+			assert.deepStrictEqual( lookups, [ 'nowhere.example', 'nowhere.example' ] );
+		} );
+
+		it( 'drops the oldest entries beyond maxEntries', async () => {
+			const r = resolver( { maxEntries: 2 } );
+			for ( let host of [ 'a.example', 'b.example', 'c.example', 'b.example', 'a.example' ] ) {
+				await r.resolve( host );
+			}
+			assert.deepStrictEqual( lookups, [ 'a.example', 'b.example', 'c.example', 'a.example' ] );
+		} );
+
+	} );
+
+} );
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * game profiles: protocols, ports and gametype tables
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const colours =				require( '../lib/colours' );
+const games =				require( '../lib/games' );
+const JKComms =				require( '../lib/jkcomms' );
+const JKUtils =				require( '../lib/jkutils' );
+const LoopbackTransport =	require( '../lib/loopback-transport' );
+
+describe( 'games', () => {
+
+	// [ id, protocol, masterPort, serverPort, heartbeat, palette, gametypes ]
+	/** @type {Array<[ string, string, number, number, string, string, string[] ]>} */
+	const profiles = [
+		[ 'jo', '16', 28060, 28070, 'QuakeArena-1', 'jo',
+			[ 'FFA', 'Holocron', 'Jedi Master', 'Duel', 'Single Player', 'Team FFA', 'Saga', 'CTF', 'CTY' ] ],
+		[ 'jo102', '15', 28060, 28070, 'QuakeArena-1', 'jo',
+			[ 'FFA', 'Holocron', 'Jedi Master', 'Duel', 'Single Player', 'Team FFA', 'Saga', 'CTF', 'CTY' ] ],
+		[ 'ja', '26', 29060, 29070, 'QuakeArena-1', 'openjk',
+			[ 'FFA', 'Holocron', 'Jedi Master', 'Duel', 'Power Duel', 'Single Player', 'Team FFA', 'Siege', 'CTF', 'CTY' ] ],
+		[ 'q3a', '68', 27950, 27960, 'QuakeArena-1', 'q3',
+			[ 'FFA', 'Tournament', 'Single Player', 'Team DM', 'CTF' ] ],
+		[ 'rtcw', '60', 27950, 27960, 'Wolfenstein-1', 'q3',
+			[ 'FFA', 'Tournament', 'Single Player', 'Team DM', 'CTF', 'Objective', 'Stopwatch', 'Checkpoint' ] ],
+		[ 'et', '84', 27950, 27960, 'EnemyTerritory-1', 'q3',
+			[ 'Single Player', 'Co-op', 'Objective', 'Stopwatch', 'Campaign', 'Last Man Standing' ] ],
+	];
+
+	it( 'has a profile for every game and nothing else', () => {
+		assert.deepStrictEqual( Object.keys( games.profiles ).sort(), profiles.map( profile => profile[0] ).sort() );
+	} );
+
+	for ( let [ id, protocol, masterPort, serverPort, heartbeat, palette, gametypes ] of profiles ) {
+		describe( id, () => {
+
+			const profile = games.get( id );
+
+			it( 'is looked up by id and protocol', () => {
+				assert.ok( games.has( id ) );
+				assert.strictEqual( profile.id, id );
+				assert.strictEqual( games.byProtocol( protocol ), profile );
+				assert.strictEqual( games.byProtocol( Number( protocol ) ), profile );
+			} );
+
+			it( 'has the protocol, ports and heartbeat of the game', () => {
+				assert.deepStrictEqual( [ profile.protocol, profile.masterPort, profile.serverPort, profile.heartbeat ],
+					[ protocol, masterPort, serverPort, heartbeat ] );
+				assert.ok( JKUtils.protocolStrings[profile.heartbeat] );
+				assert.ok( profile.masters.length > 0 );
+				if ( JKUtils.protocolNumbers[protocol] ) {
+					assert.strictEqual( profile.name, JKUtils.protocolNumbers[protocol] );
+				}
+			} );
+
+			it( 'has the gametype table and palette of the game', () => {
+				assert.deepStrictEqual( profile.gametypes, gametypes );
+				assert.strictEqual( profile.palette, palette );
+				assert.ok( colours.palettes[palette] );
+			} );
+
+		} );
+	}
+
+	it( 'defaults to Jedi Academy', () => {
+		assert.strictEqual( games.defaultGame, 'ja' );
+		assert.strictEqual( games.get(), games.get( 'ja' ) );
+	} );
+
+	it( 'refuses unknown games', () => {
+		assert.strictEqual( games.has( 'quake4' ), false );
+		assert.strictEqual( games.has( 'toString' ), false );
+		assert.throws( () => games.get( 'quake4' ), TypeError );
+		assert.strictEqual( games.byProtocol( '99' ), null );
+	} );
+
+	it( 'fills in a query\'s master port and protocol', async () => {
+		const transport = new LoopbackTransport();
+		const requests = [];
+		const master = transport.createSocket( 'udp4' );
+		master.on( 'message', (msg, rinfo) => {
+			requests.push( msg.slice( 4 ).toString() );
+			master.send( [ JKUtils.oobPrefix, Buffer.from( 'getserversResponse\\EOT' ) ], rinfo.port, rinfo.address );
+		} );
+		master.bind( 28060 );
+		const comms = new JKComms( true, { transport } );
+		try {
+			await comms.getServers( { ip: '127.0.0.1', game: 'jo102' } );
+			assert.deepStrictEqual( requests, [ 'getservers 15' ] );
+		}
+		finally {
+			comms.jkSocket.destroy( true );
+			master.close();
+		}
+	} );
+
+} );
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * huffman coding: the adaptive coder (Huff_Compress) used for `connect` and the static message tree demos are read with
+ */
+
+// core modules
+const assert =	require( 'assert' );
+const crypto =	require( 'crypto' );
+
+// internal modules
+const huffman =	require( '../lib/huffman' );
+
+describe( 'huffman', () => {
+
+	describe( 'compress/decompress', () => {
+
+		it( 'round trips every byte value', () => {
+			const data = Buffer.alloc( 256 );
+			for ( let i = 0; i < data.length; i++ ) {
+				data[i] = i;
+			}
+			assert.deepStrictEqual( huffman.decompress( huffman.compress( data ) ), data );
+		} );
+
+		it( 'round trips random and repetitive data', () => {
+			const random = crypto.randomBytes( 2048 );
+			assert.deepStrictEqual( huffman.decompress( huffman.compress( random ) ), random );
+
+			const text = Buffer.from( 'connect "\\challenge\\1234\\qport\\5678\\protocol\\26"'.repeat( 20 ) );
+			const compressed = huffman.compress( text );
+			assert.ok( compressed.length < text.length );
+			assert.deepStrictEqual( huffman.decompress( compressed ), text );
+		} );
+
+		it( 'handles empty input', () => {
+			assert.deepStrictEqual( huffman.decompress( huffman.compress( Buffer.alloc( 0 ) ) ), Buffer.alloc( 0 ) );
+			assert.deepStrictEqual( huffman.decompress( Buffer.alloc( 1 ) ), Buffer.alloc( 0 ) );
+		} );
+
+		it( 'stores the uncompressed size up front', () => {
+			const compressed = huffman.compress( Buffer.from( 'getstatus' ) );
+			assert.strictEqual( compressed.readUInt16BE( 0 ), 9 );
+		} );
+
+	} );
+
+	describe( 'message tree', () => {
+
+		it( 'decodes what it encodes', () => {
+			const tree = huffman.HuffmanTree.messageTree();
+			const writer = new huffman.BitWriter();
+			for ( let i = 0; i < 256; i++ ) {
+				tree.transmit( writer, i );
+			}
+			const reader = new huffman.BitReader( writer.toBuffer() );
+			for ( let i = 0; i < 256; i++ ) {
+				assert.strictEqual( tree.decodeSymbol( reader ), i );
+			}
+		} );
+
+	} );
+
+} );
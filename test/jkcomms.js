@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * JKComms queries against fake servers and masters on a LoopbackTransport
+ */
+
+/* global AbortController */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const { JKError } =			require( '../lib/errors' );
+const huffman =				require( '../lib/huffman' );
+const JKComms =				require( '../lib/jkcomms' );
+const JKUtils =				require( '../lib/jkutils' );
+const LoopbackTransport =	require( '../lib/loopback-transport' );
+
+/**
+ * a server on the transport that answers each datagram with whatever `respond` returns
+ * @param {LoopbackTransport} transport
+ * @param {number} port
+ * @param {function(Buffer): Array<string|Buffer>} respond gets the datagram without the OOB prefix, returns the replies
+ * 	(without the prefix either)
+ * @returns {Object} the socket, close it when done
+ */
+function fakeServer( transport, port, respond ) {
+	const socket = transport.createSocket( 'udp4' );
+	socket.on( 'message', (msg, rinfo) => {
+		for ( let reply of respond( msg.slice( 4 ) ) ) {
+			const data = Buffer.isBuffer( reply ) ? reply : Buffer.from( reply, 'latin1' );
+			socket.send( [ JKUtils.oobPrefix, data ], rinfo.port, rinfo.address );
+		}
+	} );
+	socket.bind( port );
+	return socket;
+}
+
+/**
+ * a getserversResponse packet
+ * @param {Array<Array>} servers [ ip, port ]
+ * @param {string} sentinel 'EOF' or 'EOT'
+ * @returns {Buffer}
+ */
+function serverListPacket( servers, sentinel ) {
+	/** @type {Buffer[]} */
+	const parts = [ Buffer.from( 'getserversResponse' ) ];
+	for ( let [ip, port] of servers ) {
+		parts.push( Buffer.from( '\\' ), JKUtils.encodeServer( ip, port ) );
+	}
+	parts.push( Buffer.from( `\\${sentinel}\0\0\0`, 'binary' ) );
+	return Buffer.concat( parts );
+}
+
+describe( 'JKComms', () => {
+
+	const server = { ip: '127.0.0.1', port: 29070 };
+	let transport;
+	let comms;
+	let fake;
+
+	beforeEach( () => {
+		transport = new LoopbackTransport();
+		comms = new JKComms( true, { transport } );
+		fake = null;
+	} );
+
+	afterEach( () => {
+		comms.jkSocket.destroy( true );
+		if ( fake ) {
+			fake.close();
+		}
+	} );
+
+	describe( 'promises', () => {
+
+		it( 'rejects with AbortError when cancelled', async () => {
+			// nobody answers, the signal ends the wait
+			const controller = new AbortController();
+			const pending = comms.getInfo( server, { timeout: 1000, signal: controller.signal } );
+			setTimeout( () => controller.abort(), 10 );
+			await assert.rejects( pending, { name: 'AbortError' } );
+			await assert.rejects( comms.getInfo( server, { signal: controller.signal } ), { name: 'AbortError' } );
+		} );
+
+		it( 'turns bad input into rejections', async () => {
+			await assert.rejects( comms.getInfo( { ip: '127.0.0.1' } ), TypeError );
+			await assert.rejects( comms.getStatus( { port: 29070 } ), TypeError );
+		} );
+
+	} );
+
+	describe( 'reuse', () => {
+
+		// answers getinfo like a server, echoing the challenge
+		const infoServer = () => fakeServer( transport, server.port, msg =>
+			[ `infoResponse\n\\challenge\\${msg.toString().split( ' ' )[1]}\\hostname\\fake` ] );
+
+		it( 'answers consecutive and concurrent queries on one comms', async () => {
+			fake = infoServer();
+			await comms.getInfo( server );
+			await comms.getInfo( Object.assign( { challenge: 'second' }, server ) );
+			const results = await Promise.all( [ 'a', 'b', 'c' ].map( challenge =>
+				comms.getInfo( Object.assign( { challenge }, server ) ) ) );
+			assert.deepStrictEqual( results.map( res => res.info.challenge ), [ 'a', 'b', 'c' ] );
+		} );
+
+		it( 'reopens the socket after it was destroyed', async () => {
+			fake = infoServer();
+			await comms.getInfo( server, { retainSocket: false } );
+			assert.strictEqual( comms.jkSocket.destroyed, true );
+			const res = await comms.getInfo( server );
+			assert.strictEqual( res.info.hostname, 'fake' );
+			assert.strictEqual( comms.jkSocket.destroyed, false );
+		} );
+
+	} );
+
+	describe( 'getservers', () => {
+
+		// three packets, the second one repeats an entry of the first
+		const packets = [
+			serverListPacket( [ [ '10.0.0.1', 29070 ], [ '10.0.0.2', 29070 ] ], 'EOF' ),
+			serverListPacket( [ [ '10.0.0.2', 29070 ], [ '10.0.0.3', 29070 ] ], 'EOF' ),
+			serverListPacket( [ [ '10.0.0.4', 29070 ] ], 'EOT' ),
+		];
+
+		it( 'aggregates every packet up to EOT, without duplicates', async () => {
+			fake = fakeServer( transport, server.port, () => packets );
+			const servers = await comms.getServers( Object.assign( { protocol: '26' }, server ) );
+			assert.deepStrictEqual( servers.map( server => server.ip ), [ '10.0.0.1', '10.0.0.2', '10.0.0.3', '10.0.0.4' ] );
+		} );
+
+		it( 'ignores packets after EOT', async () => {
+			fake = fakeServer( transport, server.port, () => [ packets[2], packets[0] ] );
+			const servers = await comms.getServers( Object.assign( { protocol: '26' }, server ) );
+			assert.deepStrictEqual( servers.map( server => server.ip ), [ '10.0.0.4' ] );
+		} );
+
+		it( 'returns what arrived when EOT never does', async () => {
+			fake = fakeServer( transport, server.port, () => packets.slice( 0, 2 ) );
+			const servers = await comms.getServers( Object.assign( { protocol: '26' }, server ), { timeout: 50 } );
+			assert.strictEqual( servers.length, 3 );
+		} );
+
+		it( 'skips the header some masters send before the list', async () => {
+			fake = fakeServer( transport, server.port, () => [ Buffer.concat( [
+				Buffer.from( 'getserversResponse\n\0' ),
+				JKUtils.encodeServer( '192.168.0.1', 29070 ),
+				Buffer.from( '\\EOT' ),
+			] ) ] );
+			const servers = await comms.getServers( Object.assign( { protocol: '26' }, server ) );
+			assert.deepStrictEqual( servers, [ { ip: '192.168.0.1', port: 29070, family: 'IPv4' } ] );
+		} );
+
+		it( 'streams the new servers of each packet', async () => {
+			fake = fakeServer( transport, server.port, () => packets );
+			const batches = [];
+			for await ( let batch of comms.streamServers( Object.assign( { protocol: '26' }, server ) ) ) {
+				batches.push( batch.map( server => server.ip ) );
+			}
+			assert.deepStrictEqual( batches, [ [ '10.0.0.1', '10.0.0.2' ], [ '10.0.0.3' ], [ '10.0.0.4' ] ] );
+		} );
+
+		it( 'cancels the query when the loop is left early', async () => {
+			fake = fakeServer( transport, server.port, () => packets.slice( 0, 2 ) );
+			for await ( let batch of comms.streamServers( Object.assign( { protocol: '26' }, server ), { timeout: 5000 } ) ) {
+				assert.strictEqual( batch.length, 2 );
+				break;
+			}
+			assert.strictEqual( comms.jkSocket.pending.size, 0 );
+		} );
+
+	} );
+
+	describe( 'getserversExt', () => {
+
+		it( 'lists IPv4 and IPv6 servers', async () => {
+			const received = [];
+			fake = fakeServer( transport, server.port, msg => {
+				received.push( msg.toString() );
+				return [ Buffer.concat( [
+					Buffer.from( 'getserversExtResponse' ),
+					Buffer.from( '\\' ), JKUtils.encodeServer( '10.0.0.1', 29070 ),
+					Buffer.from( '/' ), JKUtils.encodeServer( '2001:db8::1', 29071 ),
+					Buffer.from( '\\EOT\0\0\0', 'binary' ),
+				] ) ];
+			} );
+			const servers = await comms.getServersExt( Object.assign( { gamename: 'jka', protocol: '26', ipv6: true, empty: true }, server ) );
+			assert.deepStrictEqual( received, [ 'getserversExt jka 26 empty ipv6' ] );
+			assert.deepStrictEqual( servers, [
+				{ ip: '10.0.0.1', port: 29070, family: 'IPv4' },
+				{ ip: '2001:db8::1', port: 29071, family: 'IPv6' },
+			] );
+		} );
+
+		it( 'needs a gamename', () => {
+			return assert.rejects( comms.getServersExt( Object.assign( { protocol: '26' }, server ) ), TypeError );
+		} );
+
+	} );
+
+	describe( 'ping', () => {
+
+		it( 'measures every probe that is answered', async () => {
+			const challenges = [];
+			fake = fakeServer( transport, server.port, msg => {
+				const challenge = msg.toString().split( ' ' )[1];
+				challenges.push( challenge );
+				return [ `infoResponse\n\\challenge\\${challenge}` ];
+			} );
+			const res = await comms.ping( Object.assign( { count: 3, interval: 0 }, server ) );
+			assert.deepStrictEqual( res.source, server );
+			assert.strictEqual( res.sent, 3 );
+			assert.strictEqual( res.received, 3 );
+			assert.strictEqual( res.loss, 0 );
+			assert.ok( res.min <= res.avg && res.avg <= res.max );
+			assert.deepStrictEqual( challenges, [ 'jkutils-ping-0', 'jkutils-ping-1', 'jkutils-ping-2' ] );
+		} );
+
+		it( 'counts unanswered and stale replies as lost', async () => {
+			// answers every probe with the challenge of the first one
+			fake = fakeServer( transport, server.port, () => [ 'infoResponse\n\\challenge\\jkutils-ping-0' ] );
+			const res = await comms.ping( Object.assign( { count: 2, interval: 0, timeout: 50 }, server ) );
+			assert.strictEqual( res.received, 1 );
+			assert.strictEqual( res.samples[1], null );
+			assert.strictEqual( res.loss, 0.5 );
+		} );
+
+		it( 'summarises samples', () => {
+			assert.deepStrictEqual( JKComms.latencyStats( [ 10, null, 20, 30 ] ), {
+				samples: [ 10, null, 20, 30 ],
+				sent: 4,
+				received: 3,
+				loss: 0.25,
+				min: 10,
+				avg: 20,
+				max: 30,
+				jitter: 10,
+			} );
+			assert.strictEqual( JKComms.latencyStats( [] ).loss, 0 );
+			assert.strictEqual( JKComms.latencyStats( [ null ] ).avg, null );
+		} );
+
+	} );
+
+	describe( 'connect', () => {
+
+		it( 'sends the userinfo compressed and reports acceptance', async () => {
+			let userinfo = {};
+			fake = fakeServer( transport, server.port, msg => {
+				if ( msg.toString().startsWith( 'getchallenge' ) ) {
+					return [ 'challengeResponse 1234' ];
+				}
+				userinfo = JKUtils.parseInfostring( huffman.decompress( msg.slice( 'connect '.length ) ).toString().slice( 1, -1 ) );
+				return [ 'connectResponse' ];
+			} );
+			const res = await comms.connect( Object.assign( { qport: 4321, userinfo: { name: 'Padawan' } }, server ) );
+			assert.deepStrictEqual( res, { source: server, accepted: true, reason: null, message: null, challenge: '1234' } );
+			assert.strictEqual( userinfo.name, 'Padawan' );
+			assert.strictEqual( userinfo.challenge, '1234' );
+			assert.strictEqual( userinfo.qport, '4321' );
+			assert.strictEqual( userinfo.protocol, '26' );
+		} );
+
+		it( 'reports a rejection', async () => {
+			fake = fakeServer( transport, server.port, msg =>
+				[ msg.toString().startsWith( 'getchallenge' ) ? 'challengeResponse 1234' : 'print\nServer is full.\n' ] );
+			const res = await comms.connect( server );
+			assert.strictEqual( res.accepted, false );
+			assert.strictEqual( res.reason, 'full' );
+			assert.strictEqual( res.message, 'Server is full.' );
+		} );
+
+		it( 'calls back once when the server replies more than once', done => {
+			fake = fakeServer( transport, server.port, msg => msg.toString().startsWith( 'getchallenge' )
+				? [ 'challengeResponse 1234' ]
+				: [ 'connectResponse', 'print\nalready connected\n' ] );
+			const results = [];
+			comms.cts_connect( server, {}, (err, res) => results.push( err || res.accepted ) );
+			setTimeout( () => {
+				assert.deepStrictEqual( results, [ true ] );
+				done();
+			}, 50 );
+		} );
+
+	} );
+
+	describe( 'rcon', () => {
+
+		it( 'collects the output of every print packet', async () => {
+			const received = [];
+			fake = fakeServer( transport, server.port, msg => {
+				received.push( msg.toString() );
+				return [ 'print\nmap: mp/ffa1\n', 'print\nnum score ping name\n', 'print\n  0    10   50 Padawan\n\0' ];
+			} );
+			const res = await comms.rcon( Object.assign( { password: 'secret', command: 'status', idleTime: 50 }, server ) );
+			assert.deepStrictEqual( res.source, server );
+			assert.strictEqual( res.output, 'map: mp/ffa1\nnum score ping name\n  0    10   50 Padawan\n' );
+			assert.deepStrictEqual( received, [ 'rcon secret status' ] );
+		} );
+
+		it( 'is never retransmitted', async () => {
+			let received = 0;
+			fake = fakeServer( transport, server.port, () => (++received === 1) ? [] : [ 'print\nran twice\n' ] );
+			await assert.rejects( comms.rcon( Object.assign( { password: 'secret', command: 'kick 1' }, server ),
+				{ timeout: 50, retries: 2, backoff: 10 } ) );
+			assert.strictEqual( received, 1 );
+		} );
+
+		it( 'reports a bad password', async () => {
+			fake = fakeServer( transport, server.port, () => [ 'print\nBad rconpassword.\n' ] );
+			await assert.rejects( comms.rcon( Object.assign( { password: 'wrong', command: 'status' }, server ) ),
+				err => err instanceof JKError && err.code === 'BAD_RCON_PASSWORD' );
+		} );
+
+		it( 'needs a password and a command', async () => {
+			await assert.rejects( comms.rcon( Object.assign( { command: 'status' }, server ) ), TypeError );
+			await assert.rejects( comms.rcon( Object.assign( { password: 'secret' }, server ) ), TypeError );
+		} );
+
+	} );
+
+} );
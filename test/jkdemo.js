@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * demo reader against synthetic demos built with the message writer
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const { JKParseError } =	require( '../lib/errors' );
+const JKDemoReader =		require( '../lib/jkdemo' );
+const MessageWriter =		require( './support/message-writer' );
+
+/**
+ * a demo file: every message in its own block, then the end marker
+ * @param {Buffer[]} messages
+ * @param {boolean} [end] default: true, write the end marker
+ * @returns {Buffer}
+ */
+function demo( messages, end=true ) {
+	const blocks = [];
+	let sequence = 1;
+	for ( let msg of messages ) {
+		const header = Buffer.alloc( 8 );
+		header.writeInt32LE( sequence++, 0 );
+		header.writeInt32LE( msg.length, 4 );
+		blocks.push( header, msg );
+	}
+	if ( end ) {
+		const marker = Buffer.alloc( 8 );
+		marker.writeInt32LE( sequence, 0 );
+		marker.writeInt32LE( -1, 4 );
+		blocks.push( marker );
+	}
+	return Buffer.concat( blocks );
+}
+
+/**
+ * collect every event the reader emits
+ * @param {JKDemoReader} reader
+ * @returns {Array<Array>} [ event, ...args ]
+ */
+function record( reader ) {
+	const events = [];
+	for ( let event of [ 'gamestate', 'configstring', 'serverCommand', 'snapshot' ] ) {
+		reader.on( event, (...args) => events.push( [ event, ...args ] ) );
+	}
+	return events;
+}
+
+describe( 'JKDemoReader', () => {
+
+	// protocol 26 ops: configstring 3, serverCommand 5, snapshot 7, setgame 8, mapchange 9, EOF 10
+	const gamestate = new MessageWriter()
+		.long( 0 )
+		.byte( 2 ).long( 5 )
+		.byte( 3 ).short( 0 ).string( '\\g_gametype\\0\\mapname\\mp/ffa3' )
+		.byte( 3 ).short( 1000 ).string( 'n\\Padawan\\t\\0' )
+		.byte( 10 ).long( 3 ).long( -123456 )
+		.toBuffer();
+	const commands = new MessageWriter()
+		.long( 0 )
+		.byte( 5 ).long( 6 ).string( 'chat "Padawan: hi"' )
+		.byte( 5 ).long( 7 ).string( 'cs 1000 "n\\Kyle\\t\\1"' )
+		.byte( 7 ).long( 123456 ).byte( 0 ).byte( 0 ).byte( 2 ).byte( 0xFF ).byte( 0x01 )
+		.toBuffer();
+
+	it( 'reads configstrings, server commands and snapshots', () => {
+		const reader = new JKDemoReader( { protocol: '26' } );
+		const events = record( reader );
+		const res = reader.parse( demo( [ gamestate, commands ] ) );
+
+		assert.strictEqual( res.messages, 2 );
+		assert.strictEqual( res.truncated, false );
+		assert.deepStrictEqual( Array.from( res.configstrings ), [
+			[ 0, '\\g_gametype\\0\\mapname\\mp/ffa3' ],
+			[ 1000, 'n\\Kyle\\t\\1' ],
+		] );
+
+		assert.deepStrictEqual( events.map( event => event[0] ), [
+			'configstring', 'configstring', 'gamestate', 'serverCommand', 'serverCommand', 'configstring', 'snapshot',
+		] );
+		const [ , state ] = events[2];
+		assert.strictEqual( state.sequence, 1 );
+		assert.strictEqual( state.serverCommandSequence, 5 );
+		assert.strictEqual( state.clientNum, 3 );
+		assert.strictEqual( state.checksumFeed, -123456 );
+		assert.deepStrictEqual( events[3][1], { sequence: 2, commandSequence: 6, command: 'chat "Padawan: hi"' } );
+		assert.deepStrictEqual( events[5].slice( 1 ), [ 1000, 'n\\Kyle\\t\\1', 2 ] );
+		assert.deepStrictEqual( events[6][1], {
+			sequence: 2, serverTime: 123456, deltaNum: 0, snapFlags: 0, areamask: Buffer.from( [ 0xFF, 0x01 ] ),
+		} );
+	} );
+
+	it( 'puts big configstrings back together', () => {
+		const msg = new MessageWriter()
+			.long( 0 )
+			.byte( 5 ).long( 1 ).string( 'bcs0 2 "\\motd\\one' )
+			.byte( 5 ).long( 2 ).string( 'bcs1 2 \\three' )
+			.byte( 5 ).long( 3 ).string( 'bcs2 2 \\four"' )
+			.byte( 10 )
+			.toBuffer();
+		const reader = new JKDemoReader( { protocol: '26' } );
+		const res = reader.parse( demo( [ msg ] ) );
+		assert.strictEqual( res.configstrings.get( 2 ), '\\motd\\one\\three\\four' );
+	} );
+
+	it( 'uses the Jedi Outcast op table for protocols 15 and 16', () => {
+		// mapchange 8, EOF 9: the same bytes are setgame/mapchange in protocol 26
+		const msg = new MessageWriter()
+			.long( 0 )
+			.byte( 8 )
+			.byte( 5 ).long( 1 ).string( 'print "hi"' )
+			.byte( 9 )
+			.byte( 5 ).long( 2 ).string( 'print "never read"' )
+			.toBuffer();
+		for ( let protocol of [ '15', '16' ] ) {
+			const reader = new JKDemoReader( { protocol } );
+			const events = record( reader );
+			assert.strictEqual( reader.parse( demo( [ msg ] ) ).messages, 1 );
+			assert.deepStrictEqual( events.map( event => event[1].command ), [ 'print "hi"' ] );
+		}
+	} );
+
+	it( 'uses the Jedi Academy op table for protocol 26', () => {
+		const msg = new MessageWriter()
+			.long( 0 )
+			.byte( 8 ).string( 'jampgame' )
+			.byte( 9 )
+			.byte( 5 ).long( 1 ).string( 'print "hi"' )
+			.byte( 10 )
+			.toBuffer();
+		const reader = new JKDemoReader( { protocol: '26' } );
+		const events = record( reader );
+		reader.parse( demo( [ msg ] ) );
+		assert.deepStrictEqual( events.map( event => event[1].command ), [ 'print "hi"' ] );
+	} );
+
+	it( 'reports a demo without an end marker as truncated', () => {
+		const reader = new JKDemoReader( { protocol: '26' } );
+		const res = reader.parse( demo( [ gamestate ], false ) );
+		assert.strictEqual( res.messages, 1 );
+		assert.strictEqual( res.truncated, true );
+		assert.strictEqual( reader.parse( demo( [ gamestate ] ).slice( 0, 12 ) ).truncated, true );
+	} );
+
+	it( 'throws JKParseError with the file offset on a message cut short', () => {
+		// a server command whose text never ends
+		const cut = new MessageWriter().long( 0 ).byte( 5 ).long( 1 ).bits( 0x41, 8 ).toBuffer();
+		const data = demo( [ gamestate, cut ] );
+		const reader = new JKDemoReader( { protocol: '26' } );
+		assert.throws( () => reader.parse( data ), err => err instanceof JKParseError
+			&& /^block 2: /.test( err.message )
+			&& err.offset >= 8 + gamestate.length + 8 && err.offset <= data.length - 8 );
+	} );
+
+	it( 'works out the protocol from the file name', () => {
+		assert.strictEqual( JKDemoReader.protocolFromFilename( 'demos/duel.dm_26' ), '26' );
+		assert.strictEqual( JKDemoReader.protocolFromFilename( 'old.dm_15' ), '15' );
+		assert.strictEqual( JKDemoReader.protocolFromFilename( 'q3.dm_68' ), null );
+		assert.strictEqual( JKDemoReader.protocolFromFilename( 'notes.txt' ), null );
+		assert.throws( () => new JKDemoReader( { protocol: '68' } ), TypeError );
+	} );
+
+} );
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * the Prometheus exporter polling emulators on a LoopbackTransport
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const JKExporter =			require( '../lib/jkexporter' );
+const JKServerEmulator =	require( '../lib/jkserver-emulator' );
+const LoopbackTransport =	require( '../lib/loopback-transport' );
+const ServerInfo =			require( '../lib/server-info' );
+
+/**
+ * the sample lines of a rendering, without HELP/TYPE
+ * @param {string} text
+ * @returns {string[]}
+ */
+function samples( text ) {
+	return text.split( '\n' ).filter( line => line && line[0] !== '#' );
+}
+
+describe( 'JKExporter', () => {
+
+	const servers = [ { ip: '127.0.0.1', port: 29070 }, { ip: '127.0.0.1', port: 29079 } ];
+	let transport;
+	let emulator;
+	let exporter;
+
+	beforeEach( done => {
+		transport = new LoopbackTransport();
+		emulator = new JKServerEmulator( {
+			port: 29070,
+			transport,
+			info: { protocol: '26', mapname: 'mp/ffa3', gametype: '3', sv_maxclients: '16' },
+			players: [ { score: 10, ping: 50, name: 'Padawan' }, { score: 0, ping: 0, name: 'Bot' } ],
+		} );
+		exporter = new JKExporter( { servers, port: 0, address: '127.0.0.1', interval: 10, socketConfig: { transport } } );
+		emulator.listen( done );
+	} );
+
+	afterEach( done => {
+		exporter.close( () => emulator.close( done ) );
+	} );
+
+	it( 'only reports servers that never replied as down', () => {
+		assert.deepStrictEqual( samples( exporter.render() ), [
+			'jkutils_server_up{server="127.0.0.1:29070"} 0',
+			'jkutils_server_up{server="127.0.0.1:29079"} 0',
+		] );
+	} );
+
+	it( 'renders every metric of the servers that replied', async function() {
+		// the silent server is only given up on once its query times out
+		this.timeout( 5000 );
+		const polls = [];
+		exporter.on( 'poll', (server, err) => polls.push( [ server.port, err ? err.name : null ] ) );
+		await exporter.poll();
+		assert.deepStrictEqual( polls.sort(), [ [ 29070, null ], [ 29079, 'JKTimeoutError' ] ] );
+
+		const text = exporter.render();
+		assert.match( text, /^# HELP jkutils_server_up .+\n# TYPE jkutils_server_up gauge\n/ );
+		const lines = samples( text );
+		const labels = 'server="127.0.0.1:29070",map="mp/ffa3",gametype="Duel"';
+		assert.deepStrictEqual( lines.filter( line => !line.startsWith( 'jkutils_server_query_latency_seconds' ) ), [
+			'jkutils_server_up{server="127.0.0.1:29070"} 1',
+			'jkutils_server_up{server="127.0.0.1:29079"} 0',
+			`jkutils_server_players{${labels}} 2`,
+			`jkutils_server_bots{${labels}} 1`,
+			`jkutils_server_max_clients{${labels}} 16`,
+		] );
+		const latency = lines.filter( line => line.startsWith( 'jkutils_server_query_latency_seconds' ) );
+		assert.strictEqual( latency.length, 1 );
+		assert.match( latency[0], /^jkutils_server_query_latency_seconds\{server="127\.0\.0\.1:29070"\} \d+(\.\d+)?(e-\d+)?$/ );
+	} );
+
+	it( 'escapes label values and falls back to the gametype number', () => {
+		const state = exporter.servers[0];
+		state.up = true;
+		const info = (mapname, protocol, gametype) => ({ source: state.server, info: { mapname, protocol, gametype } });
+
+		state.last = { serverInfo: new ServerInfo( info( 'mp/"odd"\\map\nname', '99', '3' ) ), latency: 0.5 };
+		assert.strictEqual( samples( exporter.render() )[3],
+			'jkutils_server_players{server="127.0.0.1:29070",map="mp/\\"odd\\"\\\\map\\nname",gametype="3"} 0' );
+
+		state.last = { serverInfo: new ServerInfo( info( 'mp/ffa1', '26' ) ), latency: 0.5 };
+		assert.strictEqual( samples( exporter.render() )[3],
+			'jkutils_server_players{server="127.0.0.1:29070",map="mp/ffa1",gametype=""} 0' );
+	} );
+
+	it( 'keeps polling when a listener throws', done => {
+		// only the emulator, the silent server would hold up each poll
+		exporter.servers = exporter.servers.slice( 0, 1 );
+		let errors = 0;
+		exporter.on( 'poll', () => {
+			throw new Error( 'listener' );
+		} );
+		exporter.on( 'error', err => {
+			if ( ++errors !== 3 ) {
+				return;
+			}
+			try {
+				assert.strictEqual( err.message, 'listener' );
+				assert.strictEqual( exporter.servers[0].up, true );
+				done();
+			}
+			catch ( failure ) {
+				done( failure );
+			}
+		} );
+		exporter.listen();
+	} );
+
+	it( 'needs servers', () => {
+		assert.throws( () => new JKExporter( { servers: [] } ), TypeError );
+	} );
+
+} );
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * the HTTP gateway in front of an emulator and a fake master on a LoopbackTransport
+ */
+
+// core modules
+const assert =	require( 'assert' );
+const http =	require( 'http' );
+
+// internal modules
+const endpoint =			require( '../lib/endpoint' );
+const JKGateway =			require( '../lib/jkgateway' );
+const JKServerEmulator =	require( '../lib/jkserver-emulator' );
+const JKUtils =				require( '../lib/jkutils' );
+const LoopbackTransport =	require( '../lib/loopback-transport' );
+
+describe( 'JKGateway', () => {
+
+	let transport;
+	let emulator;
+	let gateway;
+	let queries;
+	let lookup;
+
+	/**
+	 * GET a path from the gateway
+	 * @param {string} path sent as-is
+	 * @param {string} [method] default: GET
+	 * @returns {Promise<Object>} { statusCode, headers, body }
+	 */
+	const request = (path, method='GET') => new Promise( (resolve, reject) => {
+		const address = /** @type {import('net').AddressInfo} */ (gateway.server.address());
+		const req = http.request( { host: '127.0.0.1', port: address.port, path, method }, res => {
+			let data = '';
+			res.setEncoding( 'utf8' );
+			res.on( 'data', chunk => data += chunk );
+			res.on( 'end', () => resolve( { statusCode: res.statusCode, headers: res.headers, body: JSON.parse( data ) } ) );
+		} );
+		req.on( 'error', reject );
+		req.end();
+	} );
+
+	/**
+	 * @param {Object} [opts] JKGatewayOpts
+	 * @returns {Promise<void>}
+	 */
+	const startGateway = (opts={}) => new Promise( resolve => {
+		gateway = new JKGateway( Object.assign( { port: 0, address: '127.0.0.1', socketConfig: { transport } }, opts ) );
+		gateway.listen( resolve );
+	} );
+
+	beforeEach( async () => {
+		transport = new LoopbackTransport();
+		emulator = new JKServerEmulator( { port: 29070, transport, info: { hostname: 'gateway test' } } );
+		queries = [];
+		emulator.on( 'query', command => queries.push( command ) );
+		await new Promise( resolve => emulator.listen( resolve ) );
+
+		// no DNS: a made-up name for the emulator
+		lookup = endpoint.defaultResolver.lookup;
+		endpoint.defaultResolver.clear();
+		endpoint.defaultResolver.lookup = host => (host === 'jka.example')
+			? Promise.resolve( { address: '127.0.0.1', family: 4 } )
+			: Promise.reject( Object.assign( new Error( 'not found' ), { code: 'ENOTFOUND' } ) );
+	} );
+
+	afterEach( async () => {
+		endpoint.defaultResolver.lookup = lookup;
+		endpoint.defaultResolver.clear();
+		await new Promise( resolve => gateway.close( resolve ) );
+		await new Promise( resolve => emulator.close( resolve ) );
+	} );
+
+	it( 'answers info and status with a cache lifetime', async () => {
+		await startGateway();
+		const info = await request( '/server/127.0.0.1:29070/info' );
+		assert.strictEqual( info.statusCode, 200 );
+		assert.strictEqual( info.headers['content-type'], 'application/json' );
+		assert.match( info.headers['cache-control'], /^public, max-age=(9|10)$/ );
+		assert.deepStrictEqual( info.body.source, { ip: '127.0.0.1', port: 29070 } );
+		assert.strictEqual( info.body.info.hostname, 'gateway test' );
+
+		const status = await request( '/server/127.0.0.1/status' );
+		assert.strictEqual( status.statusCode, 200 );
+		assert.strictEqual( status.body.status.sv_hostname, 'gateway test' );
+		assert.deepStrictEqual( status.body.clients, [] );
+	} );
+
+	it( 'lists a master\'s servers for a known protocol', async () => {
+		await startGateway();
+		const requests = [];
+		const master = transport.createSocket( 'udp4' );
+		master.on( 'message', (msg, rinfo) => {
+			requests.push( msg.slice( 4 ).toString() );
+			master.send( [ JKUtils.oobPrefix, Buffer.from( 'getserversResponse' ), Buffer.from( '\\' ),
+				JKUtils.encodeServer( '192.168.0.1', 29070 ), Buffer.from( '\\EOT' ) ], rinfo.port, rinfo.address );
+		} );
+		master.bind( 29060 );
+		try {
+			const res = await request( '/master/127.0.0.1/servers?protocol=15' );
+			assert.strictEqual( res.statusCode, 200 );
+			assert.deepStrictEqual( res.body, [ { ip: '192.168.0.1', port: 29070, family: 'IPv4' } ] );
+			assert.deepStrictEqual( requests, [ 'getservers 15' ] );
+
+			const unknown = await request( '/master/127.0.0.1/servers?protocol=99' );
+			assert.strictEqual( unknown.statusCode, 400 );
+			assert.match( unknown.body.error, /unknown protocol/ );
+			assert.strictEqual( requests.length, 1 );
+		}
+		finally {
+			master.close();
+		}
+	} );
+
+	it( 'shares the cache between names of the same server', async () => {
+		await startGateway();
+		const results = await Promise.all( [
+			request( '/server/127.0.0.1:29070/info' ),
+			request( '/server/jka.example/info' ),
+			request( '/server/jka.example:29070/info' ),
+		] );
+		assert.deepStrictEqual( results[1].body, results[0].body );
+		assert.deepStrictEqual( results[2].body, results[0].body );
+		assert.deepStrictEqual( queries, [ 'getinfo' ] );
+	} );
+
+	it( 'refuses new queries while the cache is full of live entries', async () => {
+		await startGateway( { maxCacheEntries: 1 } );
+		assert.strictEqual( ( await request( '/server/127.0.0.1/info' ) ).statusCode, 200 );
+		// cached, no new entry needed
+		assert.strictEqual( ( await request( '/server/jka.example/info' ) ).statusCode, 200 );
+		const full = await request( '/server/127.0.0.1/status' );
+		assert.strictEqual( full.statusCode, 503 );
+		assert.deepStrictEqual( queries, [ 'getinfo' ] );
+	} );
+
+	it( 'rejects bad requests', async () => {
+		await startGateway();
+		/** @type {Array<[ string, string, number ]>} */
+		const cases = [
+			[ '/server/127.0.0.1/players', 'GET', 404 ],
+			[ '/master/127.0.0.1/info', 'GET', 404 ],
+			[ '/server/127.0.0.1/info', 'POST', 405 ],
+			[ '/server/127.0.0.1:99999/info', 'GET', 400 ],
+			[ '/server/nowhere.example/info', 'GET', 400 ],
+			// not a path on this host
+			[ '//', 'GET', 400 ],
+			// not UTF-8
+			[ '/server/%E0%A4%A/info', 'GET', 400 ],
+		];
+		for ( let [ path, method, statusCode ] of cases ) {
+			const res = await request( path, method );
+			assert.strictEqual( res.statusCode, statusCode, `${method} ${path}` );
+			assert.strictEqual( typeof res.body.error, 'string' );
+		}
+		assert.deepStrictEqual( queries, [] );
+	} );
+
+} );
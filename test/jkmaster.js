@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * JKMaster heartbeats, challenges and flatlines, with emulated servers and JKComms on a LoopbackTransport
+ */
+
+// core modules
+const assert =	require( 'assert' );
+const { once } =	require( 'events' );
+
+// internal modules
+const JKComms =				require( '../lib/jkcomms' );
+const JKMaster =			require( '../lib/jkmaster' );
+const JKServerEmulator =	require( '../lib/jkserver-emulator' );
+const LoopbackTransport =	require( '../lib/loopback-transport' );
+
+describe( 'JKMaster', () => {
+
+	const master = { ip: '127.0.0.1', port: 29060 };
+	let transport;
+	let jkMaster;
+	let emulator;
+	let comms;
+
+	/**
+	 * @returns {Promise<Object[]>} the master's list, as a client sees it
+	 */
+	function listServers() {
+		return comms.getServers( Object.assign( { protocol: '26' }, master ) );
+	}
+
+	beforeEach( done => {
+		transport = new LoopbackTransport();
+		jkMaster = new JKMaster( { port: master.port, transport, challengeTimeout: 100 } );
+		// not empty, getservers without filters leaves empty servers out
+		emulator = new JKServerEmulator( {
+			port: 29070,
+			transport,
+			masters: [ master ],
+			info: { protocol: '26' },
+			players: [ { score: 0, ping: 50, name: 'Padawan' } ],
+		} );
+		comms = new JKComms( true, { transport } );
+		jkMaster.listen( done );
+	} );
+
+	afterEach( done => {
+		comms.jkSocket.destroy( true );
+		emulator.close( () => jkMaster.close( done ) );
+	} );
+
+	it( 'lists a server once it answers the challenge', async () => {
+		const added = once( jkMaster, 'serverAdded' );
+		emulator.listen();
+		const [ server ] = await added;
+		assert.strictEqual( server.ip, '127.0.0.1' );
+		assert.strictEqual( server.port, 29070 );
+		assert.strictEqual( server.protocol, '26' );
+
+		const servers = await listServers();
+		assert.deepStrictEqual( servers.map( server => `${server.ip}:${server.port}` ), [ '127.0.0.1:29070' ] );
+	} );
+
+	it( 'leaves out servers of another protocol', async () => {
+		const added = once( jkMaster, 'serverAdded' );
+		emulator.listen();
+		await added;
+		const servers = await comms.getServers( Object.assign( { protocol: '15' }, master ) );
+		assert.deepStrictEqual( servers, [] );
+	} );
+
+	it( 'does not list a server that ignores the challenge', async () => {
+		let added = 0;
+		jkMaster.on( 'serverAdded', () => added++ );
+		const socket = transport.createSocket( 'udp4' );
+		socket.bind( 29071 );
+		socket.send( Buffer.from( '\xFF\xFF\xFF\xFFheartbeat QuakeArena-1', 'latin1' ), master.port, master.ip );
+		await new Promise( resolve => setTimeout( resolve, 150 ) );
+		assert.strictEqual( added, 0 );
+		assert.strictEqual( jkMaster.challenges.size, 0 );
+		socket.close();
+	} );
+
+	it( 'keeps a bounded number of challenges, dropping the oldest', async () => {
+		jkMaster.maxChallenges = 2;
+		const sockets = [ 29081, 29082, 29083 ].map( port => {
+			const socket = transport.createSocket( 'udp4' );
+			socket.bind( port );
+			return socket;
+		} );
+		for ( let socket of sockets ) {
+			socket.send( Buffer.from( '\xFF\xFF\xFF\xFFheartbeat QuakeArena-1', 'latin1' ), master.port, master.ip );
+			await new Promise( resolve => setImmediate( resolve ) );
+		}
+		assert.deepStrictEqual( Array.from( jkMaster.challenges.keys() ), [ '127.0.0.1:29082', '127.0.0.1:29083' ] );
+		sockets.forEach( socket => socket.close() );
+	} );
+
+	it( 'removes a server on flatline', async () => {
+		const added = once( jkMaster, 'serverAdded' );
+		emulator.listen();
+		await added;
+
+		const removed = once( jkMaster, 'serverRemoved' );
+		emulator.close();
+		const [ server, reason ] = await removed;
+		assert.strictEqual( server.port, 29070 );
+		assert.strictEqual( reason, 'flatline' );
+		assert.deepStrictEqual( await listServers(), [] );
+	} );
+
+	it( 'keeps a server that answers the challenge after a flatline', async () => {
+		const added = once( jkMaster, 'serverAdded' );
+		emulator.listen();
+		await added;
+
+		let removed = 0;
+		jkMaster.on( 'serverRemoved', () => removed++ );
+		// a spoofed flatline: the server is still up and answers
+		emulator.stm_heartbeat( master, true );
+		await new Promise( resolve => setTimeout( resolve, 150 ) );
+		assert.strictEqual( removed, 0 );
+		assert.strictEqual( (await listServers()).length, 1 );
+	} );
+
+	it( 'expires servers that stop sending heartbeats', async () => {
+		jkMaster.serverTimeout = 50;
+		const added = once( jkMaster, 'serverAdded' );
+		emulator.listen();
+		await added;
+
+		await new Promise( resolve => setTimeout( resolve, 100 ) );
+		const removed = once( jkMaster, 'serverRemoved' );
+		jkMaster.expireServers();
+		const [ , reason ] = await removed;
+		assert.strictEqual( reason, 'timeout' );
+	} );
+
+} );
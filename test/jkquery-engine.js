@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * many JKComms sharing a query engine, against emulators on a LoopbackTransport
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const { JKError } =			require( '../lib/errors' );
+const JKComms =				require( '../lib/jkcomms' );
+const JKQueryEngine =		require( '../lib/jkquery-engine' );
+const JKServerEmulator =	require( '../lib/jkserver-emulator' );
+const LoopbackTransport =	require( '../lib/loopback-transport' );
+
+describe( 'JKQueryEngine', () => {
+
+	const servers = [ 29070, 29071, 29072 ].map( port => ({ ip: '127.0.0.1', port }) );
+	let transport;
+	let emulators;
+	let engine;
+
+	beforeEach( async () => {
+		transport = new LoopbackTransport();
+		emulators = servers.map( server => new JKServerEmulator( {
+			port: server.port,
+			transport,
+			info: { hostname: `server ${server.port}` },
+			players: [ { score: server.port, ping: 50, name: 'Padawan' } ],
+		} ) );
+		await Promise.all( emulators.map( emulator => new Promise( resolve => emulator.listen( resolve ) ) ) );
+		engine = new JKQueryEngine( { socketConfig: { transport } } );
+	} );
+
+	afterEach( async () => {
+		engine.close();
+		await Promise.all( emulators.map( emulator => new Promise( resolve => emulator.close( resolve ) ) ) );
+	} );
+
+	/**
+	 * hold back an emulator's replies
+	 * @param {JKServerEmulator} emulator
+	 * @param {number} ms
+	 */
+	const delay = (emulator, ms) => {
+		const handleMessage = emulator.handleMessage.bind( emulator );
+		emulator.handleMessage = (msg, rinfo) => setTimeout( () => handleMessage( msg, rinfo ), ms );
+	};
+
+	it( 'routes the replies of concurrent queries back to their own query', async () => {
+		const channels = servers.map( () => new JKComms( true, { engine } ) );
+		const queries = [];
+		for ( let i = 0; i < 20; i++ ) {
+			channels.forEach( (comms, c) => {
+				// every channel asks every server, with its own challenges
+				const server = servers[(c + i) % servers.length];
+				const challenge = `c${c}q${i}`;
+				queries.push( comms.getInfo( Object.assign( { challenge }, server ) ).then( res => {
+					assert.deepStrictEqual( res.source, server );
+					assert.strictEqual( res.info.hostname, `server ${server.port}` );
+					assert.strictEqual( res.info.challenge, challenge );
+				} ) );
+				queries.push( comms.getStatus( Object.assign( { challenge: `${challenge}s` }, server ) ).then( res => {
+					assert.strictEqual( res.status.challenge, `${challenge}s` );
+					assert.strictEqual( res.clients[0].score, `${server.port}` );
+				} ) );
+			} );
+		}
+		await Promise.all( queries );
+		assert.deepStrictEqual( engine.stats(), { inFlight: 0, queued: 0 } );
+		assert.strictEqual( engine.sockets.length, 1 );
+		assert.strictEqual( engine.sockets[0].destroyed, false );
+	} );
+
+	it( 'spreads servers over a pool and queues beyond maxInFlight', async () => {
+		engine.close();
+		engine = new JKQueryEngine( { sockets: 2, maxInFlight: 2, socketConfig: { transport } } );
+		const comms = new JKComms( true, { engine } );
+		const pending = [];
+		for ( let i = 0; i < 10; i++ ) {
+			pending.push( comms.getInfo( servers[i % servers.length] ) );
+		}
+		// the sends go out once the addresses are resolved
+		await new Promise( resolve => setImmediate( resolve ) );
+		assert.ok( engine.stats().queued > 0 );
+		assert.ok( engine.stats().inFlight <= 4 );
+		const results = await Promise.all( pending );
+		assert.deepStrictEqual( results.map( res => res.source.port ), pending.map( (query, i) => servers[i % servers.length].port ) );
+		assert.strictEqual( engine.socketFor( servers[0] ), engine.socketFor( Object.assign( {}, servers[0] ) ) );
+	} );
+
+	it( 'only cancels the destroyed channel\'s queries', async () => {
+		delay( emulators[0], 30 );
+		const cancelled = new JKComms( true, { engine } );
+		const kept = new JKComms( true, { engine } );
+
+		const calls = [];
+		cancelled.cts_getinfo( Object.assign( { challenge: 'cancelled' }, servers[0] ), { timeout: 500 }, () => calls.push( 'cancelled' ) );
+		const res = kept.getInfo( Object.assign( { challenge: 'kept' }, servers[0] ), { timeout: 500 } );
+		await new Promise( resolve => setImmediate( resolve ) );
+		assert.strictEqual( engine.stats().inFlight, 2 );
+		cancelled.jkSocket.destroy();
+
+		assert.strictEqual( ( await res ).info.challenge, 'kept' );
+		await new Promise( resolve => setTimeout( resolve, 50 ) );
+		assert.deepStrictEqual( calls, [] );
+		assert.deepStrictEqual( engine.stats(), { inFlight: 0, queued: 0 } );
+		assert.strictEqual( engine.sockets[0].destroyed, false );
+
+		// the engine carries on for everyone else
+		const again = await new JKComms( true, { engine } ).getInfo( servers[1] );
+		assert.strictEqual( again.info.hostname, 'server 29071' );
+	} );
+
+	it( 'fails pending queries on close', async () => {
+		delay( emulators[0], 100 );
+		const pending = new JKComms( true, { engine } ).getInfo( servers[0] );
+		setImmediate( () => engine.close() );
+		await assert.rejects( pending, err => err instanceof JKError && err.code === 'SOCKET_DESTROYED' );
+		assert.throws( () => engine.channel(), Error );
+	} );
+
+} );
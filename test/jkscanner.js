@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * JKScanner against emulated servers on a LoopbackTransport
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const JKScanner =			require( '../lib/jkscanner' );
+const JKServerEmulator =	require( '../lib/jkserver-emulator' );
+const JKUtils =				require( '../lib/jkutils' );
+const LoopbackTransport =	require( '../lib/loopback-transport' );
+
+describe( 'JKScanner', () => {
+
+	const ports = [ 29070, 29071, 29072 ];
+	// nothing is bound here
+	const silent = { ip: '127.0.0.1', port: 29079 };
+	let transport;
+	let emulators;
+
+	beforeEach( async () => {
+		transport = new LoopbackTransport();
+		emulators = ports.map( port => new JKServerEmulator( { port, transport, info: { hostname: `server ${port}` } } ) );
+		await Promise.all( emulators.map( emulator => new Promise( resolve => emulator.listen( resolve ) ) ) );
+	} );
+
+	afterEach( async () => {
+		await Promise.all( emulators.map( emulator => new Promise( resolve => emulator.close( resolve ) ) ) );
+	} );
+
+	it( 'knocks on every address and sorts the results', async () => {
+		const addresses = ports.map( port => ({ ip: '127.0.0.1', port }) ).concat( [ silent ] );
+		const scanner = new JKScanner( { addresses, concurrency: 2, timeout: 50, retries: 1, backoff: 10, socketConfig: { transport } } );
+		const progress = [];
+		scanner.on( 'progress', state => progress.push( state.done ) );
+
+		const summary = await scanner.scan();
+		assert.deepStrictEqual( summary.responded.map( res => res.info.info.hostname ).sort(),
+			[ 'server 29070', 'server 29071', 'server 29072' ] );
+		assert.deepStrictEqual( summary.timedOut.map( res => res.address ), [ silent ] );
+		assert.strictEqual( summary.deadlineReached, false );
+		assert.deepStrictEqual( progress, [ 1, 2, 3, 4 ] );
+	} );
+
+	it( 'retries timed out servers', async () => {
+		let knocks = 0;
+		const socket = transport.createSocket( 'udp4' );
+		socket.on( 'message', () => knocks++ );
+		socket.bind( silent.port );
+
+		const scanner = new JKScanner( { addresses: [ silent ], timeout: 30, retries: 2, backoff: 10, socketConfig: { transport } } );
+		const summary = await scanner.scan();
+		socket.close();
+		assert.strictEqual( summary.timedOut.length, 1 );
+		assert.strictEqual( knocks, 3 );
+	} );
+
+	it( 'reports what is left when the deadline is reached', async () => {
+		const scanner = new JKScanner( { addresses: [ silent ], timeout: 5000, deadline: 50, socketConfig: { transport } } );
+		const summary = await scanner.scan();
+		assert.strictEqual( summary.deadlineReached, true );
+		assert.strictEqual( summary.timedOut.length, 1 );
+	} );
+
+	it( 'scans the servers a master lists', async () => {
+		const master = transport.createSocket( 'udp4' );
+		master.on( 'message', (msg, rinfo) => {
+			/** @type {Buffer[]} */
+			const parts = [ JKUtils.oobPrefix, Buffer.from( 'getserversResponse' ) ];
+			for ( let port of ports ) {
+				parts.push( Buffer.from( '\\' ), JKUtils.encodeServer( '127.0.0.1', port ) );
+			}
+			parts.push( Buffer.from( '\\EOT' ) );
+			master.send( parts, rinfo.port, rinfo.address );
+		} );
+		master.bind( 29060 );
+
+		const scanner = new JKScanner( { master: { ip: '127.0.0.1', port: 29060, protocol: '26' }, socketConfig: { transport } } );
+		let listed = [];
+		scanner.on( 'servers', addresses => listed = addresses );
+		const summary = await scanner.scan();
+		master.close();
+		assert.strictEqual( listed.length, 3 );
+		assert.strictEqual( summary.responded.length, 3 );
+	} );
+
+	it( 'needs a master or addresses', () => {
+		assert.throws( () => new JKScanner( {} ), TypeError );
+	} );
+
+} );
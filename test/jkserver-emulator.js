@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * the emulator answering JKComms queries over a LoopbackTransport
+ */
+
+// core modules
+const assert =	require( 'assert' );
+const { once } =	require( 'events' );
+
+// internal modules
+const { JKTimeoutError } =	require( '../lib/errors' );
+const JKComms =				require( '../lib/jkcomms' );
+const JKServerEmulator =	require( '../lib/jkserver-emulator' );
+const JKUtils =				require( '../lib/jkutils' );
+const LoopbackTransport =	require( '../lib/loopback-transport' );
+
+describe( 'JKServerEmulator', () => {
+
+	const server = { ip: '127.0.0.1', port: 29070 };
+	let transport;
+	let emulator;
+	let comms;
+
+	beforeEach( done => {
+		transport = new LoopbackTransport();
+		emulator = new JKServerEmulator( {
+			port: server.port,
+			transport,
+			info: { hostname: 'test server', mapname: 'mp/duel1' },
+			players: [ { score: 10, ping: 50, name: '^1Padawan' }, { score: -1, ping: 0, name: 'Bot' } ],
+		} );
+		comms = new JKComms( true, { transport } );
+		emulator.listen( done );
+	} );
+
+	afterEach( done => {
+		comms.jkSocket.destroy( true );
+		emulator.close( done );
+	} );
+
+	it( 'answers getinfo, echoing the challenge', async () => {
+		const res = await comms.getInfo( Object.assign( { challenge: 'xyz' }, server ) );
+		assert.deepStrictEqual( res.source, server );
+		assert.strictEqual( res.info.hostname, 'test server' );
+		assert.strictEqual( res.info.mapname, 'mp/duel1' );
+		assert.strictEqual( res.info.clients, '2' );
+		assert.strictEqual( res.info.challenge, 'xyz' );
+	} );
+
+	it( 'answers getstatus with the players', async () => {
+		const res = await comms.getStatus( server );
+		assert.strictEqual( res.status.sv_hostname, 'test server' );
+		// the regex groups have a null prototype
+		assert.deepStrictEqual( res.clients.map( client => Object.assign( {}, client ) ), [
+			{ score: '10', ping: '50', name: '^1Padawan' },
+			{ score: '-1', ping: '0', name: 'Bot' },
+		] );
+	} );
+
+	it( 'replies with the current info', async () => {
+		emulator.info.mapname = 'mp/ffa3';
+		const res = await comms.getInfo( server );
+		assert.strictEqual( res.info.mapname, 'mp/ffa3' );
+	} );
+
+	it( 'emits each query', async () => {
+		const query = once( emulator, 'query' );
+		await comms.getInfo( server );
+		const [ command, source ] = await query;
+		assert.strictEqual( command, 'getinfo' );
+		assert.strictEqual( source.ip, '127.0.0.1' );
+	} );
+
+	it( 'drops a challenge it can\'t echo and keeps answering', async () => {
+		const socket = transport.createSocket( 'udp4' );
+		const replies = [];
+		socket.on( 'message', msg => replies.push( msg.slice( 4 ).toString( 'latin1' ) ) );
+		socket.bind( 0 );
+		const send = data => socket.send( [ JKUtils.oobPrefix, Buffer.from( data, 'latin1' ) ], server.port, server.ip );
+		try {
+			send( 'getinfo a\\b' );
+			send( 'getstatus say;"hi"' );
+			// like the engine, oversized challenges aren't answered
+			send( `getinfo ${'x'.repeat( 200 )}` );
+			await new Promise( resolve => setTimeout( resolve, 50 ) );
+			assert.strictEqual( replies.length, 2 );
+			assert.ok( replies[0].startsWith( 'infoResponse\n' ) );
+			assert.strictEqual( JKUtils.parseInfostring( replies[0].split( '\n' )[1] ).challenge, undefined );
+			assert.ok( replies[1].startsWith( 'statusResponse\n' ) );
+			assert.strictEqual( JKUtils.parseInfostring( replies[1].split( '\n' )[1] ).challenge, undefined );
+		}
+		finally {
+			socket.close();
+		}
+
+		const res = await comms.getInfo( Object.assign( { challenge: 'after' }, server ) );
+		assert.strictEqual( res.info.challenge, 'after' );
+	} );
+
+	it( 'discards a query it can\'t build a reply for', async () => {
+		emulator.info.motd = 'x'.repeat( JKUtils.infoLimits.MAX_INFO_STRING );
+		await assert.rejects( comms.getInfo( server, { timeout: 100 } ), JKTimeoutError );
+		delete emulator.info.motd;
+		const res = await comms.getInfo( server );
+		assert.strictEqual( res.info.hostname, 'test server' );
+	} );
+
+	it( 'stops answering once closed', async () => {
+		await new Promise( resolve => emulator.close( resolve ) );
+		await assert.rejects( comms.getInfo( server, { timeout: 100 } ), JKTimeoutError );
+	} );
+
+} );
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * JKSocket request lifetimes: timeouts, retransmission, deadlines and send errors
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const { JKError, JKTimeoutError } =	require( '../lib/errors' );
+const JKSocket =			require( '../lib/jksocket' );
+const LoopbackTransport =	require( '../lib/loopback-transport' );
+
+describe( 'JKSocket', () => {
+
+	// something is bound here to count the datagrams, but never replies
+	const silent = { ip: '127.0.0.1', port: 29071 };
+	let transport;
+	let jkSocket;
+	let received;
+	let listener;
+
+	/**
+	 * send and wait for the outcome
+	 * @param {Object} opts JKSocketOpts
+	 * @returns {Promise<Object>} { err, res }
+	 */
+	const send = opts => new Promise( resolve =>
+		jkSocket.send( silent, opts, Buffer.from( 'getinfo' ), (err, res) => resolve( { err, res } ) ) );
+
+	beforeEach( () => {
+		transport = new LoopbackTransport();
+		received = 0;
+		listener = transport.createSocket( 'udp4' );
+		listener.on( 'message', () => received++ );
+		listener.bind( silent.port );
+		jkSocket = new JKSocket( () => {}, { transport } );
+	} );
+
+	afterEach( () => {
+		jkSocket.destroy( true );
+		listener.close();
+	} );
+
+	it( 'times out a request nobody answers', async () => {
+		const started = Date.now();
+		const { err } = await send( { timeout: 50 } );
+		assert.ok( err instanceof JKTimeoutError );
+		assert.deepStrictEqual( err.address, silent );
+		assert.ok( Date.now() - started >= 45 );
+		assert.strictEqual( received, 1 );
+	} );
+
+	it( 'retransmits before giving up', async () => {
+		const { err } = await send( { timeout: 30, retries: 2, backoff: 10, jitter: 0 } );
+		assert.ok( err instanceof JKTimeoutError );
+		assert.strictEqual( received, 3 );
+	} );
+
+	it( 'stops retransmitting at the deadline', async () => {
+		const started = Date.now();
+		const { err } = await send( { timeout: 40, retries: 10, backoff: 10, jitter: 0, deadline: 100 } );
+		assert.ok( err instanceof JKTimeoutError );
+		assert.ok( Date.now() - started < 200 );
+		assert.ok( received >= 2 && received < 11 );
+	} );
+
+	it( 'only ends the request that timed out', async () => {
+		// a server that answers after the other request has timed out
+		const slow = transport.createSocket( 'udp4' );
+		slow.on( 'message', (msg, rinfo) => setTimeout( () =>
+			slow.send( Buffer.from( '\xFF\xFF\xFF\xFFinfoResponse\n\\late\\1', 'latin1' ), rinfo.port, rinfo.address ), 60 ) );
+		slow.bind( 29072 );
+		try {
+			const [ timedOut, answered ] = await Promise.all( [
+				send( { timeout: 20 } ),
+				new Promise( resolve => jkSocket.send( { ip: '127.0.0.1', port: 29072 }, { timeout: 500, killOnFirstRes: true },
+					Buffer.from( 'getinfo' ), (err, res) => resolve( { err, res } ) ) ),
+			] );
+			assert.ok( timedOut.err instanceof JKTimeoutError );
+			assert.strictEqual( answered.err, null );
+			assert.deepStrictEqual( answered.res.source, { ip: '127.0.0.1', port: 29072 } );
+		}
+		finally {
+			slow.close();
+		}
+	} );
+
+	it( 'fails pending requests when destroyed', async () => {
+		const pending = send( { timeout: 1000 } );
+		setImmediate( () => jkSocket.destroy( true ) );
+		const { err } = await pending;
+		assert.ok( err instanceof JKError );
+		assert.strictEqual( err.code, 'SOCKET_DESTROYED' );
+		assert.deepStrictEqual( Object.keys( jkSocket.timers ), [] );
+	} );
+
+	it( 'releases the socket after a send error', async () => {
+		// a transport whose sends all fail, like an unreachable network
+		const closed = [];
+		const failing = {
+			createSocket: type => {
+				const socket = transport.createSocket( type );
+				socket.send = (msg, port, address, callback) =>
+					process.nextTick( callback, Object.assign( new Error( 'send failed' ), { code: 'ENETUNREACH' } ) );
+				socket.on( 'close', () => closed.push( type ) );
+				return socket;
+			},
+		};
+		jkSocket.destroy( true );
+		jkSocket = new JKSocket( () => {}, { transport: failing } );
+
+		const { err } = await send( { timeout: 1000, retries: 2 } );
+		assert.ok( err instanceof JKError );
+		assert.strictEqual( err.code, 'ENETUNREACH' );
+		assert.strictEqual( jkSocket.inFlight, 0 );
+		assert.strictEqual( jkSocket.destroyed, true );
+		assert.deepStrictEqual( Object.keys( jkSocket.timers ), [] );
+		await new Promise( resolve => setImmediate( resolve ) );
+		assert.deepStrictEqual( closed, [ 'udp4' ] );
+	} );
+
+} );
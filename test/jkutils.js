@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * server list encoding, infostrings and address normalisation
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const JKUtils =	require( '../lib/jkutils' );
+
+describe( 'JKUtils', () => {
+
+	describe( 'infostrings', () => {
+
+		it( 'builds pairs in order and leaves out empty values', () => {
+			const info = JKUtils.buildInfostring( { hostname: 'test', mapname: 'ffa1', empty: '', none: null, clients: 3 } );
+			assert.strictEqual( info, '\\hostname\\test\\mapname\\ffa1\\clients\\3' );
+			assert.strictEqual( JKUtils.buildInfostring( [ [ 'b', '1' ], [ 'a', '2' ] ] ), '\\b\\1\\a\\2' );
+			assert.strictEqual( JKUtils.buildInfostring( new Map( [ [ 'k', 'v' ] ] ) ), '\\k\\v' );
+		} );
+
+		it( 'refuses invalid keys/values and oversized strings', () => {
+			assert.throws( () => JKUtils.buildInfostring( { 'a\\b': '1' } ), TypeError );
+			assert.throws( () => JKUtils.buildInfostring( { 'a/b': '1' } ), TypeError );
+			assert.throws( () => JKUtils.buildInfostring( { a: 'say "hi"' } ), TypeError );
+			assert.throws( () => JKUtils.buildInfostring( [ [ '', 'v' ] ] ), TypeError );
+			assert.throws( () => JKUtils.buildInfostring( { a: 'x'.repeat( JKUtils.infoLimits.MAX_INFO_STRING ) } ), RangeError );
+			// the engine itself only refuses \ ; and "
+			assert.strictEqual( JKUtils.buildInfostring( { a: 'b%c' }, { strict: false } ), '\\a\\b%c' );
+		} );
+
+		it( 'allows a \'/\' in values', () => {
+			assert.strictEqual( JKUtils.buildInfostring( { mapname: 'mp/ffa1' } ), '\\mapname\\mp/ffa1' );
+		} );
+
+		it( 'parses either form with lowercased keys', () => {
+			const expected = { hostname: 'test', mapname: 'mp/ffa1' };
+			assert.deepStrictEqual( JKUtils.parseInfostring( '\\HostName\\test\\mapname\\mp/ffa1' ), expected );
+			assert.deepStrictEqual( JKUtils.parseInfostring( 'hostname\\test\\mapname\\mp/ffa1' ), expected );
+			// a dangling key has no value
+			assert.deepStrictEqual( JKUtils.parseInfostring( '\\a\\1\\b' ), { a: '1' } );
+			// the last of a repeated key wins
+			assert.deepStrictEqual( JKUtils.parseInfostring( '\\a\\1\\A\\2' ), { a: '2' } );
+		} );
+
+		it( 'keeps case, order and repeated keys with preserve', () => {
+			const info = '\\Name\\one\\b\\2\\Name\\two';
+			const entries = JKUtils.parseInfostring( info, { preserve: true } );
+			assert.deepStrictEqual( entries, [ [ 'Name', 'one' ], [ 'b', '2' ], [ 'Name', 'two' ] ] );
+			assert.strictEqual( JKUtils.buildInfostring( entries, { preserve: true } ), info );
+		} );
+
+		it( 'round trips parse -> build with empty values', () => {
+			const info = '\\mapname\\mp/ffa1\\sv_hostname\\';
+			const entries = JKUtils.parseInfostring( info, { preserve: true } );
+			assert.deepStrictEqual( entries, [ [ 'mapname', 'mp/ffa1' ], [ 'sv_hostname', '' ] ] );
+			assert.strictEqual( JKUtils.buildInfostring( entries, { preserve: true } ), info );
+		} );
+
+		it( 'round trips build -> parse', () => {
+			const pairs = { sv_hostname: '^1Red ^7Server', g_gametype: '6', protocol: '26' };
+			assert.deepStrictEqual( JKUtils.parseInfostring( JKUtils.buildInfostring( pairs ) ), pairs );
+		} );
+
+		it( 'removes and sets keys like the engine', () => {
+			assert.strictEqual( JKUtils.removeInfoKey( '\\a\\1\\b\\2\\a\\3', 'a' ), '\\b\\2\\a\\3' );
+			assert.strictEqual( JKUtils.removeInfoKey( '\\a\\1', 'A' ), '\\a\\1' );
+			assert.strictEqual( JKUtils.setInfoValue( '\\a\\1\\b\\2', 'b', '3' ), '\\b\\3\\a\\1' );
+			assert.strictEqual( JKUtils.setInfoValue( '\\a\\1\\b\\2', 'b', '3', { big: true } ), '\\a\\1\\b\\3' );
+			assert.strictEqual( JKUtils.setInfoValue( '\\a\\1\\b\\2', 'a', '' ), '\\b\\2' );
+			assert.strictEqual( JKUtils.setInfoValue( '\\a\\\\b\\2', 'b', '3' ), '\\b\\3\\a\\' );
+		} );
+
+	} );
+
+	describe( 'server list encoding', () => {
+
+		it( 'round trips IPv4 and IPv6 entries', () => {
+			assert.deepStrictEqual( JKUtils.decodeServer( JKUtils.encodeServer( '1.2.3.4', 29070 ) ),
+				{ ip: '1.2.3.4', port: 29070, family: 'IPv4' } );
+			assert.deepStrictEqual( JKUtils.decodeServer( JKUtils.encodeServer( '2001:db8::1', 29071 ) ),
+				{ ip: '2001:db8::1', port: 29071, family: 'IPv6' } );
+		} );
+
+		it( 'decodes a list mixing `\\` (IPv4) and `/` (IPv6) entries', () => {
+			const list = Buffer.concat( [
+				Buffer.from( '\\' ), JKUtils.encodeServer( '10.0.0.1', 29070 ),
+				Buffer.from( '/' ), JKUtils.encodeServer( '2001:db8::2', 29071 ),
+				Buffer.from( '\\' ), JKUtils.encodeServer( '10.0.0.3', 29072 ),
+				Buffer.from( '\\EOT\0\0\0', 'binary' ),
+			] );
+			assert.deepStrictEqual( JKUtils.decodeServers( list ), {
+				servers: [
+					{ ip: '10.0.0.1', port: 29070, family: 'IPv4' },
+					{ ip: '2001:db8::2', port: 29071, family: 'IPv6' },
+					{ ip: '10.0.0.3', port: 29072, family: 'IPv4' },
+				],
+				sentinel: 'EOT',
+			} );
+		} );
+
+		it( 'tells EOF from EOT and a missing sentinel', () => {
+			const entry = Buffer.concat( [ Buffer.from( '\\' ), JKUtils.encodeServer( '10.0.0.1', 29070 ) ] );
+			assert.strictEqual( JKUtils.decodeServers( Buffer.concat( [ entry, Buffer.from( '\\EOF' ) ] ) ).sentinel, 'EOF' );
+			assert.deepStrictEqual( JKUtils.decodeServers( Buffer.from( '\\EOT' ) ), { servers: [], sentinel: 'EOT' } );
+			// a truncated packet: the last entry isn't followed by a separator, so it isn't trusted
+			assert.deepStrictEqual( JKUtils.decodeServers( entry ), { servers: [], sentinel: null } );
+		} );
+
+	} );
+
+	describe( 'normaliseIP', () => {
+
+		it( 'gives every form of an IPv6 address the same spelling', () => {
+			assert.strictEqual( JKUtils.normaliseIP( '0:0:0:0:0:0:0:1' ), '::1' );
+			assert.strictEqual( JKUtils.normaliseIP( '2001:DB8:0:0::1' ), '2001:db8::1' );
+			assert.strictEqual( JKUtils.normaliseIP( '::ffff:127.0.0.1' ), '127.0.0.1' );
+			assert.strictEqual( JKUtils.normaliseIP( 'FE80::1%lo' ), 'fe80::1%lo' );
+			assert.strictEqual( JKUtils.normaliseIP( '10.0.0.1' ), '10.0.0.1' );
+		} );
+
+	} );
+
+} );
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * the watcher polling emulators on a LoopbackTransport
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const JKServerEmulator =	require( '../lib/jkserver-emulator' );
+const JKWatcher =			require( '../lib/jkwatcher' );
+const LoopbackTransport =	require( '../lib/loopback-transport' );
+
+describe( 'JKWatcher', () => {
+
+	const server = { ip: '127.0.0.1', port: 29070 };
+	let transport;
+	let emulator;
+	let watcher;
+	let events;
+
+	beforeEach( done => {
+		transport = new LoopbackTransport();
+		emulator = new JKServerEmulator( {
+			port: server.port,
+			transport,
+			info: { mapname: 'mp/ffa1' },
+			status: { g_motd: 'hello', challenge: 'ignored' },
+			players: [ { score: 10, ping: 50, name: '^1Padawan' }, { score: 3, ping: 80, name: 'Kyle' } ],
+		} );
+		watcher = new JKWatcher( { servers: [ server ], interval: 10, socketConfig: { transport } } );
+		events = [];
+		for ( let event of [ 'serverUp', 'serverDown', 'playerJoin', 'playerLeave', 'scoreChange', 'mapChange', 'cvarChange' ] ) {
+			watcher.on( event, (...args) => events.push( [ event, ...args.slice( 1 ) ] ) );
+		}
+		emulator.listen( done );
+	} );
+
+	afterEach( done => {
+		watcher.stop();
+		emulator.close( done );
+	} );
+
+	it( 'only sets the baseline on the first reply', async () => {
+		await watcher.poll();
+		assert.deepStrictEqual( events.map( event => event[0] ), [ 'serverUp' ] );
+		assert.strictEqual( events[0][1].clients.length, 2 );
+		await watcher.poll();
+		assert.strictEqual( events.length, 1 );
+	} );
+
+	it( 'reports players joining and leaving', async () => {
+		await watcher.poll();
+		emulator.players = [ { score: 10, ping: 50, name: '^1Padawan' }, { score: 0, ping: 0, name: 'Bot' } ];
+		await watcher.poll();
+		assert.deepStrictEqual( events.slice( 1 ).map( ([ event, player ]) => [ event, player.name ] ), [
+			[ 'playerLeave', 'Kyle' ],
+			[ 'playerJoin', 'Bot' ],
+		] );
+	} );
+
+	it( 'follows a player changing colours and reports their score', async () => {
+		await watcher.poll();
+		emulator.players = [ { score: 12, ping: 50, name: '^4Padawan' }, { score: 3, ping: 80, name: 'Kyle' } ];
+		await watcher.poll();
+		assert.strictEqual( events.length, 2 );
+		const [ event, player, oldScore ] = events[1];
+		assert.strictEqual( event, 'scoreChange' );
+		assert.strictEqual( player.name, '^4Padawan' );
+		assert.strictEqual( player.score, '12' );
+		assert.strictEqual( oldScore, '10' );
+	} );
+
+	it( 'reports map and cvar changes', async () => {
+		await watcher.poll();
+		emulator.status.mapname = 'mp/ffa3';
+		emulator.status.g_motd = 'bye';
+		emulator.status.g_needpass = '1';
+		delete emulator.status.sv_maxclients;
+		await watcher.poll();
+		assert.deepStrictEqual( events.slice( 1 ), [
+			[ 'mapChange', 'mp/ffa3', 'mp/ffa1' ],
+			[ 'cvarChange', 'sv_maxclients', undefined, '32' ],
+			[ 'cvarChange', 'g_motd', 'bye', 'hello' ],
+			[ 'cvarChange', 'g_needpass', '1', undefined ],
+		] );
+	} );
+
+	it( 'reports a server that stops replying and comes back', async function() {
+		// a poll only fails once the query times out
+		this.timeout( 5000 );
+		watcher.downAfter = 1;
+		await watcher.poll();
+		await new Promise( resolve => emulator.close( resolve ) );
+		await watcher.poll();
+		assert.deepStrictEqual( events.map( event => event[0] ), [ 'serverUp', 'serverDown' ] );
+		await new Promise( resolve => emulator.listen( resolve ) );
+		await watcher.poll();
+		assert.deepStrictEqual( events.map( event => event[0] ), [ 'serverUp', 'serverDown', 'serverUp' ] );
+	} );
+
+	it( 'keeps watching when a listener throws', done => {
+		let polls = 0;
+		const errors = [];
+		emulator.on( 'query', () => {
+			polls++;
+			emulator.players[0].score++;
+		} );
+		watcher.on( 'scoreChange', () => {
+			throw new Error( 'listener' );
+		} );
+		watcher.on( 'error', err => {
+			errors.push( err.message );
+			if ( errors.length !== 2 ) {
+				return;
+			}
+			watcher.stop();
+			try {
+				assert.ok( polls >= 3 );
+				// the baseline moved on anyway, so each change was reported once
+				assert.deepStrictEqual( events.filter( event => event[0] === 'scoreChange' ).map( event => event[2] ), [ '11', '12' ] );
+				assert.deepStrictEqual( errors, [ 'listener', 'listener' ] );
+				done();
+			}
+			catch ( err ) {
+				done( err );
+			}
+		} );
+		watcher.start();
+	} );
+
+	it( 'needs servers', () => {
+		assert.throws( () => new JKWatcher( { servers: [] } ), TypeError );
+	} );
+
+} );
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * OOB message parsing and its bounds checks
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const { JKParseError } =	require( '../lib/errors' );
+const Q3MessageParser =		require( '../lib/message-parser' );
+
+/**
+ * @param {string} text
+ * @returns {Buffer} text with the OOB prefix
+ */
+function oob( text ) {
+	return Buffer.concat( [ Buffer.from( [ 0xFF, 0xFF, 0xFF, 0xFF ] ), Buffer.from( text, 'latin1' ) ] );
+}
+
+describe( 'Q3MessageParser', () => {
+
+	it( 'refuses a message without the OOB prefix', () => {
+		assert.throws( () => new Q3MessageParser( Buffer.from( 'getinfo' ) ), err => err instanceof JKParseError && err.offset === 0 );
+		assert.throws( () => new Q3MessageParser( Buffer.from( [ 0xFF, 0xFF ] ) ), JKParseError );
+	} );
+
+	it( 'reads lines until the message is used up', () => {
+		const parser = new Q3MessageParser( oob( 'statusResponse\n\\a\\1\n0 0 "x"\n' ) );
+		assert.strictEqual( parser.readLine(), 'statusResponse' );
+		assert.strictEqual( parser.readLine(), '\\a\\1' );
+		assert.strictEqual( parser.readLine(), '0 0 "x"' );
+		assert.strictEqual( parser.readLine(), '' );
+		assert.strictEqual( parser.remainingBytes(), 0 );
+	} );
+
+	it( 'reads a fixed number of characters', () => {
+		const parser = new Q3MessageParser( oob( 'getserversResponse\\' ) );
+		assert.strictEqual( parser.readChars( 18 ), 'getserversResponse' );
+		assert.strictEqual( parser.readChars( parser.remainingBytes() ), '\\' );
+	} );
+
+	it( 'throws JKParseError with the offset on an out of bounds read', () => {
+		const parser = new Q3MessageParser( oob( 'print' ) );
+		assert.throws( () => parser.readChars( 6 ), err => err instanceof JKParseError && err.offset === 4 );
+		parser.offset = 20;
+		assert.throws( () => parser.readLine(), err => err instanceof JKParseError && err.offset === 20 );
+	} );
+
+} );
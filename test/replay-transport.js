@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * captures (JKSocket's `record` option) played back through ReplayTransport
+ */
+
+// core modules
+const assert =	require( 'assert' );
+const fs =		require( 'fs' );
+const os =		require( 'os' );
+const path =	require( 'path' );
+
+// internal modules
+const { JKError } =			require( '../lib/errors' );
+const JKComms =				require( '../lib/jkcomms' );
+const LoopbackTransport =	require( '../lib/loopback-transport' );
+const ReplayTransport =		require( '../lib/replay-transport' );
+
+const server = { ip: '127.0.0.1', port: 29070 };
+
+describe( 'ReplayTransport', () => {
+
+	describe( 'getinfo/getstatus capture', () => {
+
+		let comms;
+
+		beforeEach( () => {
+			const transport = ReplayTransport.fromFile( path.join( __dirname, 'fixtures', 'getinfo-getstatus.capture' ) );
+			comms = new JKComms( true, { transport } );
+		} );
+
+		afterEach( () => {
+			comms.jkSocket.destroy( true );
+		} );
+
+		it( 'replays the recorded replies', async () => {
+			const info = await comms.getInfo( server );
+			assert.deepStrictEqual( info.source, server );
+			assert.strictEqual( info.info.hostname, 'capture server' );
+			assert.strictEqual( info.info.clients, '2' );
+
+			const status = await comms.getStatus( server );
+			assert.strictEqual( status.status.mapname, 'mp/ffa3' );
+			assert.deepStrictEqual( status.clients.map( client => client.name ), [ '^1Padawan', 'Kyle' ] );
+		} );
+
+		it( 'fails a query the capture does not hold', async () => {
+			await assert.rejects( comms.getStatus( server ), err => err instanceof JKError && err.code === 'REPLAY_MISMATCH' );
+		} );
+
+	} );
+
+	describe( 'record and replay', () => {
+
+		let file;
+
+		beforeEach( () => {
+			file = path.join( os.tmpdir(), `jkutils-test-${process.pid}-${Date.now()}.capture` );
+		} );
+
+		afterEach( () => {
+			if ( fs.existsSync( file ) ) {
+				fs.unlinkSync( file );
+			}
+		} );
+
+		it( 'replays a connect probe recorded with a fixed qport', async () => {
+			// a server that accepts every connect
+			const transport = new LoopbackTransport();
+			const socket = transport.createSocket( 'udp4' );
+			socket.on( 'message', (msg, rinfo) => {
+				const reply = msg.includes( 'getchallenge' ) ? 'challengeResponse 1234' : 'connectResponse';
+				socket.send( Buffer.from( `\xFF\xFF\xFF\xFF${reply}`, 'latin1' ), rinfo.port, rinfo.address );
+			} );
+			socket.bind( server.port );
+
+			const recorder = new JKComms( true, { transport, record: file } );
+			const recorded = await recorder.connect( Object.assign( { qport: 4321 }, server ) );
+			recorder.jkSocket.destroy( true );
+			socket.close();
+			assert.strictEqual( recorded.accepted, true );
+
+			const replayer = new JKComms( true, { transport: ReplayTransport.fromFile( file ) } );
+			const replayed = await replayer.connect( Object.assign( { qport: 4321 }, server ) );
+			replayer.jkSocket.destroy( true );
+			assert.deepStrictEqual( replayed, recorded );
+		} );
+
+	} );
+
+} );
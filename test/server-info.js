@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * server model: game, gametype, mod and bot detection
+ */
+
+// core modules
+const assert =	require( 'assert' );
+
+// internal modules
+const ServerInfo =	require( '../lib/server-info' );
+
+const source = { ip: '127.0.0.1', port: 29070 };
+
+describe( 'ServerInfo', () => {
+
+	describe( 'detectGame', () => {
+
+		// [ protocol, version, expected ]
+		const cases = [
+			[ '26', undefined, 'ja' ],
+			[ '16', undefined, 'jo' ],
+			[ '15', 'JK2MP: v1.02 win-x86 Mar 28 2002', 'jo102' ],
+			[ '68', undefined, 'q3a' ],
+			[ '60', undefined, 'rtcw' ],
+			[ '84', undefined, 'et' ],
+			// the protocol wins over the version
+			[ '26', 'JK2MP: v1.04', 'ja' ],
+			// an unknown protocol falls back to the version
+			[ '25', 'JAmp: v1.0.0.0 win-x86 Sep 5 2003', 'ja' ],
+			[ '17', 'JK2MP: v1.03 linux-i386', 'jo' ],
+			[ '71', 'ioq3 1.36_GIT linux-x86_64', 'q3a' ],
+			[ '57', 'Wolf 1.33 linux-i386', 'rtcw' ],
+			[ '83', 'ET Legacy v2.81.1', 'et' ],
+			[ '99', 'Something else', null ],
+			[ undefined, undefined, null ],
+		];
+		for ( let [ protocol, version, expected ] of cases ) {
+			it( `${protocol} "${version}" -> ${expected}`, () => {
+				assert.strictEqual( ServerInfo.detectGame( protocol, version ), expected );
+			} );
+		}
+
+	} );
+
+	describe( 'gametypeName', () => {
+
+		// [ game, gametype, expected ]
+		/** @type {Array<[ string, number, string ]>} */
+		const cases = [
+			[ 'ja', 3, 'Duel' ],
+			[ 'ja', 4, 'Power Duel' ],
+			[ 'ja', 7, 'Siege' ],
+			[ 'jo', 4, 'Single Player' ],
+			[ 'jo', 6, 'Saga' ],
+			[ 'q3a', 1, 'Tournament' ],
+			[ 'rtcw', 5, 'Objective' ],
+			[ 'et', 5, 'Last Man Standing' ],
+			[ 'ja', 10, null ],
+			[ 'ja', null, null ],
+			[ null, 3, null ],
+		];
+		for ( let [ game, gametype, expected ] of cases ) {
+			it( `${game} ${gametype} -> ${expected}`, () => {
+				assert.strictEqual( ServerInfo.gametypeName( game, gametype ), expected );
+			} );
+		}
+
+	} );
+
+	describe( 'detectMod', () => {
+
+		// [ fs_game, gamename, version, expected ]
+		const cases = [
+			[ 'japlus', undefined, undefined, 'JA+' ],
+			[ 'JA+', undefined, undefined, 'JA+' ],
+			[ 'japro', undefined, undefined, 'jaPRO' ],
+			[ 'MBII', undefined, undefined, 'Movie Battles II' ],
+			[ 'lugormod', undefined, undefined, 'Lugormod' ],
+			[ undefined, 'Twimod', undefined, 'Twimod' ],
+			[ 'base_enhanced', undefined, undefined, 'base_enhanced' ],
+			// a mod running on OpenJK is the mod
+			[ 'japlus', undefined, 'OpenJK-MP v1.0.1.1 linux', 'JA+' ],
+			[ undefined, undefined, 'OpenJK-MP v1.0.1.1 linux', 'OpenJK' ],
+			[ 'basejka', undefined, undefined, 'base' ],
+			[ 'base', undefined, undefined, 'base' ],
+			[ undefined, undefined, undefined, 'base' ],
+			[ 'clanmod', undefined, undefined, 'clanmod' ],
+			[ undefined, 'somegame', undefined, 'somegame' ],
+		];
+		for ( let [ fsGame, gamename, version, expected ] of cases ) {
+			it( `${fsGame}/${gamename}/${version} -> ${expected}`, () => {
+				assert.strictEqual( ServerInfo.detectMod( fsGame, gamename, version ), expected );
+			} );
+		}
+
+	} );
+
+	describe( 'model', () => {
+
+		it( 'merges info and status, counting ping 0 clients as bots', () => {
+			const server = new ServerInfo(
+				{ source, info: { protocol: '26', hostname: '^1Red ^9Grey', mapname: 'mp/ffa3', gametype: '6', clients: '9', sv_maxclients: '32', needpass: '1' } },
+				{ source, status: { fs_game: 'japlus', version: 'JAmp: v1.0.1.0' }, clients: [
+					{ score: '10', ping: '50', name: '^1Padawan' },
+					{ score: '-1', ping: '0', name: 'Bot' },
+				] } );
+			assert.deepStrictEqual( server.address, source );
+			assert.strictEqual( server.game, 'ja' );
+			assert.strictEqual( server.version, 'Jedi Academy 1.01' );
+			assert.strictEqual( server.protocol, 26 );
+			assert.strictEqual( server.cleanHostname, 'Red Grey' );
+			assert.strictEqual( server.gametype, 6 );
+			assert.strictEqual( server.gametypeName, 'Team FFA' );
+			assert.strictEqual( server.mod, 'JA+' );
+			assert.strictEqual( server.passworded, true );
+			assert.strictEqual( server.maxClients, 32 );
+			// the player list wins over the info counts
+			assert.strictEqual( server.clients, 2 );
+			assert.strictEqual( server.bots, 1 );
+			assert.strictEqual( server.humans, 1 );
+			assert.deepStrictEqual( server.players, [
+				{ name: '^1Padawan', cleanName: 'Padawan', score: 10, ping: 50, bot: false },
+				{ name: 'Bot', cleanName: 'Bot', score: -1, ping: 0, bot: true },
+			] );
+		} );
+
+		it( 'works from infoResponse counts alone', () => {
+			const server = new ServerInfo( { source, info: { protocol: '16', clients: '5', g_humanplayers: '3', gametype: '6' } } );
+			assert.strictEqual( server.game, 'jo' );
+			assert.strictEqual( server.gametypeName, 'Saga' );
+			assert.strictEqual( server.clients, 5 );
+			assert.strictEqual( server.humans, 3 );
+			assert.strictEqual( server.bots, 2 );
+			assert.deepStrictEqual( server.players, [] );
+
+			const unknown = new ServerInfo( { source, info: { clients: '5' } } );
+			assert.strictEqual( unknown.humans, null );
+			assert.strictEqual( unknown.bots, null );
+		} );
+
+		it( 'strips colours with the game\'s palette', () => {
+			// Outcast takes any character as a colour code, OpenJK only 0-9
+			const status = { source, status: { sv_hostname: '^aAlpha' }, clients: [ { score: '0', ping: '1', name: '^8x' } ] };
+			const jo = new ServerInfo( null, Object.assign( {}, status, { status: { protocol: '16', sv_hostname: '^aAlpha' } } ) );
+			assert.strictEqual( jo.cleanHostname, 'Alpha' );
+			assert.strictEqual( jo.players[0].cleanName, 'x' );
+			const ja = new ServerInfo( null, Object.assign( {}, status, { status: { protocol: '26', sv_hostname: '^aAlpha' } } ) );
+			assert.strictEqual( ja.cleanHostname, '^aAlpha' );
+			assert.strictEqual( ja.players[0].cleanName, 'x' );
+			const base = new ServerInfo( null, status, { game: 'ja', palette: 'ja' } );
+			assert.strictEqual( base.players[0].cleanName, '^8x' );
+		} );
+
+		it( 'needs a reply', () => {
+			assert.throws( () => new ServerInfo(), TypeError );
+		} );
+
+	} );
+
+} );
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// @ts-check
+
+'use strict';
+
+/**
+ * netchan message writer for the tests (MSG_WriteBits and friends), the counterpart of Q3BitMessageParser
+ */
+
+// internal modules
+const huffman =	require( '../../lib/huffman' );
+
+module.exports = class MessageWriter {
+
+	/**
+	 * @constructor
+	 */
+	constructor() {
+		this.tree = huffman.HuffmanTree.messageTree();
+		this.writer = new huffman.BitWriter();
+	}
+
+	/**
+	 * odd bits first, stored raw, then a message tree symbol per whole byte
+	 * @param {number} value
+	 * @param {number} bits 1 - 32
+	 * @returns {MessageWriter} this
+	 */
+	bits( value, bits ) {
+		const oddBits = bits & 7;
+		for ( let i = 0; i < oddBits; i++ ) {
+			this.writer.writeBit( (value >> i) & 1 );
+		}
+		for ( let i = oddBits; i < bits; i += 8 ) {
+			this.tree.transmit( this.writer, (value >>> i) & 0xFF );
+		}
+		return this;
+	}
+
+	/**
+	 * @param {number} value
+	 * @returns {MessageWriter} this
+	 */
+	byte( value ) {
+		return this.bits( value & 0xFF, 8 );
+	}
+
+	/**
+	 * @param {number} value
+	 * @returns {MessageWriter} this
+	 */
+	short( value ) {
+		return this.bits( value & 0xFFFF, 16 );
+	}
+
+	/**
+	 * @param {number} value
+	 * @returns {MessageWriter} this
+	 */
+	long( value ) {
+		return this.bits( value, 32 );
+	}
+
+	/**
+	 * null terminated
+	 * @param {string} s
+	 * @returns {MessageWriter} this
+	 */
+	string( s ) {
+		for ( let c of Buffer.from( s, 'latin1' ) ) {
+			this.byte( c );
+		}
+		return this.byte( 0 );
+	}
+
+	/**
+	 * @returns {Buffer}
+	 */
+	toBuffer() {
+		return this.writer.toBuffer();
+	}
+
+};